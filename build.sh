@@ -17,6 +17,7 @@ BOLD='\033[1m'
 # Configuration
 LIBRARY_FILE="mwi-moonitoring-library.js"
 MINIFIED_FILE="mwi-moonitoring-library.min.js"
+OVERLAY_FILE="mwi-moonitoring-overlay.js"
 README_FILE="README.md"
 SRI_HASHES_FILE="SRI-HASHES.md"
 REQUIRED_TOOLS=("git" "terser" "sha256sum" "md5sum")
@@ -164,6 +165,11 @@ update_library_version() {
     sed -i "s/@version [0-9]\+\.[0-9]\+\.[0-9]\+/@version $new_version/" "$LIBRARY_FILE"
     
     print_success "Updated $LIBRARY_FILE version to $new_version"
+    
+    # The overlay is released with the library it belongs to
+    sed -i "s/@version [0-9]\+\.[0-9]\+\.[0-9]\+/@version $new_version/" "$OVERLAY_FILE"
+    
+    print_success "Updated $OVERLAY_FILE version to $new_version"
 }
 
 # Generate minified version
@@ -202,6 +208,11 @@ generate_hashes() {
     local sha256_full_b64=$(echo -n "$sha256_full" | xxd -r -p | base64)
     local md5_full=$(md5sum "$LIBRARY_FILE" | cut -d' ' -f1)
     
+    # Generate hashes for overlay file
+    local sha256_overlay=$(sha256sum "$OVERLAY_FILE" | cut -d' ' -f1)
+    local sha256_overlay_b64=$(echo -n "$sha256_overlay" | xxd -r -p | base64)
+    local md5_overlay=$(md5sum "$OVERLAY_FILE" | cut -d' ' -f1)
+    
     echo -e "\n${BOLD}SRI Hashes for v$1:${NC}"
     echo -e "${CYAN}Minified:${NC}"
     echo "  SHA-256: $sha256_min_b64"
@@ -209,6 +220,9 @@ generate_hashes() {
     echo -e "${CYAN}Full:${NC}"
     echo "  SHA-256: $sha256_full_b64"
     echo "  MD5: $md5_full"
+    echo -e "${CYAN}Overlay:${NC}"
+    echo "  SHA-256: $sha256_overlay_b64"
+    echo "  MD5: $md5_overlay"
     echo ""
 }
 
@@ -228,6 +242,7 @@ update_readme() {
     
     # Update versioned URLs in README
     sed -i "s/mwi-moonitoring-library-v[0-9]\+\.[0-9]\+\.[0-9]\+/mwi-moonitoring-library-v$new_version/g" "$README_FILE"
+    sed -i "s/mwi-moonitoring-overlay-v[0-9]\+\.[0-9]\+\.[0-9]\+/mwi-moonitoring-overlay-v$new_version/g" "$README_FILE"
     
     # Update SHA-256 hashes in README (find all SHA-256 base64 patterns and replace with current)
     # Use | as delimiter since base64 contains forward slashes
@@ -255,6 +270,10 @@ update_sri_hashes() {
     local md5_full=$(md5sum "$LIBRARY_FILE" | cut -d' ' -f1)
     local size_full=$(stat -c%s "$LIBRARY_FILE")
     
+    local sha256_overlay=$(sha256sum "$OVERLAY_FILE" | cut -d' ' -f1)
+    local sha256_overlay_b64=$(echo -n "$sha256_overlay" | xxd -r -p | base64)
+    local md5_overlay=$(md5sum "$OVERLAY_FILE" | cut -d' ' -f1)
+    
     # Update current version section at top of file
     sed -i "s/## Current Version (v[0-9]\+\.[0-9]\+\.[0-9]\+)/## Current Version (v$new_version)/" "$SRI_HASHES_FILE"
     
@@ -265,7 +284,7 @@ update_sri_hashes() {
     # Update the version history table (add new version at top)
     local today=$(date "+%Y-%m-%d")
     local new_row="### v$new_version (Current) - $today"
-    sed -i "/^### v[0-9]/i $new_row\n| File | SHA-256 (Base64) | SHA-256 (Hex) | MD5 (Hex) |\n|------|------------------|---------------|-----------||\n| mwi-moonitoring-library.min.js | \`$sha256_min_b64\` | \`$sha256_min\` | \`$md5_min\` |\n| mwi-moonitoring-library.js | \`$sha256_full_b64\` | \`$sha256_full\` | \`$md5_full\` |\n" "$SRI_HASHES_FILE"
+    sed -i "/^### v[0-9]/i $new_row\n| File | SHA-256 (Base64) | SHA-256 (Hex) | MD5 (Hex) |\n|------|------------------|---------------|-----------||\n| mwi-moonitoring-library.min.js | \`$sha256_min_b64\` | \`$sha256_min\` | \`$md5_min\` |\n| mwi-moonitoring-library.js | \`$sha256_full_b64\` | \`$sha256_full\` | \`$md5_full\` |\n| mwi-moonitoring-overlay.js | \`$sha256_overlay_b64\` | \`$sha256_overlay\` | \`$md5_overlay\` |\n" "$SRI_HASHES_FILE"
     
     # Remove "(Current)" from previous versions
     sed -i "s/ (Current) - / - /g" "$SRI_HASHES_FILE"
@@ -280,6 +299,7 @@ stage_files() {
     local files=(
         "$LIBRARY_FILE"
         "$MINIFIED_FILE"
+        "$OVERLAY_FILE"
         "$README_FILE"
         ".github/workflows/deploy-to-r2.yml"
     )
@@ -328,6 +348,7 @@ create_commit_and_tag() {
 ## Library Files
 - mwi-moonitoring-library.min.js (minified)
 - mwi-moonitoring-library.js (full source)
+- mwi-moonitoring-overlay.js (diagnostics overlay)
 - mwi-moonitoring.d.ts (TypeScript definitions)
 
 ## CDN URLs
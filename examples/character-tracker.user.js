@@ -62,7 +62,7 @@
         debug: false,
         historySize: 50,     // Keep moderate history for review
         cacheSize: 20        // Small cache for performance
-    });
+    }, { name: 'MWI Character Tracker', version: GM_info.script.version });
     
     console.log(`%c✨ Character Tracker using isolated instance: ${tracker.id}`, 'color: #00ff00; font-style: italic;');
 
@@ -7,6 +7,7 @@
 // @match        https://www.milkywayidle.com/*
 // @match        https://test.milkywayidle.com/*
 // @require      https://cdn.c3d.gg/moonitoring/mwi-moonitoring-library.min.js
+// @require      https://cdn.c3d.gg/moonitoring/mwi-moonitoring-overlay.js
 // @grant        GM_addStyle
 // ==/UserScript==
 
@@ -18,6 +19,9 @@
      * 
      * Uses isolated instance API to discover WebSocket events
      * without interfering with other addons.
+     *
+     * Only need to look at live traffic? The library ships a diagnostics
+     * overlay: MWIWebSocket.overlay.open() (or enableShortcut() for Ctrl+Shift+M)
      */
 
     // Add a floating panel for event discovery
@@ -108,7 +112,7 @@
         batchInterval: 100,  // Fast processing for discovery
         enableCache: true,
         cacheSize: 50        // Cache recent events for analysis
-    });
+    }, { name: 'MWI Event Discovery Tool', version: GM_info.script.version });
     
     console.log(`%c🔍 Discovery Tool Instance: ${discoveryTool.id}`, 'color: #0f0; font-style: italic;');
 
@@ -240,6 +244,7 @@
     console.log('discoveryTool.discover(30000) - Discover events for 30 seconds');
     console.log('discoveryTool.enableProfiling(true) - Enable debug logging');
     console.log('MWIWebSocket.getInstanceInfo() - Get global instance information');
+    console.log('MWIWebSocket.overlay.open() - Open the built-in diagnostics overlay');
     
     // Expose for debugging
     window.MWIDiscovery = {
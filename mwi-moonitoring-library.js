@@ -6,7 +6,8 @@
  * @homepage https://github.com/mathewcst/mwi-moonitoring
  *
  * ⚠️ TOS COMPLIANCE WARNING:
- * This library is READ-ONLY and only monitors incoming WebSocket messages.
+ * This library is READ-ONLY and only monitors WebSocket messages. Outgoing
+ * frames are observed only on opt-in (observeOutgoing) and never altered.
  * It does NOT and CANNOT send messages to the game server.
  * Any automation that sends commands violates the game's Terms of Service.
  *
@@ -20,11 +21,6 @@
 ;(function (global) {
   'use strict'
 
-  // Prevent multiple initializations
-  if (global.MWIWebSocket && global.MWIWebSocket._initialized) {
-    return
-  }
-
   // ============================================================================
   // Configuration and Constants
   // ============================================================================
@@ -32,23 +28,57 @@
   const VERSION = '0.2.2'
   const LIBRARY_NAME = 'MWI-Moonitoring'
 
+  // Page-wide registry of loaded copies (see Version Negotiation)
+  const REGISTRY_KEY = '__mwiMoonitoringCopies__'
+  // Revision of the contract between copies (ownCopy); bumped along with it,
+  // so a build that changes it is never mistaken for one that doesn't
+  const PROTOCOL = 1
+
+  // Prevent initializing the same copy twice. Other versions load side by
+  // side and negotiate who hooks the page; so do builds stamped with this
+  // version but another protocol, and copies from before the registry
+  const loadedCopies = global[REGISTRY_KEY] ? global[REGISTRY_KEY].copies : []
+  if (
+    loadedCopies.some(
+      (copy) => !copy.legacy && copy.version === VERSION && copy.protocol === PROTOCOL
+    )
+  ) {
+    return
+  }
+
   /**
    * @typedef {Object} ConfigOptions
    * @property {boolean} [enableBatching=true] - Enable event batching for performance
    * @property {number} [batchInterval=100] - Milliseconds between batch processing
    * @property {number} [maxBatchSize=50] - Maximum events per batch
-   * @property {boolean} [preParsing=true] - Pre-parse JSON for performance optimization
-   * @property {string[]} [eventWhitelist=[]] - Only process these event types (empty = all)
-   * @property {string[]} [eventBlacklist=[]] - Never process these event types
+   * @property {Object<string, 'keep-last'|'keep-first'|Function>} [coalesce={}] - Per-type (wildcards allowed) policy merging queued events of that type into one per batch
+   * @property {'timer'|'idle'} [scheduling='timer'] - 'idle' processes batches in slices during idle time or within frameBudget, yielding in between
+   * @property {number} [frameBudget=8] - Milliseconds a slice may take when no idle deadline is available
+   * @property {number} [queueHighWaterMark=1000] - Queued events (or calls waiting for one listener) above which the backpressure policy applies
+   * @property {'none'|'drop-oldest'|'coalesce'|'block'} [backpressure='none'] - Drop or coalesce past the high-water mark, or 'block' batches while async listeners are busy
+   * @property {boolean|'worker'} [preParsing=true] - Parse each frame once for all instances; 'worker' parses and filters frames in a Web Worker once every instance asks for it
+   * @property {boolean} [lazyParsing=false] - Only need frames of the types this instance listens to; history and cache then keep only those types
+   * @property {string[]} [eventWhitelist=[]] - Only process these event types, wildcards and '!' exclusions allowed (empty = all)
+   * @property {string[]} [eventBlacklist=[]] - Never process these event types, wildcards and '!' exclusions allowed
    * @property {boolean} [enableDiscovery=false] - Track unknown events for discovery
    * @property {number} [discoveryLimit=100] - Maximum number of discovered events to track
    * @property {boolean} [debug=false] - Enable debug logging
    * @property {'error'|'warn'|'info'|'debug'} [logLevel='warn'] - Logging level
    * @property {number} [historySize=50] - Number of events to keep in history
+   * @property {boolean} [persistHistory=false] - Also store processed events in IndexedDB
+   * @property {string} [persistName='default'] - Namespace of the persistent history (one database each)
+   * @property {number} [persistMaxAge=86400000] - Drop persisted events older than this (ms)
+   * @property {number} [persistMaxEntries=50000] - Maximum persisted events
+   * @property {Object} [persistBackend] - `{ indexedDB, IDBKeyRange }` to use instead of the globals (e.g. a fake for tests)
    * @property {boolean} [enableCache=true] - Enable event caching
    * @property {number} [cacheSize=100] - Maximum number of cached events
    * @property {'isolate'|'propagate'|'suppress'} [errorHandling='isolate'] - Error handling strategy
    * @property {number} [maxListenersPerEvent=100] - Maximum listeners per event to prevent memory leaks
+   * @property {'shared'|'frozen'} [payloadMode='shared'] - 'frozen' delivers a private read-only copy of every payload
+   * @property {boolean} [enableState=true] - Maintain derived character state from known events
+   * @property {boolean} [validatePayloads=false] - Validate payloads against registered schemas
+   * @property {boolean} [trackShapes=false] - Infer payload shapes continuously (always on during discovery)
+   * @property {boolean} [observeOutgoing=false] - Passively observe frames the game client sends, as 'outgoing:*' events
    */
   const DEFAULT_CONFIG = {
     // Performance
@@ -56,14 +86,22 @@
     batchInterval: 100,
     maxBatchSize: 50,
     preParsing: true,
+    lazyParsing: false,
+    coalesce: {},
+    scheduling: 'timer',
+    frameBudget: 8,
+    queueHighWaterMark: 1000,
+    backpressure: 'none',
 
     // Filtering
     eventWhitelist: [],
     eventBlacklist: [],
+    observeOutgoing: false,
 
     // Discovery
     enableDiscovery: false,
     discoveryLimit: 100,
+    trackShapes: false,
 
     // Debugging
     debug: false,
@@ -74,16 +112,67 @@
     enableCache: true,
     cacheSize: 100,
 
+    // Persistence
+    persistHistory: false,
+    persistName: 'default',
+    persistMaxAge: 24 * 60 * 60 * 1000,
+    persistMaxEntries: 50000,
+    persistBackend: null,
+
     // Safety
     errorHandling: 'isolate',
     maxListenersPerEvent: 100,
+    payloadMode: 'shared',
+
+    // State
+    enableState: true,
+
+    // Validation
+    validatePayloads: false,
   }
 
-  // Known WebSocket endpoints for Milky Way Idle
-  const WS_ENDPOINTS = [
-    'api.milkywayidle.com/ws',
-    'api-test.milkywayidle.com/ws',
-  ]
+  // Known WebSocket endpoints for Milky Way Idle, by environment profile
+  const WS_ENDPOINTS = {
+    live: ['api.milkywayidle.com/ws'],
+    test: ['api-test.milkywayidle.com/ws'],
+  }
+
+  // Namespace prefix for frames the game client sends to the server
+  const OUTGOING_PREFIX = 'outgoing:'
+
+  // Namespace prefix for results posted by worker-side listeners
+  const WORKER_PREFIX = 'worker:'
+
+  // Restarts after a crashed worker: first delay (doubled each time), and
+  // crashes in a row before falling back to the main thread for good
+  const WORKER_RETRY_DELAY = 1000
+  const WORKER_MAX_RETRIES = 5
+
+  // A worker that ran this long before crashing starts the count over
+  const WORKER_STABLE_TIME = 60000
+
+  // Synthetic connection lifecycle events
+  const CONNECTION_EVENTS = {
+    OPEN: 'connection:open',
+    CLOSE: 'connection:close',
+    RECONNECT: 'connection:reconnect',
+  }
+
+  // Synthetic hook health events
+  const HOOK_EVENTS = {
+    COMPROMISED: 'hook:compromised',
+    RESTORED: 'hook:restored',
+  }
+
+  // How often the page hook is checked for having been replaced
+  const HOOK_CHECK_INTERVAL = 5000
+
+  // Item location used by the game for the regular inventory; every other
+  // location is an equipment slot
+  const INVENTORY_LOCATION = '/item_locations/inventory'
+
+  // Slices exposed by the character state store
+  const STATE_SLICES = ['character', 'skills', 'inventory', 'equipment']
 
   // ============================================================================
   // Utility Functions
@@ -111,17 +200,17 @@
     },
 
     /**
-     * Check if a string matches a pattern with wildcards
-     * @param {string} str - String to test
-     * @param {string} pattern - Pattern with optional wildcards (*)
-     * @returns {boolean} True if matches
+     * Recursively freeze an object and everything it references
+     * @param {*} obj - Object to freeze
+     * @returns {*} The same object, frozen
      */
-    matchesPattern(str, pattern) {
-      if (!pattern.includes('*')) {
-        return str === pattern
+    deepFreeze(obj) {
+      if (obj === null || typeof obj !== 'object' || Object.isFrozen(obj)) {
+        return obj
       }
-      const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$')
-      return regex.test(str)
+      Object.freeze(obj)
+      Object.keys(obj).forEach((key) => utils.deepFreeze(obj[key]))
+      return obj
     },
 
     /**
@@ -208,68 +297,495 @@
     }
   }
 
+  // ============================================================================
+  // Read-only Payloads
+  // ============================================================================
+
+  // Read-only view -> the private copy behind it
+  const readOnlyTargets = new WeakMap()
+
+  /**
+   * Wrap a payload in a deep read-only view. Nested objects are wrapped
+   * lazily on access, through property descriptors too. Any write throws a
+   * TypeError naming the field, in sloppy-mode userscripts too (unlike
+   * Object.freeze, which fails silently). Views are Proxies, so
+   * structuredClone() and postMessage() reject them - clone with
+   * clonePayload() first.
+   * @param {Object} payload - Private copy nobody else holds a reference to
+   * @param {string} eventType - Event type, for error messages
+   * @returns {Object} Read-only view
+   */
+  const createReadOnlyView = (payload, eventType) => {
+    const views = new WeakMap()
+
+    const reject = (action, path) => {
+      throw new TypeError(
+        `[${LIBRARY_NAME}] Cannot ${action} "${path}": '${eventType}' payloads are read-only ` +
+          `(payloadMode: 'frozen'). Copy it first with MWIWebSocket.clonePayload(data).`
+      )
+    }
+
+    const wrap = (value, path) => {
+      if (value === null || typeof value !== 'object') return value
+
+      let view = views.get(value)
+      if (!view) {
+        const at = (key) =>
+          typeof key === 'symbol'
+            ? `${path}[${String(key)}]`
+            : Array.isArray(value)
+              ? `${path}[${key}]`
+              : path
+                ? `${path}.${key}`
+                : key
+
+        view = new Proxy(value, {
+          get: (target, key) => {
+            const result = Reflect.get(target, key)
+            return typeof key === 'symbol' ? result : wrap(result, at(key))
+          },
+          // Object.getOwnPropertyDescriptor(data, key).value must not hand
+          // out the writable object behind the view
+          getOwnPropertyDescriptor: (target, key) => {
+            const descriptor = Reflect.getOwnPropertyDescriptor(target, key)
+            if (descriptor && 'value' in descriptor && typeof key !== 'symbol') {
+              descriptor.value = wrap(descriptor.value, at(key))
+            }
+            return descriptor
+          },
+          set: (target, key) => reject('set', at(key)),
+          deleteProperty: (target, key) => reject('delete', at(key)),
+          defineProperty: (target, key) => reject('define', at(key)),
+          setPrototypeOf: () => reject('change the prototype of', path || 'data'),
+          preventExtensions: () => reject('freeze', path || 'data'),
+        })
+        views.set(value, view)
+        readOnlyTargets.set(view, value)
+      }
+      return view
+    }
+
+    return wrap(payload, '')
+  }
+
+  /**
+   * Get the plain object behind a read-only view (for structured cloning)
+   * @param {*} value - Possibly a read-only view
+   * @returns {*} Underlying value
+   */
+  const unwrapPayload = (value) => readOnlyTargets.get(value) || value
+
+  /**
+   * Like unwrapPayload(), but also for views nested in plain objects (e.g. a
+   * payload inside a validation_error event). Copies only the objects on the
+   * way to a view; returns the value itself when it holds none.
+   * @param {*} value - Value to store or post
+   * @returns {*} Value structuredClone() accepts
+   */
+  const unwrapPayloadDeep = (value) => {
+    const target = unwrapPayload(value)
+    // Everything behind a view is a plain private copy
+    if (target !== value || value === null || typeof value !== 'object') return target
+
+    let copy = null
+    Object.keys(value).forEach((key) => {
+      const child = unwrapPayloadDeep(value[key])
+      if (child !== value[key]) {
+        if (!copy) copy = Array.isArray(value) ? value.slice() : { ...value }
+        copy[key] = child
+      }
+    })
+    return copy || value
+  }
+
+  // ============================================================================
+  // Event Patterns
+  // ============================================================================
+
+  // Compiled patterns and lists kept before the caches start over
+  const MAX_COMPILED_PATTERNS = 1000
+
+  const compiledPatterns = new Map()
+  const compiledLists = new Map()
+
+  const isPattern = (pattern) => pattern.includes('*') || pattern.includes('?')
+
+  /**
+   * Translate a wildcard pattern into an anchored regex. '*' matches within a
+   * namespace (up to the next ':'), '**' across namespaces, '?' one character;
+   * everything else is literal. Self-contained, as the parsing worker uses it too.
+   * @param {string} pattern - Pattern such as 'action_*' or 'outgoing:**'
+   * @returns {RegExp} Anchored regex
+   */
+  const patternToRegExp = (pattern) => {
+    let source = ''
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i]
+      if (char === '*' && pattern[i + 1] === '*') {
+        source += '.*'
+        i++
+      } else if (char === '*') {
+        source += '[^:]*'
+      } else if (char === '?') {
+        source += '[^:]'
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\/]/g, '\\$&')
+      }
+    }
+    return new RegExp('^' + source + '$')
+  }
+
+  const remember = (cache, key, value) => {
+    if (cache.size >= MAX_COMPILED_PATTERNS) cache.clear()
+    cache.set(key, value)
+    return value
+  }
+
+  /**
+   * Compile an event type or wildcard pattern into a matcher (cached)
+   * @param {string} pattern - Event type or pattern
+   * @returns {Function} (eventType) => boolean
+   */
+  const compilePattern = (pattern) => {
+    const cached = compiledPatterns.get(pattern)
+    if (cached) return cached
+
+    if (!isPattern(pattern)) {
+      return remember(compiledPatterns, pattern, (eventType) => eventType === pattern)
+    }
+    const regex = patternToRegExp(pattern)
+    return remember(compiledPatterns, pattern, (eventType) => regex.test(eventType))
+  }
+
+  /**
+   * Compile a list of event types and patterns into one matcher (cached).
+   * Entries starting with '!' exclude what they match, e.g.
+   * ['chat_*', '!chat_spam']; a list of only exclusions matches everything else.
+   * @param {string[]} patterns - Event types and patterns
+   * @returns {Function} (eventType) => boolean; always false for an empty list
+   */
+  const compilePatternList = (patterns) => {
+    const key = patterns.join('\n')
+    const cached = compiledLists.get(key)
+    if (cached) return cached
+
+    const exact = new Set()
+    const include = []
+    const exclude = []
+    patterns.forEach((pattern) => {
+      if (pattern[0] === '!') {
+        exclude.push(compilePattern(pattern.slice(1)))
+      } else if (isPattern(pattern)) {
+        include.push(compilePattern(pattern))
+      } else {
+        exact.add(pattern)
+      }
+    })
+    const includesAll = exact.size === 0 && include.length === 0 && exclude.length > 0
+
+    return remember(
+      compiledLists,
+      key,
+      (eventType) =>
+        (includesAll ||
+          exact.has(eventType) ||
+          include.some((matches) => matches(eventType))) &&
+        !exclude.some((matches) => matches(eventType))
+    )
+  }
+
+  /**
+   * Check an event type against a whitelist/blacklist of names, wildcard
+   * patterns and '!' exclusions
+   * @param {string} eventType - Event type
+   * @param {string[]} patterns - Names or patterns such as 'action_*'
+   * @returns {boolean} True if the list matches
+   */
+  const matchesAnyPattern = (eventType, patterns) =>
+    patterns.length > 0 && compilePatternList(patterns)(eventType)
+
+  // ============================================================================
+  // Payload Filters
+  // ============================================================================
+
+  const FILTER_OPERATORS = {
+    eq: (value, expected) => value === expected,
+    ne: (value, expected) => value !== expected,
+    in: (value, expected) => expected.includes(value),
+    prefix: (value, expected) =>
+      typeof value === 'string' && value.startsWith(expected),
+    matches: (value, expected) => typeof value === 'string' && expected.test(value),
+    gt: (value, expected) => typeof value === 'number' && value > expected,
+    gte: (value, expected) => typeof value === 'number' && value >= expected,
+    lt: (value, expected) => typeof value === 'number' && value < expected,
+    lte: (value, expected) => typeof value === 'number' && value <= expected,
+    exists: (value, expected) => (value !== undefined) === expected,
+  }
+
+  /**
+   * Read a dotted path ('a.b.c') from a payload
+   * @param {*} data - Payload
+   * @param {string[]} keys - Path segments
+   * @returns {*} Value or undefined
+   */
+  const readPath = (data, keys) => {
+    let value = data
+    for (let i = 0; i < keys.length; i++) {
+      if (value === null || value === undefined) return undefined
+      value = value[keys[i]]
+    }
+    return value
+  }
+
+  /**
+   * Compile a declarative payload filter into a predicate
+   *
+   * A filter maps dotted paths to conditions, all of which must hold. A
+   * condition is a literal (equality), a RegExp, a function, or an object of
+   * operators: eq, ne, in, prefix, matches, gt, gte, lt, lte, exists, and
+   * `some` - a nested filter that at least one array element must pass.
+   *
+   * @param {Object|Function} spec - Filter object or predicate (data, eventType) => boolean
+   * @returns {Function} Predicate (data, eventType) => boolean
+   * @example
+   * compileFilter({
+   *   characterItems: { some: { itemHrid: { prefix: '/items/coin' }, count: { gte: 1000 } } },
+   * })
+   */
+  const compileFilter = (spec) => {
+    if (typeof spec === 'function') return spec
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new TypeError('Filter must be an object or a function')
+    }
+
+    const checks = Object.keys(spec).map((path) => {
+      const keys = path.split('.')
+      const test = compileCondition(spec[path], path)
+      return (data) => test(readPath(data, keys))
+    })
+
+    return (data) => checks.every((check) => check(data))
+  }
+
+  const compileCondition = (condition, path) => {
+    if (typeof condition === 'function') return condition
+
+    if (Object.prototype.toString.call(condition) === '[object RegExp]') {
+      return (value) => typeof value === 'string' && condition.test(value)
+    }
+
+    if (condition === null || typeof condition !== 'object') {
+      return (value) => value === condition
+    }
+
+    const tests = Object.keys(condition).map((operator) => {
+      const expected = condition[operator]
+
+      if (operator === 'some') {
+        const element = compileFilter(expected)
+        return (value) => Array.isArray(value) && value.some((item) => element(item))
+      }
+
+      if (!FILTER_OPERATORS[operator]) {
+        throw new TypeError(`Unknown filter operator "${operator}" for ${path}`)
+      }
+      if (operator === 'in' && !Array.isArray(expected)) {
+        throw new TypeError(`Filter operator "in" for ${path} needs an array`)
+      }
+      return (value) => FILTER_OPERATORS[operator](value, expected)
+    })
+
+    return (value) => tests.every((test) => test(value))
+  }
+
   // ============================================================================
   // Event Emitter
   // ============================================================================
 
+  // Annotations seen by listeners when no pipeline stage ran
+  const NO_ANNOTATIONS = Object.freeze({})
+
   class EventEmitter {
-    constructor(config, logger) {
+    constructor(config, logger, monitor) {
       this.config = config
       this.logger = logger
+      this.monitor = monitor
       this.events = new Map()
+      this.stages = new Map()
       this.onceEvents = new Set()
+      this.nextSeq = 0
+      this.inFlight = 0 // Listener calls scheduled, running, or awaiting their Promise
+      this.onIdle = null // Called when the last of them settles
+      this.onChange = null // Called when listeners or stages are added or removed
+      // Subscription index: resolved entries per event type, per registry
+      this.indexes = new Map([
+        [this.events, new Map()],
+        [this.stages, new Map()],
+      ])
     }
 
     /**
      * Subscribe to one or more events
-     * @param {string|string[]} eventTypes - Event type(s) to subscribe to
+     * @param {string|string[]} eventTypes - Event type(s) to subscribe to; only '!' exclusions means every other game event, as with '*'
      * @param {Function} callback - Function to call when event occurs
+     * @param {Object} [options] - Subscription options
+     * @param {Object|Function} [options.filter] - Payload filter, checked before the listener is scheduled
+     * @param {number} [options.priority=0] - Higher priorities run first; equal ones in subscription order
+     * @param {number} [options.concurrency=Infinity] - Async calls of this listener in flight at once (1 = serialize); later calls wait their turn
+     * @param {string} [options.name] - Name shown in listener profiles (defaults to the function name)
      * @returns {Function} Unsubscribe function
      */
-    on(eventTypes, callback) {
+    on(eventTypes, callback, options = {}) {
       if (typeof callback !== 'function') {
         throw new TypeError('Callback must be a function')
       }
 
+      this._register(this.events, eventTypes, callback, options, 'Listener')
+
+      // Return unsubscribe function
+      return () => this.off(eventTypes, callback)
+    }
+
+    /**
+     * Add a pipeline stage. Stages run synchronously in priority order before
+     * any listener is scheduled, and see a frozen copy of the payload. The
+     * object a stage returns is merged into the annotations that later stages
+     * and all listeners receive as meta.annotations.
+     * @param {string|string[]} eventTypes - Event type(s) the stage handles
+     * @param {Function} stage - (eventType, data, annotations) => Object|undefined
+     * @param {Object} [options] - Same options as on()
+     * @returns {Function} Function that removes the stage
+     */
+    use(eventTypes, stage, options = {}) {
+      if (typeof stage !== 'function') {
+        throw new TypeError('Pipeline stage must be a function')
+      }
+
+      this._register(this.stages, eventTypes, stage, options, 'Pipeline stage')
+
+      return () => this._unregister(this.stages, eventTypes, stage)
+    }
+
+    /**
+     * Split subscribed types into registry keys and '!' exclusions. Exclusions
+     * apply to all keys of the subscription; only exclusions subscribe to '*',
+     * so library namespaces (connection:, outgoing:, hook:, worker:) stay out.
+     */
+    _keys(eventTypes) {
       const types = Array.isArray(eventTypes) ? eventTypes : [eventTypes]
+      const keys = types.filter((type) => type[0] !== '!')
+      const exclusions = types.filter((type) => type[0] === '!')
+
+      return {
+        keys: keys.length === 0 && exclusions.length > 0 ? ['*'] : keys,
+        exclude:
+          exclusions.length > 0
+            ? compilePatternList(exclusions.map((type) => type.slice(1)))
+            : null,
+      }
+    }
+
+    _register(registry, eventTypes, callback, options, label) {
+      // Callers may pass null for "no options"
+      options = options || {}
+      const { keys, exclude } = this._keys(eventTypes)
+      const filter = options.filter ? compileFilter(options.filter) : null
+      const priority = options.priority || 0
+      const concurrency =
+        options.concurrency === undefined ? Infinity : options.concurrency
+
+      if (typeof priority !== 'number' || !isFinite(priority)) {
+        throw new TypeError('Priority must be a finite number')
+      }
+      if (!(concurrency >= 1)) {
+        throw new TypeError('Concurrency must be at least 1')
+      }
 
-      types.forEach((type) => {
-        if (!this.events.has(type)) {
-          this.events.set(type, new Set())
+      keys.forEach((type) => {
+        if (!registry.has(type)) {
+          registry.set(type, new Map())
         }
 
-        const listeners = this.events.get(type)
+        const callbacks = registry.get(type)
 
         // Check max listeners
-        if (listeners.size >= this.config.maxListenersPerEvent) {
+        if (callbacks.size >= this.config.maxListenersPerEvent) {
           this.logger.warn(
             `Max listeners (${this.config.maxListenersPerEvent}) reached for event: ${type}`
           )
           return
         }
 
-        listeners.add(callback)
-        this.logger.debug(`Listener added for event: ${type}`)
+        callbacks.set(callback, {
+          callback,
+          name: options.name || callback.name || '(anonymous)',
+          profile: {
+            calls: 0,
+            errors: 0,
+            blocking: new LatencyHistogram(),
+            duration: new LatencyHistogram(),
+          },
+          filter,
+          exclude,
+          priority,
+          seq: this.nextSeq++,
+          concurrency,
+          active: 0,
+          backlog: [],
+          removed: false,
+        })
+        this.logger.debug(`${label} added for event: ${type}`)
+      })
+      this._changed()
+    }
+
+    _unregister(registry, eventTypes, callback) {
+      this._keys(eventTypes).keys.forEach((type) => {
+        const callbacks = registry.get(type)
+        if (callbacks) {
+          const entry = callbacks.get(callback)
+          if (entry) this._abandon(entry)
+          callbacks.delete(callback)
+          if (callbacks.size === 0) {
+            registry.delete(type)
+          }
+        }
       })
+      this._changed()
+    }
 
-      // Return unsubscribe function
-      return () => this.off(eventTypes, callback)
+    /**
+     * Mark a removed listener so calls already collected for it, or still
+     * waiting for a concurrency slot, are abandoned
+     * @param {Object} entry - Registry entry
+     */
+    _abandon(entry) {
+      entry.removed = true
+      entry.backlog.length = 0
+    }
+
+    _changed() {
+      this.indexes.forEach((index) => index.clear())
+      if (this.onChange) this.onChange()
     }
 
     /**
      * Subscribe to an event only once
      * @param {string} eventType - Event type to subscribe to
      * @param {Function} callback - Function to call when event occurs
+     * @param {Object} [options] - Subscription options, as for on()
      * @returns {Function} Unsubscribe function
      */
-    once(eventType, callback) {
+    once(eventType, callback, options) {
       const wrapper = (...args) => {
         this.off(eventType, wrapper)
-        callback(...args)
+        return callback(...args)
       }
+      // Profiles show the wrapped callback's name
+      Object.defineProperty(wrapper, 'name', { value: callback.name })
 
       this.onceEvents.add(wrapper)
-      return this.on(eventType, wrapper)
+      return this.on(eventType, wrapper, options)
     }
 
     /**
@@ -278,170 +794,671 @@
      * @param {Function} callback - Callback function to remove
      */
     off(eventTypes, callback) {
-      const types = Array.isArray(eventTypes) ? eventTypes : [eventTypes]
-
-      types.forEach((type) => {
-        const listeners = this.events.get(type)
-        if (listeners) {
-          listeners.delete(callback)
-          if (listeners.size === 0) {
-            this.events.delete(type)
-          }
-          this.logger.debug(`Listener removed for event: ${type}`)
-        }
-      })
+      this._unregister(this.events, eventTypes, callback)
+      this.logger.debug(`Listener removed for event: ${eventTypes}`)
     }
 
     /**
      * Remove all listeners for an event or all events
-     * @param {string} [eventType] - Optional event type. If not provided, removes all listeners
+     * @param {string} [eventType] - Optional event type. If not provided, removes all listeners and pipeline stages
      */
     offAll(eventType) {
       if (eventType) {
+        const callbacks = this.events.get(eventType)
+        if (callbacks) callbacks.forEach((entry) => this._abandon(entry))
         this.events.delete(eventType)
         this.logger.debug(`All listeners removed for event: ${eventType}`)
       } else {
+        this.events.forEach((callbacks) => callbacks.forEach((entry) => this._abandon(entry)))
+        this.stages.forEach((callbacks) => callbacks.forEach((entry) => this._abandon(entry)))
         this.events.clear()
+        this.stages.clear()
         this.onceEvents.clear()
         this.logger.debug('All listeners removed')
       }
+      this._changed()
     }
 
     /**
      * Emit an event to all listeners
      * @param {string} eventType - Event type to emit
      * @param {*} data - Event data
+     * @param {Object} [meta] - Delivery details (timestamp, source connection and profile)
      * @returns {number} Number of listeners that received the event
      */
-    emit(eventType, data) {
-      const listeners = new Set()
-
-      // Direct listeners
-      if (this.events.has(eventType)) {
-        this.events
-          .get(eventType)
-          .forEach((listener) => listeners.add(listener))
-      }
-
-      // Wildcard listeners
-      this.events.forEach((eventListeners, pattern) => {
-        if (pattern.includes('*') && utils.matchesPattern(eventType, pattern)) {
-          eventListeners.forEach((listener) => listeners.add(listener))
-        }
-      })
-
-      // Execute listeners
-      listeners.forEach((listener) => {
+    emit(
+      eventType,
+      data,
+      meta = { timestamp: Date.now(), connection: null, profile: null }
+    ) {
+      const listeners = this._collect(this.events, eventType, data)
+      if (listeners.length === 0) return 0
+
+      // Run the pipeline once, before any listener is scheduled
+      const stages =
+        this.stages.size > 0 ? this._collect(this.stages, eventType, data) : []
+      meta.annotations =
+        stages.length > 0
+          ? this._runPipeline(stages, eventType, data)
+          : NO_ANNOTATIONS
+
+      // Execute listeners. Isolated listeners get their timers in priority
+      // order, so they also run in that order
+      const args = [eventType, data, meta]
+      listeners.forEach((entry) => {
         try {
           if (this.config.errorHandling === 'isolate') {
             // Isolate errors to prevent affecting other listeners
+            this.inFlight++
             setTimeout(() => {
               try {
-                listener(eventType, data)
-              } catch (error) {
-                this.logger.error(`Error in listener for ${eventType}:`, error)
+                this._invoke(entry, args)
+              } finally {
+                this._settled()
               }
             }, 0)
-          } else if (this.config.errorHandling === 'suppress') {
-            try {
-              listener(eventType, data)
-            } catch (error) {
-              this.logger.error(`Error in listener for ${eventType}:`, error)
-            }
           } else {
-            listener(eventType, data)
+            this._invoke(entry, args)
           }
         } catch (error) {
           this.logger.error(`Fatal error in listener for ${eventType}:`, error)
         }
       })
 
-      return listeners.size
+      return listeners.length
     }
 
     /**
-     * Get number of listeners for an event
-     * @param {string} [eventType] - Event type to check. If not provided, returns total listeners
-     * @returns {number} Number of listeners
+     * Call a listener, or queue the call while it is at its concurrency limit.
+     * A returned Promise is tracked; its rejection is logged and counted.
+     * @param {Object} entry - Listener entry
+     * @param {Array} args - (eventType, data, meta)
+     * @param {boolean} [deferred=false] - Call comes from a concurrency backlog
      */
-    listenerCount(eventType) {
-      if (!eventType) {
-        let total = 0
-        this.events.forEach((listeners) => (total += listeners.size))
-        return total
+    _invoke(entry, args, deferred = false) {
+      if (entry.removed) return
+
+      if (entry.active >= entry.concurrency) {
+        entry.backlog.push(args)
+        if (entry.backlog.length > this.config.queueHighWaterMark) {
+          this._relieveBacklog(entry)
+        }
+        return
       }
 
-      const listeners = this.events.get(eventType)
-      return listeners ? listeners.size : 0
+      const eventType = args[0]
+      const started = utils.now()
+      let result
+
+      entry.active++
+      try {
+        result = entry.callback(...args)
+      } catch (error) {
+        this._profile(entry, eventType, utils.now() - started, true)
+        entry.active--
+        this._next(entry)
+        // Only a direct call can hand its error back to emit()
+        if (this.config.errorHandling === 'propagate' && !deferred) throw error
+        this.logger.error(`Error in listener for ${eventType}:`, error)
+        return
+      }
+
+      const blocking = utils.now() - started
+      if (!result || typeof result.then !== 'function') {
+        this._profile(entry, eventType, blocking, false, blocking)
+        entry.active--
+        this._next(entry)
+        return
+      }
+
+      this._profile(entry, eventType, blocking, false)
+      this.inFlight++
+      Promise.resolve(result)
+        .catch((error) => {
+          entry.profile.errors++
+          if (this.monitor) this.monitor.recordError()
+          this.logger.error(`Async listener for ${eventType} rejected:`, error)
+        })
+        .then(() => {
+          entry.profile.duration.record(utils.now() - started)
+          entry.active--
+          this._next(entry)
+          this._settled()
+        })
     }
 
     /**
-     * Get all registered event types
-     * @returns {string[]} Array of event type names
+     * Record one call of a listener or stage
+     * @param {Object} entry - Listener entry
+     * @param {string} eventType - Event it was called for
+     * @param {number} blocking - Main-thread time of the call (ms)
+     * @param {boolean} failed - Whether it threw
+     * @param {number} [duration] - Time until done, when known already
      */
-    eventNames() {
-      return Array.from(this.events.keys())
+    _profile(entry, eventType, blocking, failed, duration) {
+      const profile = entry.profile
+      profile.calls++
+      if (failed) profile.errors++
+      profile.blocking.record(blocking)
+      if (duration !== undefined) profile.duration.record(duration)
+      if (this.monitor) this.monitor.recordListener(eventType, blocking)
     }
-  }
 
-  // ============================================================================
-  // Performance Monitor
-  // ============================================================================
+    /**
+     * Timing of every current listener and pipeline stage
+     * @returns {Object[]} Profiles, most main-thread time first
+     */
+    getProfiles() {
+      const profiles = []
+      const collect = (kind) => (callbacks, eventType) =>
+        callbacks.forEach((entry) =>
+          profiles.push({
+            name: entry.name,
+            kind,
+            eventType,
+            calls: entry.profile.calls,
+            errors: entry.profile.errors,
+            blocking: entry.profile.blocking.summary(),
+            duration: entry.profile.duration.summary(),
+          })
+        )
 
-  class PerformanceMonitor {
-    constructor() {
-      this.metrics = {
-        totalEvents: 0,
-        eventsPerType: new Map(),
-        processingTimes: [],
-        avgProcessingTime: 0,
-        peakProcessingTime: 0,
-        droppedEvents: 0,
-        errors: 0,
-        startTime: Date.now(),
-        lastReset: Date.now(),
-      }
+      this.events.forEach(collect('listener'))
+      this.stages.forEach(collect('stage'))
+      return profiles.sort((a, b) => b.blocking.sum - a.blocking.sum)
+    }
+
+    /**
+     * Timing summed per event type and name, in subscription order. Several
+     * listeners sharing a name (anonymous ones, say) report as one.
+     * @returns {Object[]} { name, eventType, calls, errors, blocking } profiles
+     */
+    getMergedProfiles() {
+      const merged = new Map()
+      const collect = (callbacks, eventType) =>
+        callbacks.forEach((entry) => {
+          const key = `${eventType}\n${entry.name}`
+          if (!merged.has(key)) {
+            merged.set(key, {
+              name: entry.name,
+              eventType,
+              calls: 0,
+              errors: 0,
+              blocking: new LatencyHistogram(),
+            })
+          }
+          const profile = merged.get(key)
+          profile.calls += entry.profile.calls
+          profile.errors += entry.profile.errors
+          profile.blocking.merge(entry.profile.blocking)
+        })
 
-      this.maxSamples = 1000
+      this.events.forEach(collect)
+      this.stages.forEach(collect)
+      return Array.from(merged.values(), (profile) => ({
+        ...profile,
+        blocking: profile.blocking.summary(),
+      }))
     }
 
-    recordEvent(eventType, processingTime) {
-      this.metrics.totalEvents++
+    resetProfiles() {
+      const reset = (callbacks) =>
+        callbacks.forEach((entry) => {
+          entry.profile.calls = 0
+          entry.profile.errors = 0
+          entry.profile.blocking = new LatencyHistogram()
+          entry.profile.duration = new LatencyHistogram()
+        })
 
-      // Update per-type counter
-      const count = this.metrics.eventsPerType.get(eventType) || 0
-      this.metrics.eventsPerType.set(eventType, count + 1)
+      this.events.forEach(reset)
+      this.stages.forEach(reset)
+    }
 
-      // Record processing time
-      this.metrics.processingTimes.push(processingTime)
-      if (this.metrics.processingTimes.length > this.maxSamples) {
-        this.metrics.processingTimes.shift()
-      }
+    _settled() {
+      this.inFlight--
+      if (this.inFlight === 0 && this.onIdle) this.onIdle()
+    }
 
-      // Update statistics
-      this.metrics.avgProcessingTime =
-        this.metrics.processingTimes.reduce((a, b) => a + b, 0) /
-        this.metrics.processingTimes.length
+    /**
+     * Apply the backpressure policy to a listener backlog past the
+     * high-water mark. Batches drain into backlogs as soon as they are
+     * dispatched, so the queue alone never sees a slow listener fall behind.
+     * @param {Object} entry - Listener entry
+     */
+    _relieveBacklog(entry) {
+      const limit = this.config.queueHighWaterMark
+      const before = entry.backlog.length
+
+      switch (this.config.backpressure) {
+        case 'drop-oldest':
+          entry.backlog.splice(0, before - limit)
+          break
+
+        case 'coalesce': {
+          // Keep only the newest call of each event type, in arrival order
+          const seen = new Set()
+          entry.backlog = entry.backlog
+            .reverse()
+            .filter((args) => {
+              if (seen.has(args[0])) return false
+              seen.add(args[0])
+              return true
+            })
+            .reverse()
+
+          if (entry.backlog.length > limit) {
+            entry.backlog.splice(0, entry.backlog.length - limit)
+          }
+          break
+        }
 
-      if (processingTime > this.metrics.peakProcessingTime) {
-        this.metrics.peakProcessingTime = processingTime
+        case 'block':
+          // The queue holds further batches while this listener is busy
+          if (before === limit + 1) {
+            this.logger.warn(
+              `Backlog of listener ${entry.name} past high-water mark (${limit}); holding batches`
+            )
+          }
+          return
+
+        default:
+          return
+      }
+
+      const removed = before - entry.backlog.length
+      if (removed > 0 && this.monitor) {
+        this.monitor.recordBackpressureDrop(removed)
       }
     }
 
-    recordError() {
-      this.metrics.errors++
+    _next(entry) {
+      if (entry.backlog.length > 0 && entry.active < entry.concurrency) {
+        this._invoke(entry, entry.backlog.shift(), true)
+      }
     }
 
-    recordDropped() {
-      this.metrics.droppedEvents++
+    /**
+     * Collect the entries for an event whose payload filter passes,
+     * highest priority first
+     * @returns {Object[]} Entries in execution order
+     */
+    _collect(registry, eventType, data) {
+      return this._resolve(registry, eventType).filter((entry) =>
+        this._passesFilter(entry, data, eventType)
+      )
     }
 
-    getMetrics() {
-      const uptime = Date.now() - this.metrics.startTime
-      const rate = this.metrics.totalEvents / (uptime / 1000)
+    /**
+     * Look up the entries for an event type in dispatch order. Patterns are
+     * only matched the first time a type is seen after subscriptions change,
+     * so dispatch cost doesn't grow with the number of patterns.
+     * @returns {Object[]} Entries, before payload filters
+     */
+    _resolve(registry, eventType) {
+      const index = this.indexes.get(registry)
+      const cached = index.get(eventType)
+      if (cached) return cached
+
+      const matched = new Map()
+      const collect = (entry, callback) => {
+        if (matched.has(callback)) return
+        if (entry.exclude && entry.exclude(eventType)) return
+        matched.set(callback, entry)
+      }
 
-      return {
-        ...this.metrics,
+      // Direct callbacks first, then patterns
+      if (registry.has(eventType)) {
+        registry.get(eventType).forEach(collect)
+      }
+      registry.forEach((callbacks, pattern) => {
+        if (isPattern(pattern) && compilePattern(pattern)(eventType)) {
+          callbacks.forEach(collect)
+        }
+      })
+
+      const entries = Array.from(matched.values()).sort(
+        (a, b) => b.priority - a.priority || a.seq - b.seq
+      )
+      return remember(index, eventType, entries)
+    }
+
+    /**
+     * Run pipeline stages over a frozen copy of the payload
+     * @returns {Object} Frozen annotations contributed by the stages
+     */
+    _runPipeline(stages, eventType, data) {
+      const frozen = utils.deepFreeze(utils.deepClone(data))
+      let annotations = NO_ANNOTATIONS
+
+      stages.forEach((entry) => {
+        const started = utils.now()
+        try {
+          const result = entry.callback(eventType, frozen, annotations)
+          const elapsed = utils.now() - started
+          this._profile(entry, eventType, elapsed, false, elapsed)
+          if (result && typeof result === 'object') {
+            annotations = Object.freeze({ ...annotations, ...result })
+          }
+        } catch (error) {
+          const elapsed = utils.now() - started
+          this._profile(entry, eventType, elapsed, true, elapsed)
+          // A failing stage is skipped; the rest of the pipeline still runs
+          if (this.config.errorHandling === 'propagate') throw error
+          this.logger.error(`Error in pipeline stage for ${eventType}:`, error)
+        }
+      })
+
+      return annotations
+    }
+
+    _passesFilter(entry, data, eventType) {
+      if (!entry.filter) return true
+
+      try {
+        return Boolean(entry.filter(data, eventType))
+      } catch (error) {
+        this.logger.error(`Error in payload filter for ${eventType}:`, error)
+        return false
+      }
+    }
+
+    /**
+     * Get number of listeners for an event
+     * @param {string} [eventType] - Event type to check. If not provided, returns total listeners
+     * @returns {number} Number of listeners
+     */
+    listenerCount(eventType) {
+      if (!eventType) {
+        let total = 0
+        this.events.forEach((listeners) => (total += listeners.size))
+        return total
+      }
+
+      const listeners = this.events.get(eventType)
+      return listeners ? listeners.size : 0
+    }
+
+    /**
+     * Get all registered event types
+     * @returns {string[]} Array of event type names
+     */
+    eventNames() {
+      return Array.from(this.events.keys())
+    }
+  }
+
+  // ============================================================================
+  // Performance Monitor
+  // ============================================================================
+
+  // Latency histogram layout: bucket i holds samples up to
+  // LATENCY_FLOOR * 2^(i / LATENCY_STEPS) ms, about 19% apart; the last
+  // bucket (~2 minutes) also takes everything above
+  const LATENCY_FLOOR = 0.01
+  const LATENCY_STEPS = 4
+  const LATENCY_BUCKETS = 96
+
+  const MAX_SAMPLES = 1000
+
+  /**
+   * Streaming latency histogram with fixed memory, for percentiles over
+   * every sample since the last reset
+   */
+  class LatencyHistogram {
+    constructor() {
+      this.buckets = new Uint32Array(LATENCY_BUCKETS)
+      this.count = 0
+      this.sum = 0
+      this.max = 0
+    }
+
+    record(ms) {
+      const bucket =
+        ms <= LATENCY_FLOOR
+          ? 0
+          : Math.min(
+              LATENCY_BUCKETS - 1,
+              Math.ceil(Math.log2(ms / LATENCY_FLOOR) * LATENCY_STEPS)
+            )
+      this.buckets[bucket]++
+      this.count++
+      this.sum += ms
+      if (ms > this.max) this.max = ms
+    }
+
+    /**
+     * Add the samples of another histogram to this one
+     * @param {LatencyHistogram} other - Histogram to add
+     * @returns {LatencyHistogram} This histogram
+     */
+    merge(other) {
+      for (let i = 0; i < LATENCY_BUCKETS; i++) {
+        this.buckets[i] += other.buckets[i]
+      }
+      this.count += other.count
+      this.sum += other.sum
+      if (other.max > this.max) this.max = other.max
+      return this
+    }
+
+    /**
+     * @param {number} fraction - e.g. 0.95
+     * @returns {number} Upper bound of the bucket holding that percentile (ms)
+     */
+    percentile(fraction) {
+      if (this.count === 0) return 0
+
+      const rank = Math.ceil(fraction * this.count)
+      let seen = 0
+      for (let i = 0; i < LATENCY_BUCKETS; i++) {
+        seen += this.buckets[i]
+        if (seen >= rank) {
+          return Math.min(this.max, LATENCY_FLOOR * Math.pow(2, i / LATENCY_STEPS))
+        }
+      }
+      return this.max
+    }
+
+    /**
+     * @returns {Object} { count, sum, avg, p50, p95, p99, max } in ms
+     */
+    summary() {
+      return {
+        count: this.count,
+        sum: this.sum,
+        avg: this.count > 0 ? this.sum / this.count : 0,
+        p50: this.percentile(0.5),
+        p95: this.percentile(0.95),
+        p99: this.percentile(0.99),
+        max: this.max,
+      }
+    }
+  }
+
+  /**
+   * Fixed-size ring of the most recent samples with a running sum
+   */
+  class SampleRing {
+    constructor(size) {
+      this.samples = new Float64Array(size)
+      this.next = 0
+      this.length = 0
+      this.sum = 0
+    }
+
+    push(value) {
+      if (this.length === this.samples.length) {
+        this.sum -= this.samples[this.next]
+      } else {
+        this.length++
+      }
+      this.samples[this.next] = value
+      this.sum += value
+      this.next = (this.next + 1) % this.samples.length
+    }
+
+    get average() {
+      return this.length > 0 ? this.sum / this.length : 0
+    }
+
+    /**
+     * @returns {number[]} Samples, oldest first
+     */
+    toArray() {
+      const start = this.length === this.samples.length ? this.next : 0
+      const result = new Array(this.length)
+      for (let i = 0; i < this.length; i++) {
+        result[i] = this.samples[(start + i) % this.samples.length]
+      }
+      return result
+    }
+  }
+
+  class PerformanceMonitor {
+    constructor() {
+      this.metrics = {
+        totalEvents: 0,
+        eventsPerType: new Map(),
+        avgProcessingTime: 0,
+        peakProcessingTime: 0,
+        droppedEvents: 0,
+        errors: 0,
+        validationErrors: 0,
+        validationErrorsPerType: new Map(),
+        undecodableFrames: 0,
+        skippedFrames: 0,
+        frozenPayloads: 0,
+        freezeTime: 0,
+        backpressureDrops: 0,
+        coalescedEvents: 0,
+        coalescedPerType: new Map(),
+        idleSlices: 0,
+        budgetOverruns: 0,
+        budgetOverrunTime: 0,
+        startTime: Date.now(),
+        lastReset: Date.now(),
+      }
+
+      this._resetLatency()
+    }
+
+    _resetLatency() {
+      this.processingTimes = new SampleRing(MAX_SAMPLES)
+      this.processingLatency = new LatencyHistogram()
+      this.queueWait = new LatencyHistogram()
+      this.listenerLatency = new LatencyHistogram()
+      this.latencyPerType = new Map()
+    }
+
+    _typeLatency(eventType) {
+      let latency = this.latencyPerType.get(eventType)
+      if (!latency) {
+        latency = {
+          queueWait: new LatencyHistogram(),
+          listeners: new LatencyHistogram(),
+        }
+        this.latencyPerType.set(eventType, latency)
+      }
+      return latency
+    }
+
+    recordEvent(eventType, processingTime) {
+      this.metrics.totalEvents++
+
+      // Update per-type counter
+      const count = this.metrics.eventsPerType.get(eventType) || 0
+      this.metrics.eventsPerType.set(eventType, count + 1)
+
+      // Record processing time
+      this.processingTimes.push(processingTime)
+      this.processingLatency.record(processingTime)
+      this.metrics.avgProcessingTime = this.processingTimes.average
+
+      if (processingTime > this.metrics.peakProcessingTime) {
+        this.metrics.peakProcessingTime = processingTime
+      }
+    }
+
+    /**
+     * Time an event spent queued, from receipt to dispatch
+     */
+    recordQueueWait(eventType, ms) {
+      this.queueWait.record(ms)
+      this._typeLatency(eventType).queueWait.record(ms)
+    }
+
+    /**
+     * Main-thread time of one listener or pipeline stage call
+     */
+    recordListener(eventType, ms) {
+      this.listenerLatency.record(ms)
+      this._typeLatency(eventType).listeners.record(ms)
+    }
+
+    recordError() {
+      this.metrics.errors++
+    }
+
+    recordDropped() {
+      this.metrics.droppedEvents++
+    }
+
+    recordUndecodable() {
+      this.metrics.undecodableFrames++
+    }
+
+    recordSkipped() {
+      this.metrics.skippedFrames++
+    }
+
+    recordSlice(elapsed, budget) {
+      this.metrics.idleSlices++
+      if (elapsed > budget) {
+        this.metrics.budgetOverruns++
+        this.metrics.budgetOverrunTime += elapsed - budget
+      }
+    }
+
+    recordCoalesced(eventType) {
+      this.metrics.coalescedEvents++
+      const count = this.metrics.coalescedPerType.get(eventType) || 0
+      this.metrics.coalescedPerType.set(eventType, count + 1)
+    }
+
+    recordBackpressureDrop(count) {
+      this.metrics.backpressureDrops += count
+    }
+
+    recordFreeze(time) {
+      this.metrics.frozenPayloads++
+      this.metrics.freezeTime += time
+    }
+
+    recordValidationError(eventType) {
+      this.metrics.validationErrors++
+      const count = this.metrics.validationErrorsPerType.get(eventType) || 0
+      this.metrics.validationErrorsPerType.set(eventType, count + 1)
+    }
+
+    getMetrics() {
+      const uptime = Date.now() - this.metrics.startTime
+      const rate = this.metrics.totalEvents / (uptime / 1000)
+
+      const latencyPerType = new Map()
+      this.latencyPerType.forEach((latency, eventType) =>
+        latencyPerType.set(eventType, {
+          queueWait: latency.queueWait.summary(),
+          listeners: latency.listeners.summary(),
+        })
+      )
+
+      return {
+        ...this.metrics,
+        processingTimes: this.processingTimes.toArray(),
+        processingLatency: this.processingLatency.summary(),
+        queueWait: this.queueWait.summary(),
+        listenerLatency: this.listenerLatency.summary(),
+        latencyPerType: latencyPerType,
         uptime: uptime,
         eventsPerSecond: rate.toFixed(2),
         topEvents: Array.from(this.metrics.eventsPerType.entries())
@@ -453,11 +1470,23 @@
     reset() {
       this.metrics.totalEvents = 0
       this.metrics.eventsPerType.clear()
-      this.metrics.processingTimes = []
+      this._resetLatency()
       this.metrics.avgProcessingTime = 0
       this.metrics.peakProcessingTime = 0
       this.metrics.droppedEvents = 0
       this.metrics.errors = 0
+      this.metrics.validationErrors = 0
+      this.metrics.validationErrorsPerType.clear()
+      this.metrics.undecodableFrames = 0
+      this.metrics.skippedFrames = 0
+      this.metrics.frozenPayloads = 0
+      this.metrics.freezeTime = 0
+      this.metrics.backpressureDrops = 0
+      this.metrics.coalescedEvents = 0
+      this.metrics.coalescedPerType.clear()
+      this.metrics.idleSlices = 0
+      this.metrics.budgetOverruns = 0
+      this.metrics.budgetOverrunTime = 0
       this.metrics.lastReset = Date.now()
     }
   }
@@ -467,12 +1496,14 @@
   // ============================================================================
 
   class EventDiscovery {
-    constructor(config, logger) {
+    constructor(config, logger, shapes) {
       this.config = config
       this.logger = logger
+      this.shapes = shapes
       this.discoveries = new Map()
       this.isDiscovering = false
       this.discoveryResolve = null
+      this.onChange = null // Called when discovery starts or stops
     }
 
     /**
@@ -488,6 +1519,7 @@
       this.isDiscovering = true
       this.discoveries.clear()
       this.logger.info(`Starting event discovery for ${duration}ms`)
+      if (this.onChange) this.onChange()
 
       return new Promise((resolve) => {
         this.discoveryResolve = resolve
@@ -502,6 +1534,7 @@
       if (!this.isDiscovering) return
 
       this.isDiscovering = false
+      if (this.onChange) this.onChange()
       const results = this.getResults()
       this.logger.info(
         `Discovery complete. Found ${results.length} event types`
@@ -540,496 +1573,4586 @@
     }
 
     getResults() {
-      return Array.from(this.discoveries.values()).sort(
-        (a, b) => b.count - a.count
-      )
+      return Array.from(this.discoveries.values())
+        .map((discovery) => ({
+          ...discovery,
+          schema: this.shapes ? this.shapes.getTypeSchema(discovery.type) : null,
+        }))
+        .sort((a, b) => b.count - a.count)
     }
   }
 
   // ============================================================================
-  // Message Queue for Batching
+  // Schema Validation
   // ============================================================================
 
-  class MessageQueue {
-    constructor(config, processor) {
-      this.config = config
-      this.processor = processor
-      this.queue = []
-      this.timer = null
-      this.processing = false
-      this.logger = null // Will be set when config is updated
+  // Channel that receives payloads rejected by validation
+  const VALIDATION_ERROR_EVENT = 'validation_error'
+
+  const ITEM_SHAPE = { itemHrid: 'string', count: 'number' }
+  const SKILL_SHAPE = { skillHrid: 'string', level: 'number' }
+
+  /**
+   * Structural checks for well-known events. Deliberately lenient: only the
+   * fields the library and common addons rely on are required.
+   */
+  const BUILTIN_SCHEMAS = {
+    init_character_data: {
+      character: { name: 'string' },
+      characterSkills: [SKILL_SHAPE],
+      characterItems: [ITEM_SHAPE],
+    },
+    items_updated: (data, validate) => {
+      if (
+        !Array.isArray(data.characterItems) &&
+        !Array.isArray(data.endCharacterItems)
+      ) {
+        return ['characterItems: expected array']
+      }
+      return validate(data, {
+        'characterItems?': [ITEM_SHAPE],
+        'endCharacterItems?': [ITEM_SHAPE],
+      })
+    },
+    action_completed: {
+      'characterItems?': [ITEM_SHAPE],
+      'endCharacterItems?': [ITEM_SHAPE],
+      'characterSkills?': [SKILL_SHAPE],
+      'endCharacterSkills?': [SKILL_SHAPE],
+    },
+  }
+
+  /**
+   * Describe the type of a value the way schemas name types
+   * @param {*} value - Value to describe
+   * @returns {string} Type name
+   */
+  const typeOf = (value) => {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    return typeof value
+  }
+
+  /**
+   * Check a value against a structural schema
+   *
+   * A schema is one of:
+   * - a type name: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'null' | 'any'
+   * - an object mapping field names to schemas (suffix a name with `?` to make it optional)
+   * - a one-element array `[schema]` describing every element of an array
+   * - a function `(value, validate) => true | false | string | string[]`
+   *
+   * @param {*} value - Value to check
+   * @param {*} schema - Schema to check against
+   * @param {string} [path=''] - Path of the value, used in error messages
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  const validateShape = (value, schema, path = '') => {
+    const at = path || '(root)'
+
+    if (typeof schema === 'function') {
+      const result = schema(value, (v, s) => validateShape(v, s))
+      if (result === true || result === undefined) return []
+      if (result === false) return [`${at}: failed custom validator`]
+      const errors = Array.isArray(result) ? result : [result]
+      return errors.map((error) => (path ? `${path}: ${error}` : error))
     }
 
-    updateConfig(newConfig) {
-      const oldInterval = this.config.batchInterval
-      this.config = newConfig
-      this.logger = new Logger(this.config) // Create logger for debug messages
+    if (typeof schema === 'string') {
+      const actual = typeOf(value)
+      if (schema === 'any' || schema === actual) return []
+      return [`${at}: expected ${schema}, got ${actual}`]
+    }
 
-      // If batchInterval changed and we have a running timer, restart it
-      if (oldInterval !== newConfig.batchInterval && this.timer) {
-        this.logger.debug(
-          `Restarting batch timer: ${oldInterval}ms → ${newConfig.batchInterval}ms`
-        )
-        clearTimeout(this.timer)
-        this.timer = setTimeout(() => this.flush(), this.config.batchInterval)
+    if (Array.isArray(schema)) {
+      if (!Array.isArray(value)) {
+        return [`${at}: expected array, got ${typeOf(value)}`]
       }
+      const errors = []
+      value.forEach((element, index) => {
+        errors.push(...validateShape(element, schema[0], `${path}[${index}]`))
+      })
+      return errors
     }
 
-    add(message) {
-      if (!this.config.enableBatching) {
-        // Process immediately if batching is disabled
-        this.processor([message])
-        return
+    if (schema && typeof schema === 'object') {
+      if (typeOf(value) !== 'object') {
+        return [`${at}: expected object, got ${typeOf(value)}`]
       }
+      const errors = []
+      Object.keys(schema).forEach((rawKey) => {
+        const optional = rawKey.endsWith('?')
+        const key = optional ? rawKey.slice(0, -1) : rawKey
+        const fieldPath = path ? `${path}.${key}` : key
+
+        if (value[key] === undefined) {
+          if (!optional) errors.push(`${fieldPath}: missing`)
+          return
+        }
+        errors.push(...validateShape(value[key], schema[rawKey], fieldPath))
+      })
+      return errors
+    }
 
-      this.queue.push(message)
+    throw new TypeError(`Invalid schema at ${at}`)
+  }
 
-      // Start timer if not already running
-      if (!this.timer) {
-        if (this.logger) {
-          this.logger.debug(
-            `Starting batch timer with ${this.config.batchInterval}ms interval (queue: ${this.queue.length})`
-          )
-        }
-        this.timer = setTimeout(() => this.flush(), this.config.batchInterval)
+  /**
+   * Registry of per-event-type schemas. Instance registries fall back to the
+   * shared global registry, which holds the built-in schemas.
+   */
+  class SchemaRegistry {
+    constructor(parent = null) {
+      this.parent = parent
+      this.schemas = new Map()
+      this.revision = 0
+      this.results = new WeakMap()
+      this.resultsRevision = 0
+    }
+
+    /**
+     * Register (or replace) the schema for an event type
+     * @param {string} eventType - Event type
+     * @param {*} schema - Structural schema or validator function
+     * @returns {Function} Function that removes the schema again
+     */
+    register(eventType, schema) {
+      if (
+        schema === null ||
+        (typeof schema !== 'function' && typeof schema !== 'object')
+      ) {
+        throw new TypeError('Schema must be an object, array or function')
       }
 
-      // Flush if queue is full
-      if (this.queue.length >= this.config.maxBatchSize) {
-        this.flush()
+      this.schemas.set(eventType, schema)
+      this.revision++
+      return () => {
+        if (this.schemas.get(eventType) === schema) {
+          this.schemas.delete(eventType)
+          this.revision++
+        }
       }
     }
 
-    flush() {
-      if (this.processing || this.queue.length === 0) return
+    /**
+     * Revision of this registry and every parent, so memoized results are
+     * dropped when a schema changes anywhere up the chain
+     * @returns {number} Sum of revisions (grows with every change)
+     */
+    getRevision() {
+      return this.revision + (this.parent ? this.parent.getRevision() : 0)
+    }
 
-      this.processing = true
+    get(eventType) {
+      if (this.schemas.has(eventType)) return this.schemas.get(eventType)
+      return this.parent ? this.parent.get(eventType) : undefined
+    }
 
-      // Clear timer
-      if (this.timer) {
-        clearTimeout(this.timer)
-        this.timer = null
+    has(eventType) {
+      return this.get(eventType) !== undefined
+    }
+
+    /**
+     * Validate a payload. Results are memoized per payload object so several
+     * instances validating the same frame only pay once.
+     * @param {string} eventType - Event type
+     * @param {*} data - Payload
+     * @returns {{valid: boolean, errors: string[]}} Validation result
+     */
+    validate(eventType, data) {
+      const schema = this.get(eventType)
+      if (schema === undefined) return { valid: true, errors: [] }
+
+      const revision = this.getRevision()
+      if (revision !== this.resultsRevision) {
+        this.results = new WeakMap()
+        this.resultsRevision = revision
       }
 
-      // Process batch
-      const batch = this.queue.splice(0, this.config.maxBatchSize)
+      const cacheable = data !== null && typeof data === 'object'
+      if (cacheable && this.results.has(data)) {
+        return this.results.get(data)
+      }
 
+      let errors
       try {
-        this.processor(batch)
+        errors = validateShape(data, schema)
       } catch (error) {
-        console.error('[MWI-Moonitoring] Batch processing error:', error)
-      } finally {
-        this.processing = false
-
-        // Schedule next batch if queue has items
-        if (this.queue.length > 0 && !this.timer) {
-          if (this.logger) {
-            this.logger.debug(
-              `Scheduling next batch timer with ${this.config.batchInterval}ms interval (remaining: ${this.queue.length})`
-            )
-          }
-          this.timer = setTimeout(() => this.flush(), this.config.batchInterval)
-        }
-      }
-    }
-
-    clear() {
-      this.queue = []
-      if (this.timer) {
-        clearTimeout(this.timer)
-        this.timer = null
+        errors = [`(root): validator threw: ${error.message}`]
       }
-    }
 
-    size() {
-      return this.queue.length
+      const result = { valid: errors.length === 0, errors }
+      if (cacheable) this.results.set(data, result)
+      return result
     }
   }
 
+  // Shared registry holding built-in and globally registered schemas
+  const globalSchemas = new SchemaRegistry()
+  Object.keys(BUILTIN_SCHEMAS).forEach((eventType) =>
+    globalSchemas.register(eventType, BUILTIN_SCHEMAS[eventType])
+  )
+
   // ============================================================================
-  // Global WebSocket Hook (Shared across all instances)
+  // Shape Inference & Drift Detection
   // ============================================================================
 
-  class GlobalWebSocketHook {
-    constructor() {
-      this.isHooked = false
-      this.originalGet = null
-      this.instances = new Set()
+  const SHAPES_FORMAT = 'mwi-moonitoring-shapes'
+  const SHAPES_FORMAT_VERSION = 1
+
+  // Object keys that are data rather than field names (HRIDs, numeric ids)
+  // collapse into a single '*' path segment
+  const isDynamicKey = (key) => key[0] === '/' || /^\d+$/.test(key)
+
+  /**
+   * Builds a field-level schema per event type from observed payloads:
+   * key paths, value types, required versus optional, and array elements
+   * (paths like `characterItems[].count`).
+   */
+  class ShapeInferrer {
+    constructor(options = {}) {
+      this.maxArrayElements = options.maxArrayElements || 20
+      this.maxDepth = options.maxDepth || 10
+      this.shapes = new Map()
     }
 
-    addInstance(instance) {
-      this.instances.add(instance)
-      if (!this.isHooked) {
-        this.installHook()
+    observe(eventType, data) {
+      if (!this.shapes.has(eventType)) {
+        this.shapes.set(eventType, {
+          samples: 0,
+          fields: new Map(),
+          containers: new Map(),
+        })
       }
+
+      const shape = this.shapes.get(eventType)
+      shape.samples++
+      this._walk(shape, data, '', 0)
     }
 
-    removeInstance(instance) {
-      this.instances.delete(instance)
-      if (this.instances.size === 0 && this.isHooked) {
-        this.removeHook()
+    _field(shape, path, parent) {
+      if (!shape.fields.has(path)) {
+        shape.fields.set(path, { types: new Set(), present: 0, parent })
       }
+      return shape.fields.get(path)
     }
 
-    installHook() {
-      if (this.isHooked) {
-        return
+    _walk(shape, value, path, depth) {
+      const type = typeOf(value)
+      if (path) {
+        shape.fields.get(path).types.add(type)
       }
-
-      try {
-        const dataProperty = Object.getOwnPropertyDescriptor(
-          MessageEvent.prototype,
-          'data'
-        )
-
-        if (!dataProperty || !dataProperty.get) {
-          throw new Error('Cannot access MessageEvent.prototype.data')
-        }
-
-        this.originalGet = dataProperty.get
-        const self = this
-
-        dataProperty.get = function hookedGet() {
-          const socket = this.currentTarget
-
-          // Check if this is a WebSocket
-          if (!(socket instanceof WebSocket)) {
-            return self.originalGet.call(this)
+      if (depth >= this.maxDepth) return
+
+      if (type === 'object') {
+        shape.containers.set(path, (shape.containers.get(path) || 0) + 1)
+
+        // Count presence once per object, even when dynamic keys collapse
+        const present = new Set()
+        Object.keys(value).forEach((key) => {
+          const segment = isDynamicKey(key) ? '*' : key
+          const childPath = path ? `${path}.${segment}` : segment
+          const field = this._field(shape, childPath, path)
+          if (!present.has(childPath)) {
+            present.add(childPath)
+            field.present++
           }
+          this._walk(shape, value[key], childPath, depth + 1)
+        })
+      } else if (type === 'array') {
+        const elementPath = `${path}[]`
+        const limit = Math.min(value.length, this.maxArrayElements)
+        for (let i = 0; i < limit; i++) {
+          this._field(shape, elementPath, null).present++
+          this._walk(shape, value[i], elementPath, depth + 1)
+        }
+      }
+    }
 
-          // Check if this is an MWI WebSocket
-          const isMWISocket = WS_ENDPOINTS.some(
-            (endpoint) => socket.url && socket.url.indexOf(endpoint) > -1
-          )
-
-          if (!isMWISocket) {
-            return self.originalGet.call(this)
+    /**
+     * Get the inferred schema of one event type
+     * @param {string} eventType - Event type
+     * @returns {Object|null} Serializable type schema
+     */
+    getTypeSchema(eventType) {
+      const shape = this.shapes.get(eventType)
+      if (!shape) return null
+
+      const fields = {}
+      Array.from(shape.fields.keys())
+        .sort()
+        .forEach((path) => {
+          const field = shape.fields.get(path)
+          fields[path] = {
+            types: Array.from(field.types).sort(),
+            required:
+              field.parent === null ||
+              field.present >= (shape.containers.get(field.parent) || 0),
           }
+        })
 
-          // Get the original message
-          const message = self.originalGet.call(this)
-
-          // Prevent infinite loop
-          Object.defineProperty(this, 'data', { value: message })
-
-          // Process the message asynchronously to avoid blocking
-          setTimeout(() => self.distributeMessage(message), 0)
-
-          return message
-        }
+      return { samples: shape.samples, fields }
+    }
 
-        Object.defineProperty(MessageEvent.prototype, 'data', dataProperty)
+    /**
+     * Get the inferred schema of every observed event type
+     * @returns {Object} Serializable schema, usable as a drift baseline
+     */
+    getSchema() {
+      const types = {}
+      Array.from(this.shapes.keys())
+        .sort()
+        .forEach((eventType) => (types[eventType] = this.getTypeSchema(eventType)))
 
-        this.isHooked = true
-        console.log(
-          '[MWI-Moonitoring] Global WebSocket hook installed successfully'
-        )
-      } catch (error) {
-        console.error(
-          '[MWI-Moonitoring] Failed to install WebSocket hook:',
-          error
-        )
-        throw error
+      return {
+        format: SHAPES_FORMAT,
+        formatVersion: SHAPES_FORMAT_VERSION,
+        libraryVersion: VERSION,
+        generatedAt: Date.now(),
+        types,
       }
     }
 
-    removeHook() {
-      if (!this.isHooked || !this.originalGet) {
-        return
-      }
-
-      try {
-        const dataProperty = Object.getOwnPropertyDescriptor(
-          MessageEvent.prototype,
-          'data'
-        )
+    clear() {
+      this.shapes.clear()
+    }
+  }
 
-        dataProperty.get = this.originalGet
-        Object.defineProperty(MessageEvent.prototype, 'data', dataProperty)
+  /**
+   * Parse a saved schema from JSON or an already parsed object
+   * @param {string|Object} input - Output of getInferredSchema()
+   * @returns {Object} Schema object
+   */
+  const parseShapes = (input) => {
+    const schema = typeof input === 'string' ? utils.safeParse(input) : input
+    if (!schema || schema.format !== SHAPES_FORMAT || !schema.types) {
+      throw new Error(`Invalid schema: expected ${SHAPES_FORMAT} data`)
+    }
+    return schema
+  }
 
-        this.isHooked = false
-        this.originalGet = null
-        console.log('[MWI-Moonitoring] Global WebSocket hook removed')
-      } catch (error) {
-        console.error(
-          '[MWI-Moonitoring] Failed to remove WebSocket hook:',
-          error
-        )
+  /**
+   * Check whether a path lies inside array elements a schema knows nothing
+   * about: the array was only ever seen empty, so `path[]` was never walked
+   * @param {string} path - Field path, e.g. 'characterItems[].count'
+   * @param {Object} fields - Fields of one type schema
+   * @returns {boolean} True if the element shape is unknown
+   */
+  const isUnknownElementPath = (path, fields) => {
+    let index = path.indexOf('[]')
+    while (index !== -1) {
+      const arrayPath = path.slice(0, index)
+      const array = fields[arrayPath]
+      if (array && array.types.includes('array') && !fields[`${arrayPath}[]`]) {
+        return true
       }
+      index = path.indexOf('[]', index + 2)
     }
+    return false
+  }
 
-    distributeMessage(message) {
-      // Quick validation at global level
-      if (typeof message !== 'string' || message.length < 2) {
-        return
-      }
+  /**
+   * Compare an inferred schema against a baseline
+   * @param {string|Object} baseline - Previously saved schema
+   * @param {string|Object} current - Schema to check
+   * @returns {Object} Drift report
+   */
+  const diffShapes = (baseline, current) => {
+    const before = parseShapes(baseline).types
+    const after = parseShapes(current).types
+
+    const report = {
+      hasDrift: false,
+      newTypes: Object.keys(after).filter((type) => !before[type]),
+      unseenTypes: Object.keys(before).filter((type) => !after[type]),
+      types: {},
+    }
 
-      // Quick JSON check
-      if (message[0] !== '{' && message[0] !== '[') {
-        return
-      }
+    Object.keys(after)
+      .filter((type) => before[type])
+      .forEach((type) => {
+        const oldFields = before[type].fields
+        const newFields = after[type].fields
+        const changes = {
+          added: [],
+          removed: [],
+          retyped: [],
+          requiredChanged: [],
+        }
 
-      // Parse JSON once at global level for efficiency
-      const data = utils.safeParse(message)
-      if (!data || !data.type) {
-        return
-      }
+        Object.keys(newFields).forEach((path) => {
+          const field = newFields[path]
+          const old = oldFields[path]
+          if (!old) {
+            if (!isUnknownElementPath(path, oldFields)) {
+              changes.added.push({ path, ...field })
+            }
+            return
+          }
+          if (old.types.join('|') !== field.types.join('|')) {
+            changes.retyped.push({ path, from: old.types, to: field.types })
+          }
+          if (old.required !== field.required) {
+            changes.requiredChanged.push({
+              path,
+              from: old.required,
+              to: field.required,
+            })
+          }
+        })
 
-      // Distribute to all instances
-      this.instances.forEach((instance) => {
-        try {
-          instance.receiveMessage(data.type, data, Date.now())
-        } catch (error) {
-          console.error(
-            '[MWI-Moonitoring] Error distributing message to instance:',
-            error
+        Object.keys(oldFields)
+          .filter(
+            (path) => !newFields[path] && !isUnknownElementPath(path, newFields)
           )
+          .forEach((path) => changes.removed.push({ path, ...oldFields[path] }))
+
+        if (
+          changes.added.length ||
+          changes.removed.length ||
+          changes.retyped.length ||
+          changes.requiredChanged.length
+        ) {
+          report.types[type] = changes
         }
       })
-    }
-  }
 
-  // Global hook instance (singleton)
-  const globalHook = new GlobalWebSocketHook()
+    report.hasDrift =
+      report.newTypes.length > 0 ||
+      report.unseenTypes.length > 0 ||
+      Object.keys(report.types).length > 0
+    return report
+  }
 
   // ============================================================================
-  // Per-Instance WebSocket Hook Manager
+  // Character State Store
   // ============================================================================
 
-  class WebSocketHookInstance {
-    constructor(config = {}) {
-      this.id = Math.random().toString(36).substr(2, 9) // Generate unique instance ID
-      this.config = { ...DEFAULT_CONFIG, ...config }
-      this.logger = new Logger(this.config)
-      this.emitter = new EventEmitter(this.config, this.logger)
-      this.monitor = new PerformanceMonitor()
-      this.discovery = new EventDiscovery(this.config, this.logger)
-      this.queue = new MessageQueue(this.config, this.processBatch.bind(this))
-      this.queue.updateConfig(this.config) // Initialize logger
-
-      this.eventHistory = []
-      this.eventCache = new Map()
-      this.isDestroyed = false
+  class CharacterStateStore {
+    constructor(config, logger) {
+      this.config = config
+      this.logger = logger
+      this.subscribers = new Map()
+      this.reducers = {
+        init_character_data: (data) => this._reduceInit(data),
+        items_updated: (data) => this._reduceItems(data),
+        action_completed: (data) => this._reduceAction(data),
+        skills_updated: (data) => this._reduceSkills(data),
+      }
+      this._resetState()
+    }
 
-      // Register with global hook
-      globalHook.addInstance(this)
+    _resetState() {
+      this.character = null
+      this.skills = new Map()
+      this.items = new Map()
+      this.snapshots = new Map()
+      this.isInitialized = false
+      this.lastUpdated = null
+    }
 
-      this.logger.info(`WebSocket instance ${this.id} created`)
-      this._initialized = true
+    /**
+     * Clear all derived state and notify subscribers if anything was known
+     */
+    reset() {
+      const wasInitialized = this.isInitialized
+      this._resetState()
+      if (wasInitialized) {
+        this._notify(STATE_SLICES)
+      }
     }
 
     /**
-     * Destroy this instance and clean up resources
+     * Update state from a processed event
+     * @param {string} eventType - Event type
+     * @param {*} data - Event data
+     * @returns {string[]} Names of the slices that changed
      */
-    destroy() {
-      if (this.isDestroyed) return
+    apply(eventType, data) {
+      const reducer = this.reducers[eventType]
+      if (!reducer || !data || typeof data !== 'object') return []
+
+      const changed = reducer(data)
+      if (changed.length > 0) {
+        this.lastUpdated = Date.now()
+        changed.forEach((slice) => this.snapshots.delete(slice))
+        this._notify(changed)
+      }
+      return changed
+    }
 
-      this.isDestroyed = true
-      globalHook.removeInstance(this)
-      this.emitter.offAll()
-      this.eventHistory = []
-      this.eventCache.clear()
-      this.queue.clear()
-      this.monitor.reset()
+    _reduceInit(data) {
+      this.character = data.character ? utils.deepClone(data.character) : null
 
-      this.logger.info(`WebSocket instance ${this.id} destroyed`)
+      this.skills.clear()
+      this._upsertSkills(data.characterSkills)
+
+      this.items.clear()
+      this._upsertItems(data.characterItems)
+
+      this.isInitialized = true
+      this.logger.debug('Character state initialized')
+      return STATE_SLICES.slice()
     }
 
-    /**
-     * Check if this instance is ready to receive events
-     */
-    isReady() {
-      return !this.isDestroyed && globalHook.isHooked
+    _reduceItems(data) {
+      return this._upsertItems(data.endCharacterItems || data.characterItems)
     }
 
-    /**
-     * Receive a message from the global hook (already parsed)
-     */
-    receiveMessage(eventType, data, timestamp) {
-      if (this.isDestroyed) return
+    _reduceAction(data) {
+      const changed = this._upsertItems(
+        data.endCharacterItems || data.characterItems
+      )
+      if (this._upsertSkills(data.endCharacterSkills || data.characterSkills)) {
+        changed.push('skills')
+      }
+      return changed
+    }
 
-      const startTime = utils.now()
+    _reduceSkills(data) {
+      return this._upsertSkills(data.endCharacterSkills || data.characterSkills)
+        ? ['skills']
+        : []
+    }
 
-      try {
-        // Check blacklist
-        if (this.config.eventBlacklist.includes(eventType)) {
-          this.monitor.recordDropped()
-          return
+    _upsertSkills(skills) {
+      if (!Array.isArray(skills)) return false
+
+      let changed = false
+      skills.forEach((skill) => {
+        if (!skill || !skill.skillHrid) return
+        this.skills.set(skill.skillHrid, {
+          skillHrid: skill.skillHrid,
+          level: skill.level,
+          experience: skill.experience,
+        })
+        changed = true
+      })
+      return changed
+    }
+
+    _upsertItems(items) {
+      const changed = new Set()
+      if (!Array.isArray(items)) return []
+
+      const sliceOf = (location) =>
+        location === INVENTORY_LOCATION ? 'inventory' : 'equipment'
+
+      items.forEach((item) => {
+        if (!item || !item.itemHrid) return
+        const location = item.itemLocationHrid || INVENTORY_LOCATION
+        const enhancementLevel = item.enhancementLevel || 0
+        // The game's item id survives moves between locations; older
+        // payloads without it fall back to location, item and level
+        const key =
+          item.id != null
+            ? `id:${item.id}`
+            : `${location}:${item.itemHrid}:${enhancementLevel}`
+
+        // Moving an item (e.g. unequipping) updates it under the same id,
+        // so whatever location it was in before changes too
+        const previous = this.items.get(key)
+        if (previous) {
+          changed.add(sliceOf(previous.itemLocationHrid))
         }
 
-        // Check whitelist
-        if (
-          this.config.eventWhitelist.length > 0 &&
-          !this.config.eventWhitelist.includes(eventType)
-        ) {
-          this.monitor.recordDropped()
-          return
+        if (item.count > 0) {
+          // An equipment slot holds one item: drop whatever was swapped out
+          if (location !== INVENTORY_LOCATION) {
+            this._evictSlot(location, key)
+          }
+          const entry = {
+            itemHrid: item.itemHrid,
+            itemLocationHrid: location,
+            count: item.count,
+            enhancementLevel,
+          }
+          if (item.id != null) entry.id = item.id
+          this.items.set(key, entry)
+        } else {
+          this.items.delete(key)
         }
+        changed.add(sliceOf(location))
+      })
+      return Array.from(changed)
+    }
 
-        // Add to queue for batch processing
-        this.queue.add({
-          type: eventType,
-          data: data,
-          timestamp: timestamp,
-        })
+    _evictSlot(location, keepKey) {
+      this.items.forEach((stored, key) => {
+        if (key !== keepKey && stored.itemLocationHrid === location) {
+          this.items.delete(key)
+        }
+      })
+    }
 
-        // Record for discovery
-        if (this.config.enableDiscovery || this.discovery.isDiscovering) {
-          this.discovery.record(eventType, data)
+    _buildSnapshot(slice) {
+      switch (slice) {
+        case 'character':
+          return this.character ? utils.deepClone(this.character) : null
+        case 'skills': {
+          const skills = {}
+          this.skills.forEach((skill, hrid) => (skills[hrid] = { ...skill }))
+          return skills
         }
+        case 'inventory':
+          return Array.from(this.items.values())
+            .filter((item) => item.itemLocationHrid === INVENTORY_LOCATION)
+            .map((item) => ({ ...item }))
+        case 'equipment': {
+          const equipment = {}
+          this.items.forEach((item) => {
+            if (item.itemLocationHrid !== INVENTORY_LOCATION) {
+              equipment[item.itemLocationHrid] = { ...item }
+            }
+          })
+          return equipment
+        }
+      }
+    }
 
-        // Record performance metrics
-        const processingTime = utils.now() - startTime
-        this.monitor.recordEvent(eventType, processingTime)
-      } catch (error) {
-        this.monitor.recordError()
-        this.logger.error(`Error processing event ${eventType}:`, error)
+    _assertSlice(slice) {
+      if (!STATE_SLICES.includes(slice)) {
+        throw new Error(
+          `Unknown state slice: ${slice} (expected one of ${STATE_SLICES.join(', ')})`
+        )
       }
     }
 
     /**
-     * Process a batch of messages
+     * Get a frozen snapshot of a state slice
+     * @param {'character'|'skills'|'inventory'|'equipment'} slice - Slice name
+     * @returns {*} Frozen snapshot
      */
-    processBatch(messages) {
-      const startTime = utils.now()
-
-      messages.forEach((msg) => {
-        try {
-          // Add to history
-          if (this.eventHistory.length >= this.config.historySize) {
-            this.eventHistory.shift()
-          }
-          this.eventHistory.push(msg)
+    get(slice) {
+      this._assertSlice(slice)
+      if (!this.snapshots.has(slice)) {
+        this.snapshots.set(slice, utils.deepFreeze(this._buildSnapshot(slice)))
+      }
+      return this.snapshots.get(slice)
+    }
 
-          // Cache management
-          if (this.config.enableCache) {
-            this.eventCache.set(msg.type, msg)
+    /**
+     * Get frozen snapshots of every slice
+     * @returns {Object} Snapshot of all slices
+     */
+    getAll() {
+      const all = {}
+      STATE_SLICES.forEach((slice) => (all[slice] = this.get(slice)))
+      all.isInitialized = this.isInitialized
+      all.lastUpdated = this.lastUpdated
+      return all
+    }
 
-            // Limit cache size
-            if (this.eventCache.size > this.config.cacheSize) {
-              const firstKey = this.eventCache.keys().next().value
-              this.eventCache.delete(firstKey)
+    /**
+     * Subscribe to changes of one or more slices
+     * @param {string|string[]} slices - Slice name(s)
+     * @param {Function} callback - Receives (slice, snapshot)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(slices, callback) {
+      if (typeof callback !== 'function') {
+        throw new TypeError('Callback must be a function')
+      }
+
+      const names = Array.isArray(slices) ? slices : [slices]
+      names.forEach((slice) => this._assertSlice(slice))
+
+      names.forEach((slice) => {
+        if (!this.subscribers.has(slice)) {
+          this.subscribers.set(slice, new Set())
+        }
+        this.subscribers.get(slice).add(callback)
+      })
+
+      return () => {
+        names.forEach((slice) => {
+          const callbacks = this.subscribers.get(slice)
+          if (callbacks) {
+            callbacks.delete(callback)
+            if (callbacks.size === 0) {
+              this.subscribers.delete(slice)
             }
           }
+        })
+      }
+    }
 
-          // Emit to listeners
-          const listenerCount = this.emitter.emit(msg.type, msg.data)
+    unsubscribeAll() {
+      this.subscribers.clear()
+    }
 
-          if (listenerCount > 0) {
-            this.logger.debug(
-              `Event ${msg.type} emitted to ${listenerCount} listeners`
-            )
+    _notify(slices) {
+      slices.forEach((slice) => {
+        const callbacks = this.subscribers.get(slice)
+        if (!callbacks) return
+
+        const snapshot = this.get(slice)
+        callbacks.forEach((callback) => {
+          try {
+            callback(slice, snapshot)
+          } catch (error) {
+            this.logger.error(`Error in state subscriber for ${slice}:`, error)
           }
-        } catch (error) {
-          this.monitor.recordError()
-          this.logger.error(`Error processing event ${msg.type}:`, error)
+        })
+      })
+    }
+  }
+
+  // ============================================================================
+  // Persistent Event History (IndexedDB)
+  // ============================================================================
+
+  const HISTORY_DB_PREFIX = 'mwi-moonitoring-history:'
+  const HISTORY_STORE = 'events'
+
+  // Prune at most this often; writes in between only append
+  const PRUNE_INTERVAL = 60 * 1000
+
+  /**
+   * Wrap an IDBRequest in a Promise
+   * @param {IDBRequest} request - Request to wait for
+   * @returns {Promise<*>} Request result
+   */
+  const idbRequest = (request) =>
+    new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+
+  /**
+   * Wait for an IDBTransaction to complete
+   * @param {IDBTransaction} transaction - Transaction to wait for
+   * @returns {Promise<void>}
+   */
+  const idbTransaction = (transaction) =>
+    new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+
+  /**
+   * Streams processed events into IndexedDB with age and size retention, and
+   * answers queries by type, time range and predicate with cursor paging
+   */
+  class PersistentHistory {
+    constructor(config, logger) {
+      this.config = config
+      this.logger = logger
+
+      const backend = config.persistBackend || {}
+      this.indexedDB = backend.indexedDB || global.indexedDB
+      this.IDBKeyRange = backend.IDBKeyRange || global.IDBKeyRange
+
+      if (!this.indexedDB || !this.IDBKeyRange) {
+        throw new Error('IndexedDB is not available for persistent history')
+      }
+
+      this.name = HISTORY_DB_PREFIX + config.persistName
+      this.lastPrune = 0
+      this.pending = Promise.resolve()
+      this.db = null
+      this.ready = this._open()
+    }
+
+    _open() {
+      const request = this.indexedDB.open(this.name, 1)
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, {
+          keyPath: 'id',
+          autoIncrement: true,
+        })
+        store.createIndex('timestamp', 'timestamp')
+        store.createIndex('type_timestamp', ['type', 'timestamp'])
+      }
+
+      return idbRequest(request).then((db) => {
+        this.db = db
+        this.logger.info(`Persistent history opened: ${this.name}`)
+        return db
+      })
+    }
+
+    /**
+     * Append processed messages in a single transaction
+     * @param {Object[]} messages - Messages with type, data and timestamp
+     * @returns {Promise<void>}
+     */
+    write(messages) {
+      if (messages.length === 0) return this.pending
+
+      // Chain writes so they land in order and prune never overlaps a write
+      this.pending = this.pending
+        .then(() => this.ready)
+        .then((db) => {
+          const transaction = db.transaction(HISTORY_STORE, 'readwrite')
+          const store = transaction.objectStore(HISTORY_STORE)
+          messages.forEach((msg) =>
+            store.add({
+              type: msg.type,
+              data: unwrapPayloadDeep(msg.data),
+              timestamp: msg.timestamp,
+            })
+          )
+          return idbTransaction(transaction)
+        })
+        .then(() => {
+          if (Date.now() - this.lastPrune >= PRUNE_INTERVAL) {
+            return this.prune()
+          }
+        })
+        .catch((error) => {
+          this.logger.error('Failed to persist events:', error)
+        })
+
+      return this.pending
+    }
+
+    /**
+     * Apply retention limits: drop events older than persistMaxAge, then the
+     * oldest events beyond persistMaxEntries
+     * @returns {Promise<number>} Number of deleted events
+     */
+    async prune() {
+      const db = await this.ready
+      this.lastPrune = Date.now()
+
+      const transaction = db.transaction(HISTORY_STORE, 'readwrite')
+      const store = transaction.objectStore(HISTORY_STORE)
+      const index = store.index('timestamp')
+      let deleted = 0
+
+      const cutoff = Date.now() - this.config.persistMaxAge
+      await this._deleteWhile(
+        index.openCursor(this.IDBKeyRange.upperBound(cutoff, true)),
+        () => true,
+        () => deleted++
+      )
+
+      const total = await idbRequest(store.count())
+      let excess = total - this.config.persistMaxEntries
+      if (excess > 0) {
+        await this._deleteWhile(
+          index.openCursor(),
+          () => excess-- > 0,
+          () => deleted++
+        )
+      }
+
+      await idbTransaction(transaction)
+      if (deleted > 0) {
+        this.logger.debug(`Pruned ${deleted} persisted events`)
+      }
+      return deleted
+    }
+
+    _deleteWhile(request, shouldDelete, onDelete) {
+      return new Promise((resolve, reject) => {
+        request.onerror = () => reject(request.error)
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (!cursor || !shouldDelete(cursor.value)) {
+            resolve()
+            return
+          }
+          cursor.delete()
+          onDelete()
+          cursor.continue()
         }
       })
+    }
 
-      const batchTime = utils.now() - startTime
-      if (batchTime > 10) {
-        this.logger.warn(
-          `Batch processing took ${batchTime.toFixed(2)}ms for ${
-            messages.length
-          } messages`
+    /**
+     * Query persisted events
+     * @param {Object} [options] - Query options
+     * @param {string} [options.type] - Only this event type
+     * @param {number} [options.since] - Earliest timestamp (inclusive)
+     * @param {number} [options.until] - Latest timestamp (inclusive)
+     * @param {Function} [options.filter] - Predicate receiving each entry
+     * @param {number} [options.limit=100] - Page size
+     * @param {'asc'|'desc'} [options.order='desc'] - Newest or oldest first
+     * @param {Object} [options.cursor] - `nextCursor` of the previous page (repeat
+     *   the other options: the cursor only marks a position)
+     * @returns {Promise<{entries: Object[], nextCursor: Object|null}>} One page of results
+     */
+    async query(options = {}) {
+      await this.pending
+      const db = await this.ready
+
+      const order = options.order || 'desc'
+      const limit = options.limit || 100
+      const after = options.cursor || null
+
+      let lower = options.since !== undefined ? options.since : -Infinity
+      let upper = options.until !== undefined ? options.until : Infinity
+
+      // Resume from the previous page; equal timestamps are skipped by id below
+      if (after) {
+        if (order === 'asc') lower = Math.max(lower, after.timestamp)
+        else upper = Math.min(upper, after.timestamp)
+      }
+      if (lower > upper) return { entries: [], nextCursor: null }
+
+      const transaction = db.transaction(HISTORY_STORE, 'readonly')
+      const store = transaction.objectStore(HISTORY_STORE)
+      const range = options.type
+        ? this.IDBKeyRange.bound([options.type, lower], [options.type, upper])
+        : this.IDBKeyRange.bound(lower, upper)
+      const index = store.index(options.type ? 'type_timestamp' : 'timestamp')
+      const request = index.openCursor(range, order === 'asc' ? 'next' : 'prev')
+
+      const entries = []
+      let hasMore = false
+
+      await new Promise((resolve, reject) => {
+        request.onerror = () => reject(request.error)
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (!cursor) {
+            resolve()
+            return
+          }
+
+          const entry = cursor.value
+          const seen =
+            after &&
+            entry.timestamp === after.timestamp &&
+            (order === 'asc' ? entry.id <= after.id : entry.id >= after.id)
+
+          if (!seen && (!options.filter || options.filter(entry))) {
+            if (entries.length === limit) {
+              hasMore = true
+              resolve()
+              return
+            }
+            entries.push(entry)
+          }
+          cursor.continue()
+        }
+      })
+
+      const last = entries[entries.length - 1]
+      return {
+        entries,
+        nextCursor:
+          hasMore && last ? { timestamp: last.timestamp, id: last.id } : null,
+      }
+    }
+
+    async count() {
+      await this.pending
+      const db = await this.ready
+      const transaction = db.transaction(HISTORY_STORE, 'readonly')
+      return idbRequest(transaction.objectStore(HISTORY_STORE).count())
+    }
+
+    async clear() {
+      await this.pending
+      const db = await this.ready
+      const transaction = db.transaction(HISTORY_STORE, 'readwrite')
+      transaction.objectStore(HISTORY_STORE).clear()
+      return idbTransaction(transaction)
+    }
+
+    close() {
+      return this.pending
+        .then(() => this.ready)
+        .then((db) => db.close())
+        .catch(() => {})
+    }
+  }
+
+  // ============================================================================
+  // Message Queue for Batching
+  // ============================================================================
+
+  // Longest wait for an idle period before a slice runs anyway
+  const IDLE_CALLBACK_TIMEOUT = 500
+
+  /**
+   * Run a callback when the browser is idle, or on the next timer tick where
+   * requestIdleCallback is unavailable (Node, older Safari)
+   * @param {Function} callback - Receives an IdleDeadline, or null for the timer fallback
+   * @returns {Function} Cancels the callback
+   */
+  const scheduleIdle = (callback) => {
+    if (typeof requestIdleCallback === 'function') {
+      const handle = requestIdleCallback(callback, { timeout: IDLE_CALLBACK_TIMEOUT })
+      return () => cancelIdleCallback(handle)
+    }
+    const handle = setTimeout(() => callback(null), 0)
+    return () => clearTimeout(handle)
+  }
+
+  class MessageQueue {
+    /**
+     * @param {Object} config - Instance config
+     * @param {Function} processor - Receives each batch
+     * @param {Object} [hooks] - Backpressure and coalescing hooks
+     * @param {Function} [hooks.onDrop] - Called with the number of messages dropped or coalesced
+     * @param {Function} [hooks.isBusy] - True while listeners still have async work in flight
+     * @param {Function} [hooks.onCoalesce] - Called with the type of each message merged into a queued one
+     * @param {Function} [hooks.onSlice] - Called with (elapsed, budget) after each idle-scheduled slice
+     */
+    constructor(config, processor, hooks = {}) {
+      this.config = config
+      this.processor = processor
+      this.onDrop = hooks.onDrop || (() => {})
+      this.isBusy = hooks.isBusy || (() => false)
+      this.onCoalesce = hooks.onCoalesce || (() => {})
+      this.onSlice = hooks.onSlice || (() => {})
+      this.queue = []
+      this.cancelSlice = null // Pending idle slice
+      this.sliceRemaining = 0 // Messages of the current batch not processed yet
+      this.pendingByType = new Map() // Queued message per coalesced type
+      this.coalescePolicies = new Map() // Resolved policy per event type
+      this.timer = null
+      this.processing = false
+      this.isBlocked = false
+      this.logger = null // Will be set when config is updated
+    }
+
+    updateConfig(newConfig) {
+      const oldInterval = this.config.batchInterval
+      this.config = newConfig
+      this.logger = new Logger(this.config) // Create logger for debug messages
+      this.coalescePolicies.clear()
+
+      // If batchInterval changed and we have a running timer, restart it
+      if (oldInterval !== newConfig.batchInterval && this.timer) {
+        this.logger.debug(
+          `Restarting batch timer: ${oldInterval}ms → ${newConfig.batchInterval}ms`
         )
+        clearTimeout(this.timer)
+        this.timer = setTimeout(() => this.flush(), this.config.batchInterval)
+      }
+
+      // Policy no longer blocks
+      if (this.isBlocked && newConfig.backpressure !== 'block') {
+        this.resume()
       }
     }
 
-    configure(options) {
-      const oldConfig = { ...this.config }
-      this.config = { ...this.config, ...options }
+    add(message) {
+      message.receivedAt = utils.now()
 
-      // Create new logger with updated config
-      this.logger = new Logger(this.config)
+      if (!this.config.enableBatching) {
+        // 'block' still holds messages while async listeners are busy
+        const mustWait =
+          this.isBlocked ||
+          (this.config.backpressure === 'block' && this.isBusy())
+        if (!mustWait) {
+          // Process immediately if batching is disabled
+          this.processor([message])
+          return
+        }
+        this.queue.push(message)
+        this.isBlocked = true
+        return
+      }
 
-      // Update components with new config
-      this.emitter.config = this.config
-      this.discovery.config = this.config
-      this.queue.updateConfig(this.config)
+      // Merge into the queued message of the same type
+      if (this.coalesceInto(message)) return
 
-      this.logger.info(`Instance ${this.id} configuration updated:`, {
-        ...options,
-        _batchIntervalChanged:
-          oldConfig.batchInterval !== this.config.batchInterval,
+      this.queue.push(message)
+
+      if (this.queue.length > this.config.queueHighWaterMark) {
+        this.relieve()
+      }
+
+      // Blocked until async listeners catch up (see resume())
+      if (this.isBlocked) return
+
+      // Start timer if not already running
+      if (!this.timer) {
+        if (this.logger) {
+          this.logger.debug(
+            `Starting batch timer with ${this.config.batchInterval}ms interval (queue: ${this.queue.length})`
+          )
+        }
+        this.timer = setTimeout(() => this.flush(), this.config.batchInterval)
+      }
+
+      // Flush if queue is full
+      if (this.queue.length >= this.config.maxBatchSize) {
+        this.flush()
+      }
+    }
+
+    /**
+     * Find the coalescing policy for an event type
+     * @param {string} type - Event type
+     * @returns {string|Function|null} 'keep-last', 'keep-first', a reducer, or null
+     */
+    coalescePolicy(type) {
+      if (this.coalescePolicies.has(type)) {
+        return this.coalescePolicies.get(type)
+      }
+
+      const policies = this.config.coalesce || {}
+      let policy = policies[type] || null
+      if (!policy) {
+        const pattern = Object.keys(policies).find(
+          (key) => isPattern(key) && compilePattern(key)(type)
+        )
+        policy = pattern ? policies[pattern] : null
+      }
+
+      this.coalescePolicies.set(type, policy)
+      return policy
+    }
+
+    /**
+     * Merge a message into the queued one of the same type. The merged
+     * message keeps the queue position of the first one and remembers every
+     * source message (the state store still applies each of them).
+     * @param {Object} message - Incoming message
+     * @returns {boolean} True if the message was merged
+     */
+    coalesceInto(message) {
+      const policy = this.coalescePolicy(message.type)
+      if (!policy) return false
+
+      const queued = this.pendingByType.get(message.type)
+      if (!queued) {
+        this.pendingByType.set(message.type, message)
+        return false
+      }
+
+      if (!queued.sources) {
+        queued.sources = [{ ...queued }]
+      }
+      queued.sources.push(message)
+
+      if (policy !== 'keep-first') {
+        let data = message.data
+        if (typeof policy === 'function') {
+          try {
+            data = policy(queued.data, message.data, message.type)
+          } catch (error) {
+            // Fall back to keep-last
+            if (this.logger) {
+              this.logger.error(`Error in coalesce reducer for ${message.type}:`, error)
+            }
+          }
+        }
+        queued.data = data
+        queued.timestamp = message.timestamp
+        queued.connection = message.connection
+      }
+
+      this.onCoalesce(message.type)
+      return true
+    }
+
+    /**
+     * Forget coalescing targets that are no longer queued
+     */
+    syncPending() {
+      if (this.pendingByType.size === 0) return
+
+      const queued = new Set(this.queue)
+      this.pendingByType.forEach((message, type) => {
+        if (!queued.has(message)) this.pendingByType.delete(type)
       })
+    }
+
+    /**
+     * Apply the backpressure policy once the queue is past its high-water mark
+     */
+    relieve() {
+      const limit = this.config.queueHighWaterMark
+      const before = this.queue.length
+
+      switch (this.config.backpressure) {
+        case 'drop-oldest':
+          this.queue.splice(0, before - limit)
+          break
+
+        case 'coalesce': {
+          // Keep only the newest message of each type, in arrival order
+          const seen = new Set()
+          this.queue = this.queue
+            .reverse()
+            .filter((message) => {
+              if (seen.has(message.type)) return false
+              seen.add(message.type)
+              return true
+            })
+            .reverse()
+
+          // Still too many distinct types
+          if (this.queue.length > limit) {
+            this.queue.splice(0, this.queue.length - limit)
+          }
+          break
+        }
+
+        case 'block':
+          // Nothing is dropped; batches are held in flush() instead
+          if (before === limit + 1 && this.logger) {
+            this.logger.warn(
+              `Queue past high-water mark (${limit}) while waiting for async listeners`
+            )
+          }
+          return
+
+        default:
+          return
+      }
+
+      const removed = before - this.queue.length
+      if (removed > 0) {
+        this.syncPending()
+        this.onDrop(removed)
+        if (this.logger) {
+          this.logger.debug(
+            `Queue past high-water mark (${limit}): ${this.config.backpressure} removed ${removed} messages`
+          )
+        }
+      }
+    }
+
+    /**
+     * Continue after async listeners caught up with a blocked queue
+     */
+    resume() {
+      if (!this.isBlocked) return
+      this.isBlocked = false
+      this.flush()
+    }
+
+    /**
+     * Process the next batch
+     * @param {boolean} [force=false] - Ignore the 'block' backpressure policy
+     */
+    flush(force = false) {
+      if (this.processing || this.queue.length === 0) return
+
+      // 'block': hold the next batch until async listeners have settled
+      if (!force && this.config.backpressure === 'block' && this.isBusy()) {
+        if (this.timer) {
+          clearTimeout(this.timer)
+          this.timer = null
+        }
+        this.isBlocked = true
+        return
+      }
+
+      // Clear timer
+      if (this.timer) {
+        clearTimeout(this.timer)
+        this.timer = null
+      }
+
+      // Idle scheduling: work through the batch in slices (see runSlice())
+      if (!force && this.config.scheduling === 'idle') {
+        if (this.sliceRemaining === 0) {
+          this.sliceRemaining = Math.min(this.queue.length, this.config.maxBatchSize)
+        }
+        if (!this.cancelSlice) {
+          this.cancelSlice = scheduleIdle((deadline) => this.runSlice(deadline))
+        }
+        return
+      }
+
+      this.processing = true
+
+      // Process batch
+      const batch = this.queue.splice(0, this.config.maxBatchSize)
+      this.syncPending()
+
+      try {
+        this.processor(batch)
+      } catch (error) {
+        console.error('[MWI-Moonitoring] Batch processing error:', error)
+      } finally {
+        this.processing = false
+
+        // Schedule next batch if queue has items
+        if (this.queue.length > 0 && !this.timer) {
+          if (this.logger) {
+            this.logger.debug(
+              `Scheduling next batch timer with ${this.config.batchInterval}ms interval (remaining: ${this.queue.length})`
+            )
+          }
+          this.timer = setTimeout(() => this.flush(), this.config.batchInterval)
+        }
+      }
+    }
+
+    /**
+     * Process messages of the current batch until the slice budget is spent,
+     * then yield to the page and continue in the next idle period
+     * @param {IdleDeadline|null} deadline - Idle deadline, null for the timer fallback
+     */
+    runSlice(deadline) {
+      this.cancelSlice = null
+      if (this.processing) return
+
+      const start = utils.now()
+      const budget =
+        deadline && !deadline.didTimeout
+          ? deadline.timeRemaining()
+          : this.config.frameBudget
+      const count = Math.min(this.sliceRemaining, this.queue.length)
+
+      this.processing = true
+      let processed = count
+      try {
+        // At least one message per slice, so the queue always moves
+        processed = this.processor(
+          this.queue.slice(0, count),
+          () => utils.now() - start >= budget
+        )
+      } catch (error) {
+        console.error('[MWI-Moonitoring] Batch processing error:', error)
+      } finally {
+        this.processing = false
+        this.queue.splice(0, processed)
+        this.syncPending()
+        this.sliceRemaining = Math.max(0, count - processed)
+        this.onSlice(utils.now() - start, budget)
+      }
+
+      if (this.sliceRemaining > 0) {
+        this.cancelSlice = scheduleIdle((next) => this.runSlice(next))
+      } else if (this.queue.length > 0 && !this.timer) {
+        // Batch done; the rest waits for the next interval as usual
+        this.timer = setTimeout(() => this.flush(), this.config.batchInterval)
+      }
+    }
+
+    /**
+     * Process every queued message now, in batches of maxBatchSize
+     */
+    drain() {
+      this.isBlocked = false
+      this.stopSlicing()
+      while (this.queue.length > 0 && !this.processing) {
+        this.flush(true)
+      }
+    }
+
+    stopSlicing() {
+      if (this.cancelSlice) {
+        this.cancelSlice()
+        this.cancelSlice = null
+      }
+      this.sliceRemaining = 0
+    }
+
+    clear() {
+      this.queue = []
+      this.pendingByType.clear()
+      this.isBlocked = false
+      this.stopSlicing()
+      if (this.timer) {
+        clearTimeout(this.timer)
+        this.timer = null
+      }
+    }
+
+    size() {
+      return this.queue.length
+    }
+  }
+
+  // ============================================================================
+  // Frame Decoders
+  // ============================================================================
+
+  // Decoders may hand their output to further decoders (Blob -> gzip -> UTF-8)
+  const MAX_DECODE_DEPTH = 5
+
+  /**
+   * Check the built-in type of a value, safe across realms (userscript sandboxes)
+   * @param {*} value - Value to check
+   * @param {string} name - Type name, e.g. 'ArrayBuffer'
+   * @returns {boolean} True if value is of that type
+   */
+  const isType = (value, name) =>
+    Object.prototype.toString.call(value) === `[object ${name}]`
+
+  /**
+   * View binary frame data as bytes
+   * @param {*} frame - ArrayBuffer or typed array
+   * @returns {Uint8Array|null} Bytes or null if the frame is not binary
+   */
+  const toBytes = (frame) => {
+    if (isType(frame, 'ArrayBuffer')) return new Uint8Array(frame)
+    if (ArrayBuffer.isView(frame)) {
+      return new Uint8Array(frame.buffer, frame.byteOffset, frame.byteLength)
+    }
+    return null
+  }
+
+  /**
+   * Copy binary frame data so later reuse of the buffer by its owner can't
+   * change it. Typed arrays and DataViews keep their type.
+   * @param {*} frame - Frame data
+   * @returns {*} Copy of binary frames, other frames as they are
+   */
+  const copyFrame = (frame) => {
+    if (isType(frame, 'ArrayBuffer')) return frame.slice(0)
+    if (ArrayBuffer.isView(frame)) {
+      const buffer = frame.buffer.slice(
+        frame.byteOffset,
+        frame.byteOffset + frame.byteLength
+      )
+      return isType(frame, 'DataView')
+        ? new DataView(buffer)
+        : new frame.constructor(buffer)
+    }
+    return frame
+  }
+
+  /**
+   * Decompress bytes with the platform DecompressionStream
+   * @param {Uint8Array} bytes - Compressed bytes
+   * @param {'gzip'|'deflate'|'deflate-raw'} format - Compression format
+   * @returns {Promise<ArrayBuffer>|undefined} Decompressed bytes, or undefined when unsupported
+   */
+  const decompress = (bytes, format) => {
+    if (typeof DecompressionStream === 'undefined') return undefined
+    const stream = new Blob([bytes])
+      .stream()
+      .pipeThrough(new DecompressionStream(format))
+    return new Response(stream).arrayBuffer()
+  }
+
+  /**
+   * Built-in decoders, tried after any registered ones. A decoder returns
+   * undefined when the frame is not its format; anything else (string,
+   * binary, or a Promise of either) is decoded further until it is text.
+   */
+  const BUILTIN_DECODERS = [
+    {
+      name: 'blob',
+      decode: (frame) => (isType(frame, 'Blob') ? frame.arrayBuffer() : undefined),
+    },
+    {
+      name: 'gzip',
+      decode: (frame) => {
+        const bytes = toBytes(frame)
+        if (!bytes || bytes[0] !== 0x1f || bytes[1] !== 0x8b) return undefined
+        return decompress(bytes, 'gzip')
+      },
+    },
+    {
+      name: 'deflate',
+      decode: (frame) => {
+        const bytes = toBytes(frame)
+        if (!bytes || bytes[0] !== 0x78) return undefined
+        if (![0x01, 0x5e, 0x9c, 0xda].includes(bytes[1])) return undefined
+        return decompress(bytes, 'deflate')
+      },
+    },
+    {
+      name: 'utf8',
+      decode: (frame) => {
+        const bytes = toBytes(frame)
+        if (!bytes) return undefined
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+      },
+    },
+  ]
+
+  // ============================================================================
+  // Connection Tracking
+  // ============================================================================
+
+  // Closed connections kept for getConnections()
+  const MAX_CLOSED_CONNECTIONS = 10
+
+  /**
+   * Named environment profiles, each with the endpoint matchers that select
+   * it. Strings match anywhere in the socket URL, regexes are tested against
+   * the full URL. Profiles are checked in registration order.
+   */
+  class EndpointProfiles {
+    constructor(defaults) {
+      this.profiles = new Map()
+      Object.keys(defaults).forEach((name) => this.register(name, defaults[name]))
+    }
+
+    /**
+     * Add a profile, or replace the matchers of an existing one
+     * @param {string} name - Profile name
+     * @param {string|RegExp|Array<string|RegExp>} matchers - Endpoint matcher(s)
+     */
+    register(name, matchers) {
+      if (typeof name !== 'string' || !name) {
+        throw new TypeError('Profile name must be a non-empty string')
+      }
+
+      const list = (Array.isArray(matchers) ? matchers : [matchers]).map(
+        (matcher) => {
+          if (typeof matcher === 'string' && matcher) return matcher
+          if (isType(matcher, 'RegExp')) {
+            // Drop stateful flags so test() gives the same answer every time
+            return new RegExp(matcher.source, matcher.flags.replace(/[gy]/g, ''))
+          }
+          throw new TypeError(
+            `Endpoint matcher for profile "${name}" must be a non-empty string or RegExp`
+          )
+        }
+      )
+
+      if (list.length === 0) {
+        throw new TypeError(`Profile "${name}" needs at least one endpoint matcher`)
+      }
+
+      this.profiles.set(name, list)
+    }
+
+    /**
+     * @param {string} name - Profile name
+     * @returns {boolean} True if the profile existed
+     */
+    unregister(name) {
+      return this.profiles.delete(name)
+    }
+
+    /**
+     * Find the profile a socket URL belongs to
+     * @param {string} url - Socket URL
+     * @returns {string|null} Profile name, or null for non-game sockets
+     */
+    match(url) {
+      if (typeof url !== 'string') return null
+
+      for (const [name, matchers] of this.profiles) {
+        const matched = matchers.some((matcher) =>
+          typeof matcher === 'string' ? url.indexOf(matcher) > -1 : matcher.test(url)
+        )
+        if (matched) return name
+      }
+      return null
+    }
+
+    list() {
+      return Array.from(this.profiles, ([name, matchers]) => ({
+        name,
+        matchers: matchers.slice(),
+      }))
+    }
+  }
+
+  const endpointProfiles = new EndpointProfiles(WS_ENDPOINTS)
+
+  /**
+   * Tracks every matched game socket from the first frame the hook sees on it
+   * until it closes. Sockets are only ever observed: the tracker adds a passive
+   * 'close' listener and never touches the socket otherwise.
+   */
+  class ConnectionTracker {
+    constructor(onEvent) {
+      this.onEvent = onEvent
+      this.connections = new WeakMap()
+      this.active = new Set()
+      this.closed = []
+      // Closed connection the next new socket replaces
+      this.lastClosed = null
+      this.nextId = 1
+    }
+
+    /**
+     * Get the connection for a socket, starting to track it if it is new
+     * @param {WebSocket} socket - Matched game socket
+     * @returns {Object} Frozen connection descriptor attached to events
+     */
+    track(socket) {
+      const existing = this.connections.get(socket)
+      if (existing) return existing.descriptor
+
+      const record = {
+        descriptor: Object.freeze({
+          id: this.nextId++,
+          url: socket.url,
+          profile: endpointProfiles.match(socket.url),
+          openedAt: Date.now(),
+        }),
+        closedAt: null,
+        closeCode: null,
+        closeReason: null,
+        wasClean: null,
+        messages: 0,
+      }
+
+      // A socket opening while the others are still up is a parallel
+      // connection, not a reconnect
+      const previous = this.lastClosed
+      this.lastClosed = null
+      this.connections.set(socket, record)
+      this.active.add(record)
+
+      if (typeof socket.addEventListener === 'function') {
+        socket.addEventListener('close', (event) => this.close(record, event))
+      }
+
+      this.onEvent(
+        CONNECTION_EVENTS.OPEN,
+        { connection: record.descriptor },
+        record.descriptor
+      )
+
+      if (previous) {
+        this.onEvent(
+          CONNECTION_EVENTS.RECONNECT,
+          {
+            connection: record.descriptor,
+            previous: previous.descriptor,
+            previousCloseCode: previous.closeCode,
+            downtime: Math.max(0, record.descriptor.openedAt - previous.closedAt),
+          },
+          record.descriptor
+        )
+      }
+
+      return record.descriptor
+    }
+
+    /**
+     * Count a frame received on a tracked socket
+     * @param {WebSocket} socket - Matched game socket
+     * @returns {Object} Connection descriptor
+     */
+    received(socket) {
+      const descriptor = this.track(socket)
+      this.connections.get(socket).messages++
+      return descriptor
+    }
+
+    close(record, event) {
+      if (record.closedAt !== null) return
+
+      record.closedAt = Date.now()
+      record.closeCode = event && event.code !== undefined ? event.code : null
+      record.closeReason = (event && event.reason) || ''
+      record.wasClean = event && event.wasClean !== undefined ? event.wasClean : null
+
+      this.active.delete(record)
+      this.lastClosed = record
+      this.closed.push(record)
+      if (this.closed.length > MAX_CLOSED_CONNECTIONS) {
+        this.closed.shift()
+      }
+
+      this.onEvent(
+        CONNECTION_EVENTS.CLOSE,
+        {
+          connection: record.descriptor,
+          code: record.closeCode,
+          reason: record.closeReason,
+          wasClean: record.wasClean,
+          duration: record.closedAt - record.descriptor.openedAt,
+        },
+        record.descriptor
+      )
+    }
+
+    /**
+     * List open connections followed by recently closed ones
+     * @returns {Object[]} Connection snapshots
+     */
+    list() {
+      const snapshot = (record) => ({
+        ...record.descriptor,
+        isOpen: record.closedAt === null,
+        closedAt: record.closedAt,
+        closeCode: record.closeCode,
+        closeReason: record.closeReason,
+        wasClean: record.wasClean,
+        messages: record.messages,
+      })
+
+      return Array.from(this.active)
+        .map(snapshot)
+        .concat(this.closed.slice().reverse().map(snapshot))
+    }
+  }
+
+  // ============================================================================
+  // Frame Routing
+  // ============================================================================
+
+  /**
+   * Read the event type of a frame without parsing it. Only frames starting
+   * with their "type" key (the game's own layout) are recognized; for others
+   * it returns null and the frame is parsed to find out. Self-contained, as
+   * the parsing worker uses it too.
+   * @param {string} text - Decoded frame
+   * @returns {string|null} Event type
+   */
+  const extractType = (text) => {
+    const match = /^\{\s*"type"\s*:\s*"([^"\\]*)"/.exec(text)
+    return match ? match[1] : null
+  }
+
+  /**
+   * Check whether some instance needs frames of a type
+   * @param {Object[]} interests - Instance interests (see getInterest())
+   * @param {string} type - Event type
+   * @returns {boolean} True if at least one instance needs it
+   */
+  const isWanted = (interests, type) =>
+    interests.some(
+      (interest) =>
+        !matchesAnyPattern(type, interest.blacklist) &&
+        (interest.whitelist.length === 0 ||
+          matchesAnyPattern(type, interest.whitelist)) &&
+        (interest.types === null || matchesAnyPattern(type, interest.types))
+    )
+
+  // ============================================================================
+  // Worker Offload
+  // ============================================================================
+
+  /**
+   * Body of the parsing worker. It is serialized with toString() and runs in
+   * its own global scope, so it must not reference anything outside itself.
+   * @param {Function} extractType - Cheap type extraction, see above
+   * @param {Function} patternToRegExp - Wildcard compilation, see Event Patterns
+   */
+  function workerMain(extractType, patternToRegExp) {
+    let interests = null // Instance interests; null = post back everything
+    const listeners = new Map()
+    const patterns = new Map()
+
+    const matches = (type, pattern) => {
+      if (!pattern.includes('*') && !pattern.includes('?')) return type === pattern
+      if (!patterns.has(pattern)) {
+        patterns.set(pattern, patternToRegExp(pattern))
+      }
+      return patterns.get(pattern).test(type)
+    }
+
+    // Same rules as matchesAnyPattern() on the main thread
+    const matchesAny = (type, list) => {
+      let included = false
+      let exclusionsOnly = list.length > 0
+      for (const pattern of list) {
+        if (pattern[0] === '!') {
+          if (matches(type, pattern.slice(1))) return false
+        } else {
+          exclusionsOnly = false
+          included = included || matches(type, pattern)
+        }
+      }
+      return included || exclusionsOnly
+    }
+
+    // Same rules as isWanted() on the main thread
+    const isWanted = (type) =>
+      interests === null ||
+      interests.some(
+        (interest) =>
+          !matchesAny(type, interest.blacklist) &&
+          (interest.whitelist.length === 0 || matchesAny(type, interest.whitelist)) &&
+          (interest.types === null || matchesAny(type, interest.types))
+      )
+
+    const isListened = (type) => {
+      for (const listener of listeners.values()) {
+        if (matchesAny(type, listener.types)) return true
+      }
+      return false
+    }
+
+    const report = (error) => {
+      self.postMessage({
+        kind: 'error',
+        message: String((error && error.stack) || error),
+      })
+    }
+
+    const runListeners = (type, data, connection) => {
+      const emit = (resultType, result) => {
+        self.postMessage({
+          kind: 'emit',
+          type: String(resultType),
+          data: result,
+          connection,
+        })
+      }
+
+      listeners.forEach((listener) => {
+        if (!matchesAny(type, listener.types)) return
+        try {
+          const result = listener.fn(type, data, emit)
+          if (result && typeof result.then === 'function') {
+            result.then(null, report)
+          }
+        } catch (error) {
+          report(error)
+        }
+      })
+    }
+
+    const handleFrame = (message) => {
+      // Frames nobody needs, judging by their type alone, aren't parsed at all
+      const leadingType = extractType(message.text)
+      if (
+        leadingType !== null &&
+        !isListened(leadingType) &&
+        !(message.deliver && isWanted(leadingType))
+      ) {
+        if (message.deliver) {
+          self.postMessage({ kind: 'skip', id: message.id, type: leadingType })
+        }
+        return
+      }
+
+      let data = null
+      try {
+        data = JSON.parse(message.text)
+      } catch (error) {
+        // Reported as invalid below
+      }
+      const type = data && data.type
+
+      // Post the result first so delivery never waits for heavy listeners
+      if (message.deliver) {
+        if (!type) {
+          self.postMessage({ kind: 'invalid', id: message.id })
+        } else if (isWanted(type)) {
+          self.postMessage({
+            kind: 'event',
+            id: message.id,
+            type,
+            data,
+            connection: message.connection,
+          })
+        } else {
+          self.postMessage({ kind: 'skip', id: message.id, type })
+        }
+      }
+
+      if (type && listeners.size > 0) {
+        runListeners(type, data, message.connection)
+      }
+    }
+
+    self.onmessage = (event) => {
+      const message = event.data
+      switch (message.kind) {
+        case 'frame':
+          handleFrame(message)
+          break
+        case 'interest':
+          interests = message.interests
+          break
+        case 'listen':
+          try {
+            const fn = new Function('return (' + message.source + ')')()
+            listeners.set(message.id, { types: message.types, fn })
+          } catch (error) {
+            report(error)
+          }
+          break
+        case 'unlisten':
+          listeners.delete(message.id)
+          break
+        case 'echo':
+          self.postMessage(message)
+          break
+      }
+    }
+
+    self.postMessage({ kind: 'ready' })
+  }
+
+  /**
+   * Owns the dedicated parsing worker. Frames are posted in arrival order and
+   * answered in the same order, so results, skips and echoes never overtake
+   * each other.
+   */
+  class WorkerBridge {
+    /**
+     * @param {Object} handlers - { onEvent(type, data, connection), onSkip(type),
+     *   onInvalid(), onEmit(type, data, connection), onFailure(lostFrames),
+     *   onRetry() }
+     */
+    constructor(handlers) {
+      this.handlers = handlers
+      this.worker = null
+      this.url = null
+      this.failed = false // Unavailable for good: not supported, or crashed too often
+      this.failures = 0 // Crashes in a row
+      this.lastError = null
+      this.retryTimer = null
+      this.startedAt = 0
+      this.nextId = 0
+      this.outstanding = 0 // Frames posted for delivery and not answered yet
+      this.echoes = new Map()
+      this.listeners = new Map()
+      this.connections = new Map() // Descriptors by id, as frames only carry the id
+      this.interest = null
+    }
+
+    get isActive() {
+      return this.worker !== null
+    }
+
+    /**
+     * Start the worker if it isn't running
+     * @returns {boolean} Whether the worker is running
+     */
+    start() {
+      if (this.worker || this.failed || this.retryTimer) return this.worker !== null
+
+      try {
+        if (
+          typeof Worker === 'undefined' ||
+          typeof Blob === 'undefined' ||
+          typeof URL === 'undefined' ||
+          typeof URL.createObjectURL !== 'function'
+        ) {
+          throw new Error('Web Workers are not available')
+        }
+
+        const source = `(${workerMain})(${extractType}, ${patternToRegExp})`
+        this.url = URL.createObjectURL(
+          new Blob([source], { type: 'text/javascript' })
+        )
+        this.worker = new Worker(this.url)
+      } catch (error) {
+        // CSP or a missing Worker global - keep parsing on the main thread
+        this.fail(error)
+        return false
+      }
+
+      this.startedAt = utils.now()
+      this.worker.onmessage = (event) => this.receive(event.data)
+      this.worker.onerror = (event) => this.crash((event && event.message) || event)
+      this.post({ kind: 'interest', interests: this.interest })
+      this.listeners.forEach((listener, id) =>
+        this.post({ kind: 'listen', id, ...listener })
+      )
+      return true
+    }
+
+    /**
+     * Terminate the worker and cancel a pending restart
+     */
+    stop() {
+      if (this.retryTimer) {
+        clearTimeout(this.retryTimer)
+        this.retryTimer = null
+      }
+      this.teardown()
+    }
+
+    /**
+     * Terminate the worker. Frames it still holds are dropped; anyone waiting
+     * on an echo is released.
+     */
+    teardown() {
+      if (this.worker) {
+        this.worker.terminate()
+        this.worker = null
+      }
+      this.revokeUrl()
+      this.outstanding = 0
+      this.connections.clear()
+
+      const echoes = Array.from(this.echoes.values())
+      this.echoes.clear()
+      echoes.forEach((callback) => callback())
+    }
+
+    fail(error) {
+      const lost = this.outstanding
+      this.stop()
+      this.failed = true
+      this.lastError = String((error && error.message) || error)
+      console.warn(
+        '[MWI-Moonitoring] Worker offload unavailable, parsing on the main thread instead:',
+        this.lastError
+      )
+      this.handlers.onFailure(lost)
+    }
+
+    /**
+     * The running worker died. Parse on the main thread meanwhile and start
+     * a new worker after a growing delay; give up after repeated crashes.
+     * @param {*} error - Error event message
+     */
+    crash(error) {
+      if (utils.now() - this.startedAt >= WORKER_STABLE_TIME) {
+        this.failures = 0
+      }
+      this.failures++
+
+      if (this.failures > WORKER_MAX_RETRIES) {
+        this.fail(`crashed ${this.failures} times in a row (last: ${(error && error.message) || error})`)
+        return
+      }
+
+      const lost = this.outstanding
+      this.teardown()
+      this.lastError = String((error && error.message) || error)
+
+      const delay = WORKER_RETRY_DELAY * Math.pow(2, this.failures - 1)
+      console.warn(
+        `[MWI-Moonitoring] Worker crashed, parsing on the main thread and restarting in ${delay}ms:`,
+        this.lastError
+      )
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null
+        this.handlers.onRetry()
+      }, delay)
+      this.handlers.onFailure(lost)
+    }
+
+    /**
+     * @returns {Object} { state: 'running'|'stopped'|'restarting'|'failed', failures, lastError }
+     */
+    getStatus() {
+      let state = 'stopped'
+      if (this.worker) state = 'running'
+      else if (this.failed) state = 'failed'
+      else if (this.retryTimer) state = 'restarting'
+      return { state, failures: this.failures, lastError: this.lastError }
+    }
+
+    revokeUrl() {
+      if (this.url) {
+        URL.revokeObjectURL(this.url)
+        this.url = null
+      }
+    }
+
+    post(message) {
+      if (this.worker) {
+        this.worker.postMessage(message)
+      }
+    }
+
+    /**
+     * Post a decoded frame to the worker
+     * @param {string} text - Decoded frame
+     * @param {Object|null} connection - Connection the frame arrived on
+     * @param {boolean} deliver - Post the parsed event back (otherwise only worker listeners see it)
+     */
+    send(text, connection, deliver) {
+      if (connection) {
+        this.connections.set(connection.id, connection)
+      }
+      if (deliver) {
+        this.outstanding++
+      }
+      this.post({
+        kind: 'frame',
+        id: ++this.nextId,
+        text,
+        connection: connection ? connection.id : null,
+        deliver,
+      })
+    }
+
+    /**
+     * Tell the worker which event types to post back
+     * @param {Object[]|null} interests - Instance interests; null for all types
+     */
+    setInterest(interests) {
+      if (JSON.stringify(interests) === JSON.stringify(this.interest)) return
+
+      this.interest = interests
+      this.post({ kind: 'interest', interests })
+    }
+
+    /**
+     * Run a listener in the worker
+     * @param {string[]} types - Event types, wildcards allowed
+     * @param {Function} fn - Self-contained listener
+     * @returns {number} Listener id
+     */
+    listen(types, fn) {
+      const id = ++this.nextId
+      const listener = { types, source: fn.toString() }
+      this.listeners.set(id, listener)
+      this.post({ kind: 'listen', id, ...listener })
+      return id
+    }
+
+    unlisten(id) {
+      if (this.listeners.delete(id)) {
+        this.post({ kind: 'unlisten', id })
+      }
+    }
+
+    /**
+     * Call back once the worker has answered everything posted so far
+     * @param {Function} callback - Called synchronously when nothing is outstanding
+     * @param {boolean} [always=false] - Round-trip even with no frames outstanding,
+     *   so results emitted by worker listeners arrive first
+     */
+    afterFrames(callback, always = false) {
+      if (!this.worker || (!always && this.outstanding === 0)) {
+        callback()
+        return
+      }
+
+      const id = ++this.nextId
+      this.echoes.set(id, callback)
+      this.post({ kind: 'echo', id })
+    }
+
+    connectionOf(id) {
+      return id === null ? null : this.connections.get(id) || null
+    }
+
+    receive(message) {
+      switch (message.kind) {
+        case 'ready':
+          this.revokeUrl()
+          break
+        case 'event':
+          this.outstanding--
+          this.handlers.onEvent(
+            message.type,
+            message.data,
+            this.connectionOf(message.connection)
+          )
+          break
+        case 'skip':
+          this.outstanding--
+          this.handlers.onSkip(message.type)
+          break
+        case 'invalid':
+          this.outstanding--
+          this.handlers.onInvalid()
+          break
+        case 'emit':
+          this.handlers.onEmit(
+            message.type,
+            message.data,
+            this.connectionOf(message.connection)
+          )
+          break
+        case 'echo': {
+          const callback = this.echoes.get(message.id)
+          this.echoes.delete(message.id)
+          if (callback) callback()
+          break
+        }
+        case 'error':
+          console.error('[MWI-Moonitoring] Error in worker listener:', message.message)
+          break
+      }
+    }
+  }
+
+  // ============================================================================
+  // Version Negotiation
+  // ============================================================================
+
+  /**
+   * @param {string} version - e.g. '0.3.1' or '1.0.0-beta.2'
+   * @returns {Object|null} { numbers: [major, minor, patch], prerelease }
+   */
+  const parseVersion = (version) => {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?/.exec(String(version).trim())
+    if (!match) return null
+
+    return {
+      numbers: [Number(match[1]), Number(match[2]), Number(match[3])],
+      prerelease: match[4] || null,
+    }
+  }
+
+  /**
+   * Order two versions; unparseable versions sort first
+   * @param {string|Object} a - Version or parseVersion() result
+   * @param {string|Object} b - Version or parseVersion() result
+   * @returns {number} Negative, zero or positive like a sort comparator
+   */
+  const compareVersions = (a, b) => {
+    const left = typeof a === 'string' ? parseVersion(a) : a
+    const right = typeof b === 'string' ? parseVersion(b) : b
+    if (!left || !right) return (left ? 1 : 0) - (right ? 1 : 0)
+
+    for (let i = 0; i < 3; i++) {
+      if (left.numbers[i] !== right.numbers[i]) {
+        return left.numbers[i] - right.numbers[i]
+      }
+    }
+
+    // A prerelease comes before its release
+    if (left.prerelease === right.prerelease) return 0
+    if (left.prerelease === null) return 1
+    if (right.prerelease === null) return -1
+    return left.prerelease < right.prerelease ? -1 : 1
+  }
+
+  /**
+   * Check one comparator such as '^0.3', '~1.2.0', '>=0.2.2', '0.3.x' or '*'
+   */
+  const satisfiesComparator = (version, comparator) => {
+    const [, operator = '=', rest] = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(comparator)
+    const numbers = []
+    for (const part of rest.replace(/^v/, '').split('.').slice(0, 3)) {
+      if (part === '' || part === '*' || part.toLowerCase() === 'x') break
+      if (!/^\d+$/.test(part)) {
+        throw new TypeError(`Invalid version range: ${comparator}`)
+      }
+      numbers.push(Number(part))
+    }
+    if (numbers.length === 0) return true
+
+    const bound = (parts) => ({
+      numbers: [0, 1, 2].map((i) => parts[i] || 0),
+      prerelease: null,
+    })
+    // Next version after the given parts, e.g. 0.3 -> 0.4.0
+    const bump = (index) => bound(numbers.slice(0, index).concat(numbers[index] + 1))
+    const floor = bound(numbers)
+    const last = numbers.length - 1
+    const isFull = numbers.length === 3
+    const compare = (target) => compareVersions(version, target)
+
+    switch (operator) {
+      case '^': {
+        // Up to the next change of the first non-zero part
+        const index = numbers.findIndex((part) => part !== 0)
+        return compare(floor) >= 0 && compare(bump(index === -1 ? last : index)) < 0
+      }
+      case '~':
+        return compare(floor) >= 0 && compare(bump(Math.min(1, last))) < 0
+      case '>=':
+        return compare(floor) >= 0
+      case '>':
+        return isFull ? compare(floor) > 0 : compare(bump(last)) >= 0
+      case '<':
+        return compare(floor) < 0
+      case '<=':
+        return isFull ? compare(floor) <= 0 : compare(bump(last)) < 0
+      default:
+        return isFull ? compare(floor) === 0 : compare(floor) >= 0 && compare(bump(last)) < 0
+    }
+  }
+
+  /**
+   * Check a version against an npm-style range: comparators separated by
+   * spaces must all hold, alternatives are separated by '||'
+   * @param {string} version - Version to check
+   * @param {string} range - e.g. '^0.3', '>=0.2.2 <0.4' or '0.2.x || ^1.0'
+   * @returns {boolean} True if the version is in the range
+   */
+  const satisfiesRange = (version, range) => {
+    const parsed = parseVersion(version)
+    if (!parsed) return false
+
+    return String(range)
+      .split('||')
+      .some((alternative) =>
+        alternative
+          .trim()
+          .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+          .split(/\s+/)
+          .every((comparator) => satisfiesComparator(parsed, comparator))
+      )
+  }
+
+  // Every copy of the library on the page, whatever its version, registers
+  // here. The newest one (the leader) hooks MessageEvent and feeds the frames
+  // to the others, so older copies keep their instances and listeners.
+  const versionRegistry = global[REGISTRY_KEY] || {
+    protocol: PROTOCOL,
+    copies: [],
+    leader: null,
+  }
+  global[REGISTRY_KEY] = versionRegistry
+
+  // This copy as seen by the others. The members are the contract between
+  // versions: add new ones, don't change these.
+  const ownCopy = {
+    version: VERSION,
+    protocol: PROTOCOL,
+    api: null, // Public API, set once it exists
+    isReceiving: () => globalHook.isHooked,
+    accepts: (url) => globalHook.isMWIUrl(url),
+    receive: (message, socket) => globalHook.receiveFrame(message, socket),
+    sync: () => globalHook.syncPageHook(),
+    handOver: () => globalHook.handOver(),
+    isHookWorking: () => globalHook.isPageHookWorking(),
+    hookStatus: (type, data) => globalHook.dispatchSynthetic(type, data, null),
+  }
+
+  // ============================================================================
+  // Global WebSocket Hook (Shared across all instances)
+  // ============================================================================
+
+  class GlobalWebSocketHook {
+    constructor() {
+      this.isHooked = false // This copy receives frames
+      this.originalGet = null
+      this.hookedGet = null // Our MessageEvent getter, while this copy leads
+      this.watchdog = null
+      this.compromisedAt = null // Set while frames can't reach our getter
+      this.probeEvent = null
+      this.probeReached = false
+      this.instances = new Set()
+      this.recorders = new Set()
+      this.taps = new Set() // See every delivered event (diagnostics overlay)
+      this.decoders = []
+      this.decodeChain = Promise.resolve()
+      this.pendingDecodes = 0
+      this.frameStats = { received: 0, binary: 0, undecodable: 0, skipped: 0 }
+      this.originalSend = null
+      this.sendObserver = null
+      this.isObservingOutgoing = false
+      this.connections = new ConnectionTracker((type, data, connection) =>
+        this.dispatchSynthetic(type, data, connection)
+      )
+      this.offloading = false // Every instance is fed by the worker
+      this.interest = null // Instance interests; null = every frame is needed
+      this.interestChanged = true
+      this.worker = new WorkerBridge({
+        onEvent: (type, data, connection) =>
+          this.deliverEvent(type, data, connection),
+        onSkip: (type) => this.recordSkipped(type),
+        onInvalid: () => this.recordUndecodable('frame has no event type'),
+        onEmit: (type, data, connection) =>
+          this.deliverEvent(WORKER_PREFIX + type, data, connection),
+        onFailure: (lost) => {
+          this.offloading = false
+          if (lost > 0) {
+            console.warn(`[MWI-Moonitoring] ${lost} frame(s) lost with the worker`)
+          }
+        },
+        onRetry: () => this.syncWorker(),
+      })
+    }
+
+    /**
+     * Check whether a URL matches one of the registered endpoint profiles
+     * @param {string} url - Socket URL
+     * @returns {boolean} True for MWI sockets
+     */
+    isMWIUrl(url) {
+      return endpointProfiles.match(url) !== null
+    }
+
+    /**
+     * Register a frame decoder, tried before the built-in ones
+     * @param {string} name - Decoder name (replaces a registered decoder with the same name)
+     * @param {Function} decode - Receives the frame; returns undefined to pass, or the decoded value
+     * @returns {Function} Function that removes the decoder again
+     */
+    registerDecoder(name, decode) {
+      if (typeof decode !== 'function') {
+        throw new TypeError('Decoder must be a function')
+      }
+
+      const decoder = { name, decode }
+      this.decoders = this.decoders
+        .filter((existing) => existing.name !== name)
+        .concat(decoder)
+
+      return () => {
+        this.decoders = this.decoders.filter((existing) => existing !== decoder)
+      }
+    }
+
+    /**
+     * Decode a frame into text
+     * @param {*} value - Frame or intermediate decoder output
+     * @param {number} [depth=0] - Decoder passes so far
+     * @returns {string|null|Promise<string|null>} Text, or null when undecodable
+     */
+    decodeFrame(value, depth = 0) {
+      if (typeof value === 'string') return value
+      if (value === null || value === undefined || depth >= MAX_DECODE_DEPTH) {
+        return null
+      }
+      if (typeof value.then === 'function') {
+        return value.then((resolved) => this.decodeFrame(resolved, depth))
+      }
+
+      const decoders = this.decoders.concat(BUILTIN_DECODERS)
+      for (let i = 0; i < decoders.length; i++) {
+        const result = decoders[i].decode(value)
+        if (result !== undefined) {
+          return this.decodeFrame(result, depth + 1)
+        }
+      }
+      return null
+    }
+
+    recordUndecodable(reason) {
+      this.frameStats.undecodable++
+      this.instances.forEach((instance) => {
+        instance.monitor.recordUndecodable()
+        instance.logger.debug(`Undecodable frame: ${reason}`)
+      })
+    }
+
+    addInstance(instance) {
+      this.instances.add(instance)
+      if (!this.isHooked) {
+        this.installHook()
+      }
+      this.syncSendObserver()
+      this.syncWorker()
+    }
+
+    removeInstance(instance) {
+      this.instances.delete(instance)
+      if (this.instances.size === 0 && this.isHooked) {
+        this.removeHook()
+      }
+      this.syncSendObserver()
+      this.syncWorker()
+    }
+
+    /**
+     * Run the parsing worker while it has work: parsing for instances when
+     * every one of them asks for preParsing: 'worker', or worker listeners.
+     * Mixed pages keep parsing on the main thread, where the parse is needed
+     * anyway, and share the result.
+     */
+    syncWorker() {
+      const instances = Array.from(this.instances)
+      const offload =
+        instances.length > 0 &&
+        instances.every((instance) => instance.config.preParsing === 'worker')
+
+      if (offload || this.worker.listeners.size > 0) {
+        this.worker.start()
+      } else {
+        this.worker.stop()
+      }
+
+      this.offloading = offload && this.worker.isActive
+      this.invalidateInterest()
+    }
+
+    /**
+     * Note that subscriptions or configuration changed. The union of interest
+     * is recomputed when the next frame arrives, however many changes there
+     * were in between.
+     */
+    invalidateInterest() {
+      this.interestChanged = true
+    }
+
+    /**
+     * Union of interest across instances, passed on to the worker
+     * @returns {Object[]|null} Instance interests, or null when every frame is needed
+     */
+    getInterest() {
+      if (this.interestChanged) {
+        this.interestChanged = false
+
+        const interests = Array.from(this.instances, (instance) =>
+          instance.getInterest()
+        )
+        const needsAll =
+          interests.length === 0 ||
+          this.taps.size > 0 ||
+          interests.some(
+            (interest) =>
+              interest.types === null &&
+              interest.whitelist.length === 0 &&
+              interest.blacklist.length === 0
+          )
+
+        this.interest = needsAll ? null : interests
+        this.worker.setInterest(this.interest)
+      }
+      return this.interest
+    }
+
+    /**
+     * Count a frame nobody needed. Instances whose event lists reject its
+     * type still count it as dropped, as they did when every frame reached them.
+     * @param {string} type - Event type of the frame
+     */
+    recordSkipped(type) {
+      this.frameStats.skipped++
+      this.instances.forEach((instance) => {
+        instance.monitor.recordSkipped()
+        if (instance.isFilteredOut(type)) instance.monitor.recordDropped()
+      })
+    }
+
+    /**
+     * Observe outgoing frames only while some instance asks for them
+     */
+    syncSendObserver() {
+      const wanted = Array.from(this.instances).some(
+        (instance) => instance.config.observeOutgoing
+      )
+
+      if (wanted && !this.isObservingOutgoing) {
+        this.installSendObserver()
+      } else if (!wanted && this.isObservingOutgoing) {
+        this.removeSendObserver()
+      }
+    }
+
+    /**
+     * Wrap WebSocket.prototype.send with a strictly passive observer.
+     * The original send always runs first with the exact same arguments; the
+     * observer never alters, blocks or injects frames, and its own failures
+     * are swallowed so they cannot affect the game client.
+     */
+    installSendObserver() {
+      if (typeof WebSocket === 'undefined') return
+
+      // A previous observer is still in the chain (someone wrapped send after
+      // us, so it could not be unwrapped) - just switch it back on
+      if (this.sendObserver) {
+        this.isObservingOutgoing = true
+        return
+      }
+
+      const self = this
+      const originalSend = WebSocket.prototype.send
+
+      this.sendObserver = function observedSend(data) {
+        const result = originalSend.apply(this, arguments)
+
+        if (self.isObservingOutgoing) {
+          try {
+            if (self.isMWIUrl(this.url)) {
+              const connection = self.connections.track(this)
+              // Copy binary frames now in case the client reuses the buffer
+              const frame = copyFrame(data)
+              setTimeout(() => self.distributeOutgoing(frame, connection), 0)
+            }
+          } catch (error) {
+            // Never let observation interfere with the game's send
+          }
+        }
+
+        return result
+      }
+
+      this.originalSend = originalSend
+      WebSocket.prototype.send = this.sendObserver
+      this.isObservingOutgoing = true
+      console.log('[MWI-Moonitoring] Outgoing frame observer installed (read-only)')
+    }
+
+    removeSendObserver() {
+      this.isObservingOutgoing = false
+
+      // Only unwrap if nobody wrapped send after us; otherwise stay in the
+      // chain as a pass-through so their wrapper keeps working
+      if (
+        typeof WebSocket !== 'undefined' &&
+        WebSocket.prototype.send === this.sendObserver
+      ) {
+        WebSocket.prototype.send = this.originalSend
+        this.sendObserver = null
+        this.originalSend = null
+      }
+    }
+
+    /**
+     * Decode an outgoing frame and hand it to instances observing outgoing traffic
+     * @param {*} frame - Frame passed to WebSocket.prototype.send
+     * @param {Object} connection - Connection the frame was sent on
+     */
+    distributeOutgoing(frame, connection) {
+      const deliver = (message) => {
+        if (typeof message !== 'string' || message[0] !== '{') return
+
+        const data = utils.safeParse(message)
+        if (!data || !data.type) return
+
+        this.instances.forEach((instance) => {
+          if (!instance.config.observeOutgoing) return
+          try {
+            instance.receiveMessage(
+              OUTGOING_PREFIX + data.type,
+              data,
+              Date.now(),
+              connection
+            )
+          } catch (error) {
+            console.error(
+              '[MWI-Moonitoring] Error distributing outgoing message to instance:',
+              error
+            )
+          }
+        })
+      }
+
+      try {
+        const decoded = this.decodeFrame(frame)
+        if (decoded && typeof decoded.then === 'function') {
+          decoded.then(deliver, () => {})
+        } else {
+          deliver(decoded)
+        }
+      } catch (error) {
+        // Undecodable outgoing frames are ignored
+      }
+    }
+
+    /**
+     * Start receiving frames. The page-wide MessageEvent hook belongs to the
+     * newest copy of the library on the page; this copy may be fed by it.
+     */
+    installHook() {
+      if (this.isHooked) {
+        return
+      }
+
+      this.isHooked = true
+      try {
+        versionRegistry.leader.sync()
+      } catch (error) {
+        this.isHooked = false
+        throw error
+      }
+
+      if (versionRegistry.leader !== ownCopy) {
+        console.log(
+          `[MWI-Moonitoring] Receiving frames through the hook of version ${versionRegistry.leader.version}`
+        )
+      }
+    }
+
+    removeHook() {
+      if (!this.isHooked) {
+        return
+      }
+
+      this.isHooked = false
+      versionRegistry.leader.sync()
+    }
+
+    /**
+     * Leader only: keep the MessageEvent hook installed while any copy of the
+     * library on the page receives frames
+     */
+    syncPageHook() {
+      const wanted = versionRegistry.copies.some(
+        (copy) => copy.isReceiving && copy.isReceiving()
+      )
+
+      if (wanted) {
+        if (!this.hookedGet) this.installPageHook()
+        if (!this.watchdog) {
+          this.watchdog = setInterval(() => this.checkPageHook(), HOOK_CHECK_INTERVAL)
+          // Don't keep Node.js (test harness) processes alive
+          if (this.watchdog.unref) this.watchdog.unref()
+        }
+      } else {
+        if (this.hookedGet) this.removePageHook()
+        this.stopWatchdog()
+      }
+    }
+
+    stopWatchdog() {
+      clearInterval(this.watchdog)
+      this.watchdog = null
+    }
+
+    installPageHook() {
+      try {
+        const dataProperty = Object.getOwnPropertyDescriptor(
+          MessageEvent.prototype,
+          'data'
+        )
+
+        if (!dataProperty || !dataProperty.get) {
+          throw new Error('Cannot access MessageEvent.prototype.data')
+        }
+
+        const originalGet = dataProperty.get
+        const self = this
+
+        dataProperty.get = function hookedGet() {
+          const socket = this.currentTarget
+
+          // Handed over to a newer copy, or superseded by a newer getter of
+          // ours, but still called by a hook that wrapped us: pass through
+          if (versionRegistry.leader !== ownCopy || self.hookedGet !== hookedGet) {
+            return originalGet.call(this)
+          }
+
+          // Watchdog probe (see checkPageHook)
+          if (this === self.probeEvent) {
+            self.probeReached = true
+            return originalGet.call(this)
+          }
+
+          // Check if this is a WebSocket
+          if (!(socket instanceof WebSocket)) {
+            return originalGet.call(this)
+          }
+
+          // Check if this is an MWI WebSocket, for any copy of the library
+          const receivers = versionRegistry.copies.filter(
+            (copy) => copy.isReceiving && copy.isReceiving() && copy.accepts(socket.url)
+          )
+          if (receivers.length === 0) {
+            return originalGet.call(this)
+          }
+
+          // Get the original message
+          const message = originalGet.call(this)
+
+          // Prevent infinite loop
+          Object.defineProperty(this, 'data', { value: message })
+
+          receivers.forEach((copy) => {
+            try {
+              copy.receive(message, socket)
+            } catch (error) {
+              console.error(
+                `[MWI-Moonitoring] Error handing a frame to version ${copy.version}:`,
+                error
+              )
+            }
+          })
+
+          return message
+        }
+
+        Object.defineProperty(MessageEvent.prototype, 'data', dataProperty)
+
+        this.originalGet = originalGet
+        this.hookedGet = dataProperty.get
+        console.log(
+          '[MWI-Moonitoring] Global WebSocket hook installed successfully'
+        )
+      } catch (error) {
+        console.error(
+          '[MWI-Moonitoring] Failed to install WebSocket hook:',
+          error
+        )
+        throw error
+      }
+    }
+
+    removePageHook() {
+      try {
+        const dataProperty = Object.getOwnPropertyDescriptor(
+          MessageEvent.prototype,
+          'data'
+        )
+
+        // Someone wrapped our getter since: restoring the one we wrapped would
+        // remove theirs too, so stay in their chain (passing through, as no
+        // copy receives frames) until we are on top again
+        if (!dataProperty || dataProperty.get !== this.hookedGet) {
+          return
+        }
+
+        dataProperty.get = this.originalGet
+        Object.defineProperty(MessageEvent.prototype, 'data', dataProperty)
+
+        this.hookedGet = null
+        this.originalGet = null
+        console.log('[MWI-Moonitoring] Global WebSocket hook removed')
+      } catch (error) {
+        console.error(
+          '[MWI-Moonitoring] Failed to remove WebSocket hook:',
+          error
+        )
+      }
+    }
+
+    /**
+     * Leader only: make sure frames still reach our getter. Another script
+     * may have redefined MessageEvent.prototype.data since, or restored a
+     * getter from before ours. Hooks that call through to ours are fine;
+     * otherwise ours is installed again on top of theirs, keeping both.
+     * @returns {boolean} True if frames reach the hook (again)
+     */
+    checkPageHook() {
+      if (!this.hookedGet) return false
+
+      const dataProperty = Object.getOwnPropertyDescriptor(
+        MessageEvent.prototype,
+        'data'
+      )
+      const current = dataProperty && dataProperty.get
+      if (current === this.hookedGet || (current && this.probePageHook())) {
+        if (this.compromisedAt !== null) this.recordRestored('external')
+        return true
+      }
+
+      if (this.compromisedAt === null) {
+        this.compromisedAt = Date.now()
+        const reason = current ? 'replaced' : 'removed'
+        console.warn(
+          `[MWI-Moonitoring] WebSocket hook ${reason} by another script; frames no longer reach it`
+        )
+        this.notifyHookStatus(HOOK_EVENTS.COMPROMISED, {
+          reason,
+          getter: current ? current.name || '(anonymous)' : null,
+        })
+      }
+
+      // Without a getter to wrap there is nothing to chain onto; retry later
+      if (!current) return false
+
+      try {
+        this.installPageHook()
+      } catch (error) {
+        return false
+      }
+      this.recordRestored('chained')
+      return true
+    }
+
+    /**
+     * Leader only: result of the last watchdog check, without checking again
+     * @returns {boolean} True unless frames were found not to reach the hook
+     */
+    isPageHookWorking() {
+      return this.hookedGet !== null && this.compromisedAt === null
+    }
+
+    /**
+     * Read the data of a synthetic event through whatever getter is
+     * installed and see whether ours is called on the way
+     * @returns {boolean} True if our getter was reached (or we can't tell)
+     */
+    probePageHook() {
+      let event
+      try {
+        event = new MessageEvent('message', { data: null })
+      } catch (error) {
+        return true
+      }
+
+      this.probeEvent = event
+      this.probeReached = false
+      try {
+        void event.data
+      } catch (error) {
+        // A foreign getter failing on the probe tells us nothing more
+      } finally {
+        this.probeEvent = null
+      }
+      return this.probeReached
+    }
+
+    recordRestored(strategy) {
+      const downtime = Date.now() - this.compromisedAt
+      this.compromisedAt = null
+      console.log(`[MWI-Moonitoring] WebSocket hook restored (${strategy}) after ${downtime}ms`)
+      this.notifyHookStatus(HOOK_EVENTS.RESTORED, { strategy, downtime })
+    }
+
+    /**
+     * Tell every copy of the library on the page about the hook's health
+     */
+    notifyHookStatus(type, data) {
+      versionRegistry.copies.forEach((copy) => {
+        if (typeof copy.hookStatus !== 'function') return
+        try {
+          copy.hookStatus(type, { ...data })
+        } catch (error) {
+          console.error(
+            `[MWI-Moonitoring] Error reporting hook status to version ${copy.version}:`,
+            error
+          )
+        }
+      })
+    }
+
+    /**
+     * Check that frames reach this copy, through its own hook or the
+     * leader's. Reads the watchdog's last result: detecting and re-chaining
+     * a replaced hook happens only in the watchdog, so status queries have
+     * no side effects.
+     * @returns {boolean} True while frames can arrive
+     */
+    isReceivingFrames() {
+      if (!this.isHooked) return false
+
+      const leader = versionRegistry.leader
+      if (leader === ownCopy) return this.isPageHookWorking()
+      return typeof leader.isHookWorking === 'function' ? leader.isHookWorking() : true
+    }
+
+    /**
+     * Leader only: give up the MessageEvent hook to a newer copy
+     * @returns {Function|null} The getter our hook wrapped, or null when we
+     *   have no hook or someone wrapped it since (it then passes through)
+     */
+    handOver() {
+      this.stopWatchdog()
+      if (!this.hookedGet) return null
+
+      const dataProperty = Object.getOwnPropertyDescriptor(
+        MessageEvent.prototype,
+        'data'
+      )
+      if (!dataProperty || dataProperty.get !== this.hookedGet) return null
+
+      const originalGet = this.originalGet
+      this.hookedGet = null
+      this.originalGet = null
+      return originalGet
+    }
+
+    /**
+     * Take the lead from an older copy
+     * @param {Object} previous - Registry entry of the previous leader
+     */
+    takeOver(previous) {
+      const originalGet = previous.handOver()
+
+      // Unwrap the old hook before installing ours, so frames pass one hook
+      if (originalGet) {
+        const dataProperty = Object.getOwnPropertyDescriptor(
+          MessageEvent.prototype,
+          'data'
+        )
+        dataProperty.get = originalGet
+        Object.defineProperty(MessageEvent.prototype, 'data', dataProperty)
+      }
+
+      this.syncPageHook()
+      console.log(
+        `[MWI-Moonitoring] Version ${VERSION} took over the WebSocket hook from version ${previous.version}`
+      )
+    }
+
+    /**
+     * Accept a frame read by the page hook
+     * @param {*} message - Raw frame
+     * @param {WebSocket} socket - Socket it arrived on
+     */
+    receiveFrame(message, socket) {
+      // Attribute the frame to its connection (emits connection:open for new sockets)
+      const connection = this.connections.received(socket)
+
+      // Process the message asynchronously to avoid blocking
+      setTimeout(() => this.distributeMessage(message, connection), 0)
+    }
+
+    /**
+     * Decode a raw frame and hand it to every instance
+     * @param {*} message - Raw frame from the socket or a recorded session
+     * @param {Object|null} [connection=null] - Connection the frame arrived on
+     */
+    distributeMessage(message, connection = null) {
+      this.frameStats.received++
+      if (typeof message !== 'string') {
+        this.frameStats.binary++
+      }
+
+      let decoded
+      try {
+        decoded = this.decodeFrame(message)
+      } catch (error) {
+        this.recordUndecodable(error.message)
+        return
+      }
+
+      // Async decodes (Blob, compression) keep frames in arrival order
+      if (this.pendingDecodes > 0 || (decoded && typeof decoded.then === 'function')) {
+        this.pendingDecodes++
+        const pending = Promise.resolve(decoded)
+        this.decodeChain = this.decodeChain
+          .then(() => pending)
+          .then(
+            (text) => this.dispatchFrame(text, connection),
+            (error) => this.recordUndecodable(error.message)
+          )
+          .then(() => {
+            this.pendingDecodes--
+          })
+        return
+      }
+
+      this.dispatchFrame(decoded, connection)
+    }
+
+    /**
+     * Parse a decoded text frame and hand it to every instance
+     * @param {string|null} message - Decoded frame
+     * @param {Object|null} connection - Connection the frame arrived on
+     */
+    dispatchFrame(message, connection) {
+      if (message === null) {
+        this.recordUndecodable('no decoder accepted the frame')
+        return
+      }
+
+      // Capture frames for active session recorders
+      if (this.recorders.size > 0) {
+        this.recorders.forEach((recorder) => recorder.record(message))
+      }
+
+      // Quick validation at global level
+      if (message.length < 2) {
+        this.recordUndecodable('frame too short')
+        return
+      }
+
+      // Quick JSON check
+      if (message[0] !== '{' && message[0] !== '[') {
+        this.recordUndecodable('frame is not JSON')
+        return
+      }
+
+      const interest = this.getInterest()
+
+      // Parsed and filtered off the main thread; results come back in order
+      if (this.offloading || this.worker.listeners.size > 0) {
+        this.worker.send(message, connection, this.offloading)
+        if (this.offloading) return
+      }
+
+      // Skip parsing frames no instance needs, judging by their type alone
+      if (interest !== null) {
+        const type = extractType(message)
+        if (type !== null && !isWanted(interest, type)) {
+          this.recordSkipped(type)
+          return
+        }
+      }
+
+      // Parse JSON once at global level for efficiency
+      const data = utils.safeParse(message)
+      if (!data || !data.type) {
+        this.recordUndecodable('frame has no event type')
+        return
+      }
+
+      this.deliverEvent(data.type, data, connection)
+    }
+
+    /**
+     * Hand a parsed event to every instance
+     * @param {string} type - Event type
+     * @param {Object} data - Parsed payload
+     * @param {Object|null} connection - Connection the event arrived on
+     */
+    deliverEvent(type, data, connection) {
+      const timestamp = Date.now()
+      if (this.taps.size > 0) {
+        this.taps.forEach((tap) => tap.observe(type, data, timestamp, connection))
+      }
+      this.instances.forEach((instance) => {
+        try {
+          instance.receiveMessage(type, data, timestamp, connection)
+        } catch (error) {
+          console.error(
+            '[MWI-Moonitoring] Error distributing message to instance:',
+            error
+          )
+        }
+      })
+    }
+
+    /**
+     * Deliver a library-generated event (connection lifecycle) in order with
+     * the frames around it
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     * @param {Object} connection - Connection the event is about
+     */
+    dispatchSynthetic(type, data, connection) {
+      // Frames still in the worker are delivered first
+      const deliver = () =>
+        this.worker.afterFrames(() => this.deliverEvent(type, data, connection))
+
+      // Same deferral as frames, so it lands behind frames already read
+      setTimeout(() => {
+        if (this.pendingDecodes > 0) {
+          this.decodeChain = this.decodeChain.then(deliver)
+        } else {
+          deliver()
+        }
+      }, 0)
+    }
+  }
+
+  // Global hook instance (singleton)
+  const globalHook = new GlobalWebSocketHook()
+
+  // ============================================================================
+  // Session Recording & Replay
+  // ============================================================================
+
+  const SESSION_FORMAT = 'mwi-moonitoring-session'
+  const SESSION_FORMAT_VERSION = 1
+
+  /**
+   * Records raw frames seen by the global hook with timestamps relative to
+   * the start of the recording
+   */
+  class SessionRecorder {
+    constructor(options = {}) {
+      this.maxFrames = options.maxFrames || 10000
+      this.frames = []
+      this.droppedFrames = 0
+      this.startedAt = null
+      this.startTime = 0
+      this.isRecording = false
+    }
+
+    start() {
+      if (this.isRecording) return this
+
+      this.frames = []
+      this.droppedFrames = 0
+      this.startedAt = Date.now()
+      this.startTime = utils.now()
+      this.isRecording = true
+      globalHook.recorders.add(this)
+      return this
+    }
+
+    stop() {
+      if (!this.isRecording) return this
+
+      this.isRecording = false
+      globalHook.recorders.delete(this)
+      return this
+    }
+
+    record(message) {
+      if (!this.isRecording) return
+
+      if (this.frames.length >= this.maxFrames) {
+        this.droppedFrames++
+        return
+      }
+
+      this.frames.push({
+        t: Math.round((utils.now() - this.startTime) * 1000) / 1000,
+        data: message,
+      })
+    }
+
+    /**
+     * Get the recorded session as a plain object
+     * @returns {Object} Session object
+     */
+    getSession() {
+      return {
+        format: SESSION_FORMAT,
+        formatVersion: SESSION_FORMAT_VERSION,
+        libraryVersion: VERSION,
+        startedAt: this.startedAt,
+        frameCount: this.frames.length,
+        droppedFrames: this.droppedFrames,
+        frames: this.frames.slice(),
+      }
+    }
+
+    /**
+     * Serialize the session
+     * @param {'json'|'ndjson'} [format='json'] - Output format
+     * @returns {string} Serialized session
+     */
+    export(format = 'json') {
+      const session = this.getSession()
+
+      if (format === 'ndjson') {
+        const { frames, ...header } = session
+        return [header, ...frames].map((line) => JSON.stringify(line)).join('\n')
+      }
+
+      if (format !== 'json') {
+        throw new Error(`Unknown session format: ${format}`)
+      }
+      return JSON.stringify(session)
+    }
+
+    /**
+     * Parse a session from JSON, NDJSON or an already parsed object
+     * @param {string|Object} input - Serialized or parsed session
+     * @returns {Object} Session object
+     */
+    static parse(input) {
+      let session = input
+
+      if (typeof input === 'string') {
+        const text = input.trim()
+        session = utils.safeParse(text)
+
+        // Not a single JSON document with frames - treat as NDJSON (header
+        // line + frames). A session without frames is just its header line
+        if (!session || !Array.isArray(session.frames)) {
+          const lines = text
+            .split('\n')
+            .filter((line) => line.trim())
+            .map((line) => utils.safeParse(line))
+
+          if (lines.length === 0 || lines.some((line) => !line)) {
+            throw new Error('Invalid session: not JSON or NDJSON')
+          }
+          session = { ...lines[0], frames: lines.slice(1) }
+        }
+      }
+
+      if (
+        !session ||
+        session.format !== SESSION_FORMAT ||
+        !Array.isArray(session.frames)
+      ) {
+        throw new Error(`Invalid session: expected ${SESSION_FORMAT} data`)
+      }
+
+      if (session.formatVersion > SESSION_FORMAT_VERSION) {
+        throw new Error(
+          `Unsupported session format version: ${session.formatVersion}`
+        )
+      }
+
+      return session
+    }
+  }
+
+  /**
+   * Feeds a recorded session through the global hook as if the frames had
+   * just arrived from the game server
+   */
+  class SessionReplayer {
+    constructor(session, options = {}) {
+      this.session = SessionRecorder.parse(session)
+      this.frames = this.session.frames
+      this.speed = options.speed || 1
+      this.stepped = options.stepped || false
+      this.position = 0
+      this.timer = null
+      this.isPaused = false
+      this.isFinished = false
+
+      this.done = new Promise((resolve) => {
+        this._resolveDone = resolve
+      })
+
+      if (this.frames.length === 0) {
+        // Nothing to step through either
+        this._finish()
+      } else if (!this.stepped) {
+        this._scheduleNext()
+      }
+    }
+
+    _deliver() {
+      const frame = this.frames[this.position++]
+      globalHook.distributeMessage(frame.data)
+
+      if (this.position >= this.frames.length) {
+        this._finish()
+      }
+      return frame
+    }
+
+    _scheduleNext() {
+      if (this.isFinished || this.isPaused) return
+      if (this.position >= this.frames.length) {
+        this._finish()
+        return
+      }
+
+      const previous = this.position > 0 ? this.frames[this.position - 1].t : 0
+      const delay =
+        this.speed === Infinity
+          ? 0
+          : Math.max(0, (this.frames[this.position].t - previous) / this.speed)
+
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this._deliver()
+        this._scheduleNext()
+      }, delay)
+    }
+
+    _finish() {
+      if (this.isFinished) return
+
+      this.isFinished = true
+      if (this.timer) {
+        clearTimeout(this.timer)
+        this.timer = null
+      }
+      this._resolveDone(this.progress())
+    }
+
+    /**
+     * Deliver the next frame immediately
+     * @returns {Object|null} Delivered frame or null when finished
+     */
+    step() {
+      if (this.isFinished || this.position >= this.frames.length) {
+        this._finish()
+        return null
+      }
+      return this._deliver()
+    }
+
+    pause() {
+      this.isPaused = true
+      if (this.timer) {
+        clearTimeout(this.timer)
+        this.timer = null
+      }
+    }
+
+    resume() {
+      if (!this.isPaused) return
+      this.isPaused = false
+      if (!this.stepped) {
+        this._scheduleNext()
+      }
+    }
+
+    stop() {
+      this._finish()
+    }
+
+    progress() {
+      return {
+        position: this.position,
+        total: this.frames.length,
+        isFinished: this.isFinished,
+      }
+    }
+  }
+
+  // ============================================================================
+  // Per-Instance WebSocket Hook Manager
+  // ============================================================================
+
+  class WebSocketHookInstance {
+    constructor(config = {}, owner = null) {
+      this.id = Math.random().toString(36).substr(2, 9) // Generate unique instance ID
+      this.owner = owner // { name, version } of the userscript, if it said
+      this.config = { ...DEFAULT_CONFIG, ...config }
+      this.logger = new Logger(this.config)
+      this.monitor = new PerformanceMonitor()
+      this.emitter = new EventEmitter(this.config, this.logger, this.monitor)
+      this.shapes = new ShapeInferrer()
+      this.discovery = new EventDiscovery(this.config, this.logger, this.shapes)
+      this.state = new CharacterStateStore(this.config, this.logger)
+      this.schemas = new SchemaRegistry(globalSchemas)
+      this.queue = new MessageQueue(this.config, this.processBatch.bind(this), {
+        onDrop: (count) => this.monitor.recordBackpressureDrop(count),
+        isBusy: () => this.emitter.inFlight > 0,
+        onCoalesce: (eventType) => this.monitor.recordCoalesced(eventType),
+        onSlice: (elapsed, budget) => this.monitor.recordSlice(elapsed, budget),
+      })
+      this.queue.updateConfig(this.config) // Initialize logger
+      this.emitter.onIdle = () => this.queue.resume()
+      this.emitter.onChange = () => globalHook.invalidateInterest()
+      this.discovery.onChange = () => globalHook.invalidateInterest()
+
+      this.eventHistory = []
+      this.eventCache = new Map()
+      this.persistence = null
+      this.isDestroyed = false
+      this._syncPersistence()
+
+      // Register with global hook
+      globalHook.addInstance(this)
+
+      this.logger.info(
+        `WebSocket instance ${this.id} created${owner ? ` for ${describeOwner(owner)}` : ''}`
+      )
+      this._initialized = true
+    }
+
+    /**
+     * Destroy this instance and clean up resources
+     */
+    destroy() {
+      if (this.isDestroyed) return
+
+      this.isDestroyed = true
+      globalHook.removeInstance(this)
+      this.emitter.offAll()
+      this.state.unsubscribeAll()
+      this.state.reset()
+      this.eventHistory = []
+      this.eventCache.clear()
+      this.queue.clear()
+      this.monitor.reset()
+      if (this.persistence) {
+        this.persistence.close()
+        this.persistence = null
+      }
+
+      this.logger.info(`WebSocket instance ${this.id} destroyed`)
+    }
+
+    /**
+     * Check if this instance is ready to receive events
+     */
+    isReady() {
+      return !this.isDestroyed && globalHook.isReceivingFrames()
+    }
+
+    /**
+     * Event types this instance needs frames for. The global hook skips
+     * parsing frames no instance needs.
+     * Listeners only narrow it down when nothing else looks at every event:
+     * history and cache (unless lazyParsing limits them to listened types),
+     * discovery, shape tracking, persistence or validation.
+     * @returns {Object} { whitelist, blacklist, types } - types (wildcards
+     *   allowed) is null when every type passing the lists is needed
+     */
+    getInterest() {
+      const config = this.config
+      const needsAll =
+        (!config.lazyParsing && (config.historySize > 0 || config.enableCache)) ||
+        config.enableDiscovery ||
+        this.discovery.isDiscovering ||
+        config.trackShapes ||
+        config.persistHistory ||
+        config.validatePayloads
+
+      let types = null
+      if (!needsAll) {
+        types = this.emitter.eventNames()
+        if (config.enableState) {
+          types.push(...Object.keys(this.state.reducers))
+        }
+      }
+
+      return {
+        whitelist: config.eventWhitelist,
+        blacklist: config.eventBlacklist,
+        types,
+      }
+    }
+
+    /**
+     * Check whether the event blacklist or whitelist rejects an event type
+     * @param {string} eventType - Event type
+     * @returns {boolean} True if the instance drops events of this type
+     */
+    isFilteredOut(eventType) {
+      return (
+        matchesAnyPattern(eventType, this.config.eventBlacklist) ||
+        (this.config.eventWhitelist.length > 0 &&
+          !matchesAnyPattern(eventType, this.config.eventWhitelist))
+      )
+    }
+
+    /**
+     * Receive a message from the global hook (already parsed)
+     * @param {string} eventType - Event type
+     * @param {Object} data - Parsed payload
+     * @param {number} timestamp - Receive time
+     * @param {Object|null} [connection=null] - Source connection descriptor
+     */
+    receiveMessage(eventType, data, timestamp, connection = null) {
+      if (this.isDestroyed) return
+
+      const startTime = utils.now()
+
+      try {
+        // Check blacklist and whitelist
+        if (this.isFilteredOut(eventType)) {
+          this.monitor.recordDropped()
+          return
+        }
+
+        // Give this instance its own copy nobody else can change, and that
+        // its listeners can't change for each other
+        if (this.config.payloadMode === 'frozen') {
+          const freezeStart = utils.now()
+          data = createReadOnlyView(utils.deepClone(unwrapPayload(data)), eventType)
+          this.monitor.recordFreeze(utils.now() - freezeStart)
+        }
+
+        // Route payloads that fail their schema away from handlers
+        if (this.config.validatePayloads) {
+          const result = this.schemas.validate(eventType, data)
+          if (!result.valid) {
+            this.monitor.recordValidationError(eventType)
+            this.logger.warn(
+              `Payload for ${eventType} failed validation:`,
+              result.errors
+            )
+            // One view over the whole event, not a view inside a plain
+            // object that IndexedDB and postMessage can't clone
+            const failure = { eventType, errors: result.errors, data: unwrapPayload(data) }
+            this.queue.add({
+              type: VALIDATION_ERROR_EVENT,
+              data:
+                this.config.payloadMode === 'frozen'
+                  ? createReadOnlyView(failure, VALIDATION_ERROR_EVENT)
+                  : failure,
+              timestamp: timestamp,
+            })
+            return
+          }
+        }
+
+        // Add to queue for batch processing
+        this.queue.add({
+          type: eventType,
+          data: data,
+          timestamp: timestamp,
+          connection: connection,
+        })
+
+        // Connection events and worker results are made up here, not
+        // protocol traffic
+        const isProtocolEvent =
+          !eventType.startsWith('connection:') &&
+          !eventType.startsWith('hook:') &&
+          !eventType.startsWith(WORKER_PREFIX)
+
+        // Record for discovery
+        if (
+          isProtocolEvent &&
+          (this.config.enableDiscovery || this.discovery.isDiscovering)
+        ) {
+          this.discovery.record(eventType, data)
+        }
+
+        // Infer payload shapes for drift detection
+        if (
+          isProtocolEvent &&
+          (this.config.trackShapes || this.discovery.isDiscovering)
+        ) {
+          this.shapes.observe(eventType, data)
+        }
+
+        // Record performance metrics (totalEvents counts game frames only)
+        if (isProtocolEvent) {
+          this.monitor.recordEvent(eventType, utils.now() - startTime)
+        }
+      } catch (error) {
+        this.monitor.recordError()
+        this.logger.error(`Error processing event ${eventType}:`, error)
+      }
+    }
+
+    /**
+     * Process a batch of messages
+     * @param {Object[]} messages - Messages in arrival order
+     * @param {Function} [shouldYield] - Checked after each message; stop when it returns true
+     * @returns {number} Number of messages processed
+     */
+    processBatch(messages, shouldYield) {
+      const startTime = utils.now()
+      let processed = 0
+
+      // With lazyParsing, history and cache only keep the types this
+      // instance needs, whatever other instances had parsed for them
+      const keptTypes = this.config.lazyParsing ? this.getInterest().types : null
+      const keeps = (type) => keptTypes === null || matchesAnyPattern(type, keptTypes)
+
+      for (const msg of messages) {
+        processed++
+        try {
+          this.monitor.recordQueueWait(msg.type, utils.now() - msg.receivedAt)
+          delete msg.receivedAt
+
+          const isKept = keeps(msg.type)
+
+          // Add to history
+          if (isKept) {
+            if (this.eventHistory.length >= this.config.historySize) {
+              this.eventHistory.shift()
+            }
+            this.eventHistory.push(msg)
+          }
+
+          // Cache management
+          if (this.config.enableCache && isKept) {
+            this.eventCache.set(msg.type, msg)
+
+            // Limit cache size
+            if (this.eventCache.size > this.config.cacheSize) {
+              const firstKey = this.eventCache.keys().next().value
+              this.eventCache.delete(firstKey)
+            }
+          }
+
+          // Coalesced events carry their source messages until delivered
+          const sources = msg.sources || [msg]
+          if (msg.sources) {
+            delete msg.sources
+            msg.coalesced = sources.length
+          }
+
+          // Keep derived state current before listeners run. Coalesced
+          // events apply every source, so deltas are not lost
+          if (this.config.enableState) {
+            sources.forEach((source) => this.state.apply(source.type, source.data))
+          }
+
+          // Emit to listeners
+          const connection = msg.connection || null
+          const listenerCount = this.emitter.emit(msg.type, msg.data, {
+            timestamp: msg.timestamp,
+            connection: connection,
+            profile: connection ? connection.profile : null,
+            coalesced: sources.length,
+          })
+
+          if (listenerCount > 0) {
+            this.logger.debug(
+              `Event ${msg.type} emitted to ${listenerCount} listeners`
+            )
+          }
+        } catch (error) {
+          this.monitor.recordError()
+          this.logger.error(`Error processing event ${msg.type}:`, error)
+        }
+
+        if (shouldYield && shouldYield()) break
+      }
+
+      const done =
+        processed === messages.length ? messages : messages.slice(0, processed)
+
+      // Stream the batch to IndexedDB in one transaction
+      if (this.persistence) {
+        this.persistence.write(done)
+      }
+
+      const batchTime = utils.now() - startTime
+      if (batchTime > 10) {
+        this.logger.warn(
+          `Batch processing took ${batchTime.toFixed(2)}ms for ${
+            done.length
+          } messages`
+        )
+      }
+
+      return processed
+    }
+
+    configure(options) {
+      const oldConfig = { ...this.config }
+      this.config = { ...this.config, ...options }
+
+      // Create new logger with updated config
+      this.logger = new Logger(this.config)
+
+      // Update components with new config
+      this.emitter.config = this.config
+      this.discovery.config = this.config
+      this.state.config = this.config
+      if (oldConfig.enableState && !this.config.enableState) {
+        // Nothing keeps the store current anymore, so don't serve stale state
+        this.state.reset()
+      }
+      this.queue.updateConfig(this.config)
+      this._syncPersistence()
+      globalHook.syncSendObserver()
+      globalHook.syncWorker()
+
+      this.logger.info(`Instance ${this.id} configuration updated:`, {
+        ...options,
+        _batchIntervalChanged:
+          oldConfig.batchInterval !== this.config.batchInterval,
+      })
+
+      // Extra warning for default instance
+      if (this === instanceManager.defaultInstance) {
+        this.logger.warn(
+          `Default instance configuration changed - this affects all addons using the shared instance`
+        )
+      }
+
+      instanceManager.reportConflicts()
+    }
+
+    /**
+     * Open, reopen or close persistent history to match the configuration
+     */
+    _syncPersistence() {
+      const name = HISTORY_DB_PREFIX + this.config.persistName
+      const changed =
+        this.persistence &&
+        (!this.config.persistHistory ||
+          this.persistence.name !== name ||
+          (this.config.persistBackend &&
+            this.persistence.indexedDB !== this.config.persistBackend.indexedDB))
+
+      if (changed) {
+        this.persistence.close()
+        this.persistence = null
+      }
+
+      if (this.persistence) {
+        this.persistence.config = this.config
+      } else if (this.config.persistHistory) {
+        try {
+          this.persistence = new PersistentHistory(this.config, this.logger)
+        } catch (error) {
+          this.logger.error('Persistent history unavailable:', error)
+        }
+      }
+    }
+
+    /**
+     * Get persistent history, rejecting when it is not enabled
+     * @returns {Promise<PersistentHistory>}
+     */
+    _requirePersistence() {
+      if (!this.persistence) {
+        return Promise.reject(
+          new Error('Persistent history is not enabled (set persistHistory: true)')
+        )
+      }
+      return Promise.resolve(this.persistence)
+    }
+
+    getConfig() {
+      return { ...this.config }
+    }
+
+    /**
+     * Performance metrics, including timing of every listener
+     * @returns {PerformanceMetrics} Metrics snapshot
+     */
+    getMetrics() {
+      return {
+        ...this.monitor.getMetrics(),
+        listeners: this.emitter.getProfiles(),
+      }
+    }
+
+    resetMetrics() {
+      this.monitor.reset()
+      this.emitter.resetProfiles()
+    }
+
+    getEventHistory(limit) {
+      if (limit) {
+        return this.eventHistory.slice(-limit)
+      }
+      return [...this.eventHistory]
+    }
+
+    getCachedEvent(eventType) {
+      return this.eventCache.get(eventType)
+    }
+
+    /**
+     * Deliver queued messages immediately instead of waiting for the batch timer
+     */
+    flush() {
+      if (this.isDestroyed) return
+      this.queue.drain()
+    }
+
+    clear() {
+      this.eventHistory = []
+      this.eventCache.clear()
+      this.queue.clear()
+      this.resetMetrics()
+      this.state.reset()
+      this.logger.info(`Instance ${this.id} data cleared`)
+    }
+  }
+
+  // ============================================================================
+  // Instance Manager
+  // ============================================================================
+
+  // configure() calls on the default instance kept for getConfigAudit()
+  const MAX_AUDIT_ENTRIES = 200
+
+  // Stack frame location: 'at fn (url:1:2)', 'at url:1:2' or 'fn@url:1:2'
+  const STACK_LOCATION = /([^\s(@]+):\d+:\d+\)?$/
+
+  const stackLocations = (stack) =>
+    String(stack || '')
+      .split('\n')
+      .map((line) => STACK_LOCATION.exec(line.trim()))
+      .filter(Boolean)
+      .map((match) => match[1])
+
+  // Script this copy of the library runs from, to tell its own frames apart
+  const LIBRARY_SOURCE = stackLocations(new Error().stack)[0] || null
+
+  /**
+   * Best guess at the script that called into the library, for callers that
+   * don't name an owner. Userscript managers put the script name in the URL.
+   * @returns {string|null} Script name or URL, null if the stack doesn't tell
+   */
+  const callerSource = () => {
+    const location = stackLocations(new Error().stack).find(
+      (candidate) => candidate !== LIBRARY_SOURCE
+    )
+    if (!location) return null
+
+    const name = /[?&]name=([^&#]+)/.exec(location)
+    if (!name) return location
+    try {
+      return decodeURIComponent(name[1])
+    } catch (error) {
+      return name[1]
+    }
+  }
+
+  /**
+   * @param {string|Object} [owner] - Name, or { name, version }
+   * @returns {Object|null} Frozen { name, version }
+   */
+  const normalizeOwner = (owner) => {
+    if (owner === undefined || owner === null) return null
+
+    const fields = typeof owner === 'string' ? { name: owner } : owner
+    if (!fields || typeof fields !== 'object' || !fields.name) {
+      throw new TypeError('Owner must be a name or { name, version }')
+    }
+    return Object.freeze({
+      name: String(fields.name),
+      version: fields.version ? String(fields.version) : null,
+    })
+  }
+
+  const describeOwner = (owner) =>
+    owner.version ? `${owner.name}@${owner.version}` : owner.name
+
+  const formatOptionValue = (value) =>
+    typeof value === 'function'
+      ? `[Function ${value.name || 'anonymous'}]`
+      : JSON.stringify(value)
+
+  /**
+   * @typedef {Object} ConfigConflict
+   * @property {string} option - Option the owners disagree on
+   * @property {string} reason - What goes wrong
+   * @property {Array<{owner: string, instanceId: string, value: *}>} values - Who wants what
+   */
+
+  class InstanceManager {
+    constructor() {
+      this.instances = new Map()
+      this.defaultInstance = null
+      this.audit = []
+      this.reportedConflicts = new Set()
+    }
+
+    createInstance(config = {}, owner = null) {
+      const instance = new WebSocketHookInstance(config, owner)
+      this.instances.set(instance.id, instance)
+      this.reportConflicts()
+      return instance
+    }
+
+    /**
+     * Configure the shared default instance, keeping a record of who changed
+     * what
+     * @param {Object} options - Options to apply
+     * @param {Object|null} owner - Normalized owner of the caller
+     */
+    configureDefault(options, owner) {
+      const instance = this.getDefaultInstance()
+      const previous = {}
+      Object.keys(options).forEach((key) => {
+        previous[key] = instance.config[key]
+      })
+
+      this.audit.push({
+        timestamp: Date.now(),
+        instanceId: instance.id,
+        owner,
+        source: owner ? null : callerSource(),
+        options: { ...options },
+        previous,
+      })
+      if (this.audit.length > MAX_AUDIT_ENTRIES) {
+        this.audit.shift()
+      }
+
+      instance.configure(options)
+    }
+
+    /**
+     * Label of whoever is behind an instance or a configure() call
+     */
+    ownerLabel(owner, source) {
+      if (owner) return describeOwner(owner)
+      return source || 'unknown'
+    }
+
+    instanceLabel(instance) {
+      if (instance.owner) return describeOwner(instance.owner)
+      return instance === this.defaultInstance ? 'shared default' : 'unknown'
+    }
+
+    /**
+     * Options that owners set in ways that can't all hold
+     * @returns {ConfigConflict[]} Current conflicts
+     */
+    getConflicts() {
+      const conflicts = []
+      const instances = Array.from(this.instances.values())
+      const describe = (instance, option) => ({
+        owner: this.instanceLabel(instance),
+        instanceId: instance.id,
+        value: instance.config[option],
+      })
+
+      // Owners of the shared default instance overwriting each other
+      const shared = this.defaultInstance
+      if (shared) {
+        const wanted = new Map() // option -> owner label -> latest value
+        this.audit
+          .filter((entry) => entry.instanceId === shared.id)
+          .forEach((entry) => {
+            const label = this.ownerLabel(entry.owner, entry.source)
+            Object.keys(entry.options).forEach((option) => {
+              if (!wanted.has(option)) wanted.set(option, new Map())
+              wanted.get(option).set(label, entry.options[option])
+            })
+          })
+
+        wanted.forEach((values, option) => {
+          const distinct = new Set(
+            Array.from(values.values(), (value) =>
+              typeof value === 'function' ? value : JSON.stringify(value)
+            )
+          )
+          if (distinct.size < 2) return
+
+          conflicts.push({
+            option,
+            reason: 'Owners of the shared default instance set different values; the last one applies',
+            values: Array.from(values, ([owner, value]) => ({
+              owner,
+              instanceId: shared.id,
+              value,
+            })),
+          })
+        })
+      }
+
+      // Offloading to the worker needs every instance to agree
+      const workers = instances.filter((instance) => instance.config.preParsing === 'worker')
+      if (workers.length > 0 && workers.length < instances.length) {
+        conflicts.push({
+          option: 'preParsing',
+          reason: "preParsing: 'worker' only applies once every instance asks for it",
+          values: instances.map((instance) => describe(instance, 'preParsing')),
+        })
+      }
+
+      // Instances sharing a history database but pruning it differently
+      const databases = new Map()
+      instances
+        .filter((instance) => instance.config.persistHistory)
+        .forEach((instance) => {
+          const name = instance.config.persistName
+          if (!databases.has(name)) databases.set(name, [])
+          databases.get(name).push(instance)
+        })
+
+      databases.forEach((group, name) => {
+        for (const option of ['persistMaxAge', 'persistMaxEntries']) {
+          if (new Set(group.map((instance) => instance.config[option])).size < 2) continue
+
+          conflicts.push({
+            option,
+            reason: `Instances share persistent history '${name}' and prune it to the strictest limit`,
+            values: group.map((instance) => describe(instance, option)),
+          })
+        }
+      })
+
+      return conflicts
+    }
+
+    /**
+     * Warn about each conflict when it appears, not again while it lasts
+     */
+    reportConflicts() {
+      const current = new Set()
+      this.getConflicts().forEach((conflict) => {
+        const key = `${conflict.option}|${conflict.reason}`
+        current.add(key)
+        if (this.reportedConflicts.has(key)) return
+
+        const values = conflict.values
+          .map((entry) => `${entry.owner}: ${formatOptionValue(entry.value)}`)
+          .join(', ')
+        console.warn(
+          `[MWI-Moonitoring] Configuration conflict on '${conflict.option}': ${conflict.reason} (${values})`
+        )
+      })
+      this.reportedConflicts = current
+    }
+
+    getDefaultInstance() {
+      if (!this.defaultInstance) {
+        // Known as the default before conflicts involving it are reported
+        this.defaultInstance = new WebSocketHookInstance()
+        this.instances.set(this.defaultInstance.id, this.defaultInstance)
+        this.reportConflicts()
+      }
+      return this.defaultInstance
+    }
+
+    destroyInstance(instanceOrId) {
+      const id =
+        typeof instanceOrId === 'string' ? instanceOrId : instanceOrId.id
+      const instance = this.instances.get(id)
+      if (instance) {
+        instance.destroy()
+        this.instances.delete(id)
+        if (instance === this.defaultInstance) {
+          this.defaultInstance = null
+        }
+        this.reportConflicts()
+      }
+    }
+
+    destroyAll() {
+      this.instances.forEach((instance) => instance.destroy())
+      this.instances.clear()
+      this.defaultInstance = null
+      this.audit = []
+      this.reportedConflicts.clear()
+    }
+  }
+
+  const instanceManager = new InstanceManager()
+
+  // ============================================================================
+  // Metrics Export
+  // ============================================================================
+
+  const METRIC_PREFIX = 'mwi_moonitoring_'
+  const QUANTILES = [0.5, 0.95, 0.99]
+  const DEFAULT_PUSH_INTERVAL = 60 * 1000
+  const DEFAULT_SINK_LIMIT = 1440 // A day of snapshots at the default interval
+  const libraryStartTime = Date.now()
+
+  // Exported metrics: name (without prefix) -> [type, unit, help]. Names and
+  // labels are part of the public API - add new ones, don't rename
+  const METRIC_DEFINITIONS = {
+    instances: ['gauge', '1', 'Active library instances'],
+    connections_open: ['gauge', '1', 'Open game sockets'],
+    frames_received: ['counter', '1', 'Frames seen by the global hook'],
+    frames_binary: ['counter', '1', 'Binary frames seen by the global hook'],
+    frames_undecodable: ['counter', '1', 'Frames that could not be decoded into a typed JSON message'],
+    frames_skipped: ['counter', '1', 'Frames left unparsed because no instance needed their type'],
+    uptime_seconds: ['gauge', 's', 'Seconds since the instance was created'],
+    listeners: ['gauge', '1', 'Registered listeners'],
+    events: ['counter', '1', 'Events by type and outcome (received, invalid, coalesced)'],
+    events_dropped: ['counter', '1', 'Events dropped by reason (filtered, backpressure)'],
+    errors: ['counter', '1', 'Errors while processing events or in listeners'],
+    slices: ['counter', '1', 'Idle-scheduling slices by outcome (within_budget, overrun)'],
+    processing_seconds: ['summary', 's', 'Time to filter and enqueue an event'],
+    queue_wait_seconds: ['summary', 's', 'Time from receipt to dispatch, by event type'],
+    listener_seconds: ['summary', 's', 'Main-thread time of listener calls, by event type'],
+    listener_calls: ['counter', '1', 'Calls of each listener by outcome (ok, error)'],
+    listener_blocking_seconds: ['summary', 's', 'Main-thread time per call of each listener'],
+  }
+
+  /**
+   * Convert a LatencySummary (ms) to seconds
+   */
+  const toSeconds = (summary) => ({
+    count: summary.count,
+    sum: summary.sum / 1000,
+    quantiles: QUANTILES.map((quantile) => [
+      quantile,
+      summary['p' + Math.round(quantile * 100)] / 1000,
+    ]),
+  })
+
+  /**
+   * Snapshot the metrics of every instance and the global hook
+   * @returns {Object[]} Metric families: { name, type, unit, help, points }
+   */
+  const collectMetrics = () => {
+    const families = new Map()
+    const now = Date.now()
+
+    const add = (key, labels, value, start) => {
+      if (!families.has(key)) {
+        const [type, unit, help] = METRIC_DEFINITIONS[key]
+        families.set(key, { name: METRIC_PREFIX + key, type, unit, help, points: [] })
+      }
+      families.get(key).points.push({ labels, value, start, time: now })
+    }
+
+    const frames = globalHook.frameStats
+    add('instances', {}, instanceManager.instances.size, libraryStartTime)
+    add('connections_open', {}, globalHook.connections.active.size, libraryStartTime)
+    add('frames_received', {}, frames.received, libraryStartTime)
+    add('frames_binary', {}, frames.binary, libraryStartTime)
+    add('frames_undecodable', {}, frames.undecodable, libraryStartTime)
+    add('frames_skipped', {}, frames.skipped, libraryStartTime)
+
+    // Instance ids change with every page load; owner names don't. Several
+    // instances of one owner are numbered in creation order
+    const seen = new Map()
+    const instanceName = (instance) => {
+      const name = instance.owner
+        ? instance.owner.name
+        : instance === instanceManager.defaultInstance
+          ? 'default'
+          : instance.id
+      const count = (seen.get(name) || 0) + 1
+      seen.set(name, count)
+      return count > 1 ? `${name}#${count}` : name
+    }
+
+    instanceManager.instances.forEach((instance) => {
+      const metrics = instance.getMetrics()
+      const start = metrics.lastReset
+      const base = { instance: instanceName(instance) }
+      const typed = (eventType, extra) => ({ ...base, event_type: eventType, ...extra })
+
+      add('uptime_seconds', base, metrics.uptime / 1000, metrics.startTime)
+      add('listeners', base, instance.emitter.listenerCount(), start)
+
+      metrics.eventsPerType.forEach((count, eventType) =>
+        add('events', typed(eventType, { outcome: 'received' }), count, start)
+      )
+      metrics.validationErrorsPerType.forEach((count, eventType) =>
+        add('events', typed(eventType, { outcome: 'invalid' }), count, start)
+      )
+      metrics.coalescedPerType.forEach((count, eventType) =>
+        add('events', typed(eventType, { outcome: 'coalesced' }), count, start)
+      )
+
+      add('events_dropped', { ...base, reason: 'filtered' }, metrics.droppedEvents, start)
+      add('events_dropped', { ...base, reason: 'backpressure' }, metrics.backpressureDrops, start)
+      add('errors', base, metrics.errors, start)
+      add(
+        'slices',
+        { ...base, outcome: 'within_budget' },
+        metrics.idleSlices - metrics.budgetOverruns,
+        start
+      )
+      add('slices', { ...base, outcome: 'overrun' }, metrics.budgetOverruns, start)
+
+      add('processing_seconds', base, toSeconds(metrics.processingLatency), start)
+      metrics.latencyPerType.forEach((latency, eventType) => {
+        add('queue_wait_seconds', typed(eventType), toSeconds(latency.queueWait), start)
+        add('listener_seconds', typed(eventType), toSeconds(latency.listeners), start)
+      })
+
+      instance.emitter.getMergedProfiles().forEach((profile) => {
+        const labels = typed(profile.eventType, { listener: profile.name })
+        add(
+          'listener_calls',
+          { ...labels, outcome: 'ok' },
+          profile.calls - profile.errors,
+          start
+        )
+        add('listener_calls', { ...labels, outcome: 'error' }, profile.errors, start)
+        add('listener_blocking_seconds', labels, toSeconds(profile.blocking), start)
+      })
+    })
+
+    return Array.from(families.values())
+  }
+
+  const escapeLabel = (value) =>
+    String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+  const formatNumber = (value) => {
+    if (Number.isNaN(value)) return 'NaN'
+    if (value === Infinity) return '+Inf'
+    if (value === -Infinity) return '-Inf'
+    return String(value)
+  }
+
+  const formatLabels = (labels) => {
+    const pairs = Object.keys(labels).map(
+      (key) => `${key}="${escapeLabel(labels[key])}"`
+    )
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+  }
+
+  /**
+   * Render metric families in the Prometheus text exposition format
+   * @param {Object[]} families - From collectMetrics()
+   * @returns {string} Exposition text
+   */
+  const formatPrometheus = (families) => {
+    const lines = []
+
+    families.forEach((family) => {
+      const name = family.type === 'counter' ? family.name + '_total' : family.name
+      lines.push(`# HELP ${name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`)
+      lines.push(`# TYPE ${name} ${family.type}`)
+
+      family.points.forEach(({ labels, value }) => {
+        if (family.type !== 'summary') {
+          lines.push(`${name}${formatLabels(labels)} ${formatNumber(value)}`)
+          return
+        }
+        value.quantiles.forEach(([quantile, quantileValue]) =>
+          lines.push(
+            `${name}${formatLabels({ ...labels, quantile })} ${formatNumber(quantileValue)}`
+          )
+        )
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatNumber(value.sum)}`)
+        lines.push(`${name}_count${formatLabels(labels)} ${value.count}`)
+      })
+    })
+
+    return lines.join('\n') + '\n'
+  }
+
+  const otlpAttributes = (labels) =>
+    Object.keys(labels).map((key) => ({
+      key,
+      value: { stringValue: String(labels[key]) },
+    }))
+
+  const otlpTime = (ms) => `${Math.round(ms)}000000`
+
+  /**
+   * Render metric families as an OTLP/HTTP JSON metrics payload
+   * @param {Object[]} families - From collectMetrics()
+   * @returns {Object} ExportMetricsServiceRequest
+   */
+  const formatOtlp = (families) => {
+    const metrics = families.map((family) => {
+      const dataPoints = family.points.map(({ labels, value, start, time }) => {
+        const point = {
+          attributes: otlpAttributes(labels),
+          startTimeUnixNano: otlpTime(start),
+          timeUnixNano: otlpTime(time),
+        }
+        if (family.type === 'summary') {
+          point.count = String(value.count)
+          point.sum = value.sum
+          point.quantileValues = value.quantiles.map(([quantile, quantileValue]) => ({
+            quantile,
+            value: quantileValue,
+          }))
+        } else if (Number.isInteger(value)) {
+          point.asInt = String(value)
+        } else {
+          point.asDouble = value
+        }
+        return point
+      })
+
+      const metric = { name: family.name, description: family.help, unit: family.unit }
+      if (family.type === 'counter') {
+        // 2 = AGGREGATION_TEMPORALITY_CUMULATIVE
+        metric.sum = { dataPoints, aggregationTemporality: 2, isMonotonic: true }
+      } else {
+        metric[family.type] = { dataPoints }
+      }
+      return metric
+    })
+
+    return {
+      resourceMetrics: [
+        {
+          resource: {
+            attributes: otlpAttributes({
+              'service.name': LIBRARY_NAME,
+              'service.version': VERSION,
+            }),
+          },
+          scopeMetrics: [{ scope: { name: LIBRARY_NAME, version: VERSION }, metrics }],
+        },
+      ],
+    }
+  }
+
+  const METRIC_FORMATTERS = {
+    otlp: formatOtlp,
+    prometheus: formatPrometheus,
+  }
+
+  /**
+   * Periodically pushes metric snapshots to a sink
+   */
+  class MetricsPusher {
+    /**
+     * @param {Object} sink - { push(payload, format) }, may return a Promise
+     * @param {Object} [options] - { interval, format: 'otlp'|'prometheus' }
+     */
+    constructor(sink, options = {}) {
+      if (!sink || typeof sink.push !== 'function') {
+        throw new TypeError('Metrics sink must have a push(payload, format) method')
+      }
+
+      this.sink = sink
+      this.format = options.format || 'otlp'
+      this.interval = options.interval || DEFAULT_PUSH_INTERVAL
+      this.timer = null
+      this.isPushing = false
+
+      if (!METRIC_FORMATTERS[this.format]) {
+        throw new TypeError(`Unknown metrics format: ${this.format}`)
+      }
+    }
+
+    start() {
+      this.push()
+      this.timer = setInterval(() => this.push(), this.interval)
+    }
+
+    stop() {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+
+    /**
+     * Push one snapshot. Skipped while the previous push is still pending, so
+     * a slow sink can't pile up snapshots; failures are logged, never thrown.
+     */
+    push() {
+      if (this.isPushing) return
+
+      try {
+        const payload = METRIC_FORMATTERS[this.format](collectMetrics())
+        const result = this.sink.push(payload, this.format)
+        if (result && typeof result.then === 'function') {
+          this.isPushing = true
+          result
+            .catch((error) => console.error('[MWI-Moonitoring] Metrics push failed:', error))
+            .then(() => {
+              this.isPushing = false
+            })
+        }
+      } catch (error) {
+        console.error('[MWI-Moonitoring] Metrics push failed:', error)
+      }
+    }
+  }
+
+  const metricsPushers = new Set()
+
+  /**
+   * Local stand-in for a metrics backend: keeps the most recent snapshots in
+   * memory and reads time series back out of OTLP snapshots for charting
+   */
+  class MemorySink {
+    constructor(options = {}) {
+      this.limit = options.limit || DEFAULT_SINK_LIMIT
+      this.records = []
+    }
+
+    push(payload, format) {
+      this.records.push({ timestamp: Date.now(), format, payload })
+      if (this.records.length > this.limit) {
+        this.records.shift()
+      }
+    }
+
+    /**
+     * @returns {Object[]} Stored snapshots: { timestamp, format, payload }
+     */
+    entries() {
+      return this.records.slice()
+    }
+
+    /**
+     * Read one metric over time from the stored OTLP snapshots
+     * @param {string} name - Metric name, with or without the 'mwi_moonitoring_' prefix
+     * @param {Object} [labels={}] - Only points with these label values
+     * @returns {Object[]} { timestamp, value }: the sum of matching points for
+     *   counters and gauges, { count, sum, quantiles } of the first match for summaries
+     */
+    series(name, labels = {}) {
+      const fullName = name.startsWith(METRIC_PREFIX) ? name : METRIC_PREFIX + name
+      const matches = (point) =>
+        Object.keys(labels).every((key) =>
+          point.attributes.some(
+            (attribute) =>
+              attribute.key === key && attribute.value.stringValue === String(labels[key])
+          )
+        )
+
+      const result = []
+      this.records.forEach((record) => {
+        if (record.format !== 'otlp') return
+
+        const metric = record.payload.resourceMetrics[0].scopeMetrics[0].metrics.find(
+          (candidate) => candidate.name === fullName
+        )
+        if (!metric) return
+
+        const data = metric.sum || metric.gauge || metric.summary
+        const points = data.dataPoints.filter(matches)
+        if (points.length === 0) return
+
+        const value = metric.summary
+          ? {
+              count: Number(points[0].count),
+              sum: points[0].sum,
+              quantiles: points[0].quantileValues,
+            }
+          : points.reduce(
+              (total, point) =>
+                total + (point.asInt !== undefined ? Number(point.asInt) : point.asDouble),
+              0
+            )
+        result.push({ timestamp: record.timestamp, value })
+      })
+      return result
+    }
+
+    clear() {
+      this.records = []
+    }
+  }
+
+  // ============================================================================
+  // Diagnostics Overlay
+  // ============================================================================
+
+  // The overlay lives in mwi-moonitoring-overlay.js, @require'd after the
+  // library. Nothing is fetched at runtime.
+  const OVERLAY_REGISTRY_KEY = '__mwiMoonitoringOverlay__'
+  const OVERLAY_API = 1 // Revision of the internals handed to the overlay
+  const OVERLAY_SHORTCUT = 'Ctrl+Shift+M'
 
-      // Extra warning for default instance
-      if (this === instanceManager.defaultInstance) {
-        this.logger.warn(
-          `Default instance configuration changed - this affects all addons using the shared instance`
-        )
-      }
+  /**
+   * Parse a shortcut such as 'Ctrl+Shift+M'
+   * @param {string} shortcut - Modifiers (Ctrl, Shift, Alt, Meta) and a key, joined by '+'
+   * @returns {Object} { ctrl, shift, alt, meta, key }
+   */
+  const parseShortcut = (shortcut) => {
+    const parts = String(shortcut)
+      .split('+')
+      .map((part) => part.trim().toLowerCase())
+    const key = parts.pop()
+    if (!key) {
+      throw new TypeError(`Invalid shortcut: ${shortcut}`)
     }
 
-    getConfig() {
-      return { ...this.config }
+    return {
+      ctrl: parts.includes('ctrl') || parts.includes('control'),
+      shift: parts.includes('shift'),
+      alt: parts.includes('alt'),
+      meta: parts.includes('meta') || parts.includes('cmd'),
+      key,
     }
+  }
 
-    getEventHistory(limit) {
-      if (limit) {
-        return this.eventHistory.slice(-limit)
-      }
-      return [...this.eventHistory]
+  /**
+   * Creates the overlay from mwi-moonitoring-overlay.js on first open and
+   * owns the keyboard shortcut, so the shortcut can be set up before that
+   */
+  class OverlayLoader {
+    constructor() {
+      this.overlay = null
+      this.keyHandler = null
     }
 
-    getCachedEvent(eventType) {
-      return this.eventCache.get(eventType)
+    get isOpen() {
+      return this.overlay !== null && this.overlay.isOpen
     }
 
-    clear() {
-      this.eventHistory = []
-      this.eventCache.clear()
-      this.queue.clear()
-      this.monitor.reset()
-      this.logger.info(`Instance ${this.id} data cleared`)
+    /**
+     * Find the overlay script: @require'd next to the library, or next to
+     * it on disk under Node
+     * @returns {Object|null} Overlay module, or null when it isn't loaded
+     */
+    _findModule() {
+      const registry = global[OVERLAY_REGISTRY_KEY]
+      if (registry && registry[OVERLAY_API]) return registry[OVERLAY_API]
+
+      if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        try {
+          const overlayModule = require('./mwi-moonitoring-overlay.js')
+          if (overlayModule.api === OVERLAY_API) return overlayModule
+        } catch (error) {
+          // Not installed next to the library
+        }
+      }
+      return null
     }
-  }
 
-  // ============================================================================
-  // Instance Manager
-  // ============================================================================
+    /**
+     * @returns {boolean} False when there is no DOM or the overlay script
+     *   isn't loaded
+     */
+    open() {
+      if (typeof document === 'undefined') {
+        console.warn('[MWI-Moonitoring] The diagnostics overlay needs a DOM')
+        return false
+      }
 
-  class InstanceManager {
-    constructor() {
-      this.instances = new Map()
-      this.defaultInstance = null
+      if (!this.overlay) {
+        const overlayModule = this._findModule()
+        if (!overlayModule) {
+          console.warn(
+            `[MWI-Moonitoring] The diagnostics overlay for version ${VERSION} is not loaded; ` +
+              '@require mwi-moonitoring-overlay.js after the library'
+          )
+          return false
+        }
+        this.overlay = overlayModule.create({
+          VERSION,
+          LIBRARY_NAME,
+          globalHook,
+          instanceManager,
+          utils,
+          formatOptionValue,
+        })
+      }
+      return this.overlay.open()
     }
 
-    createInstance(config = {}) {
-      const instance = new WebSocketHookInstance(config)
-      this.instances.set(instance.id, instance)
-      return instance
+    close() {
+      if (this.overlay) this.overlay.close()
     }
 
-    getDefaultInstance() {
-      if (!this.defaultInstance) {
-        this.defaultInstance = this.createInstance()
+    toggle() {
+      if (this.isOpen) {
+        this.close()
+        return false
       }
-      return this.defaultInstance
+      return this.open()
     }
 
-    destroyInstance(instanceOrId) {
-      const id =
-        typeof instanceOrId === 'string' ? instanceOrId : instanceOrId.id
-      const instance = this.instances.get(id)
-      if (instance) {
-        instance.destroy()
-        this.instances.delete(id)
-        if (instance === this.defaultInstance) {
-          this.defaultInstance = null
+    /**
+     * Toggle the overlay with a keyboard shortcut (replaces the previous one)
+     * @param {string} [shortcut='Ctrl+Shift+M'] - Shortcut to listen for
+     * @returns {boolean} False when there is no DOM to listen on
+     */
+    enableShortcut(shortcut = OVERLAY_SHORTCUT) {
+      if (typeof document === 'undefined') return false
+
+      const keys = parseShortcut(shortcut)
+      this.disableShortcut()
+      this.keyHandler = (event) => {
+        const key = String(event.key || '').toLowerCase()
+        const code = String(event.code || '').toLowerCase()
+        const matches =
+          event.ctrlKey === keys.ctrl &&
+          event.shiftKey === keys.shift &&
+          event.altKey === keys.alt &&
+          event.metaKey === keys.meta &&
+          // Modifiers change event.key on some layouts; the code does not
+          (key === keys.key || code === `key${keys.key}` || code === `digit${keys.key}`)
+
+        if (matches) {
+          event.preventDefault()
+          event.stopPropagation()
+          this.toggle()
         }
       }
+      document.addEventListener('keydown', this.keyHandler, true)
+      return true
     }
 
-    destroyAll() {
-      this.instances.forEach((instance) => instance.destroy())
-      this.instances.clear()
-      this.defaultInstance = null
+    disableShortcut() {
+      if (!this.keyHandler) return
+
+      document.removeEventListener('keydown', this.keyHandler, true)
+      this.keyHandler = null
     }
   }
 
-  const instanceManager = new InstanceManager()
+  const overlayLoader = new OverlayLoader()
 
   // ============================================================================
   // Public API
@@ -1047,14 +6170,53 @@
    * @property {number[]} processingTimes - Array of recent processing times
    * @property {number} avgProcessingTime - Average processing time in milliseconds
    * @property {number} peakProcessingTime - Peak processing time in milliseconds
+   * @property {LatencySummary} processingLatency - Time to filter and enqueue an event
+   * @property {LatencySummary} queueWait - Time from receipt to dispatch
+   * @property {LatencySummary} listenerLatency - Main-thread time of each listener and pipeline stage call
+   * @property {Map<string, {queueWait: LatencySummary, listeners: LatencySummary}>} latencyPerType - Queue wait and listener time per event type
+   * @property {ListenerProfile[]} listeners - Timing of every current listener and stage, slowest first
    * @property {number} droppedEvents - Number of dropped events
    * @property {number} errors - Number of errors encountered
+   * @property {number} validationErrors - Number of payloads rejected by schema validation
+   * @property {Map<string, number>} validationErrorsPerType - Rejected payloads per event type
+   * @property {number} undecodableFrames - Frames that could not be decoded into a typed JSON message
+   * @property {number} skippedFrames - Frames left unparsed because no instance needed their type
+   * @property {number} frozenPayloads - Payloads copied into read-only views (payloadMode 'frozen')
+   * @property {number} freezeTime - Total milliseconds spent copying payloads for read-only delivery
+   * @property {number} backpressureDrops - Queued events dropped or coalesced past the high-water mark
+   * @property {number} coalescedEvents - Events merged into a queued event of the same type (coalesce config)
+   * @property {Map<string, number>} coalescedPerType - Merged events per event type
+   * @property {number} idleSlices - Slices run with scheduling 'idle'
+   * @property {number} budgetOverruns - Slices that took longer than their idle deadline or frameBudget
+   * @property {number} budgetOverrunTime - Total milliseconds slices ran past their budget
    * @property {number} startTime - Library start timestamp
    * @property {number} uptime - Library uptime in milliseconds
    * @property {string} eventsPerSecond - Events processed per second
    * @property {Array<[string, number]>} topEvents - Top 10 most frequent events
    */
 
+  /**
+   * @typedef {Object} LatencySummary
+   * @property {number} count - Samples
+   * @property {number} sum - Total milliseconds
+   * @property {number} avg - Mean in milliseconds
+   * @property {number} p50 - Median in milliseconds (histogram bucket bound, ~19% resolution)
+   * @property {number} p95 - 95th percentile in milliseconds
+   * @property {number} p99 - 99th percentile in milliseconds
+   * @property {number} max - Slowest sample in milliseconds
+   */
+
+  /**
+   * @typedef {Object} ListenerProfile
+   * @property {string} name - Subscription name option, or the callback's function name
+   * @property {'listener'|'stage'} kind - Listener or pipeline stage
+   * @property {string} eventType - Event type or pattern it is registered for
+   * @property {number} calls - Calls so far
+   * @property {number} errors - Calls that threw or rejected
+   * @property {LatencySummary} blocking - Main-thread time per call
+   * @property {LatencySummary} duration - Time per call until its returned Promise settled
+   */
+
   /**
    * @typedef {Object} DiscoveryResult
    * @property {string} type - Event type name
@@ -1080,6 +6242,8 @@
      * Create a new isolated WebSocket instance
      * Each instance has its own configuration, listeners, and processing queue
      * @param {ConfigOptions} [config] - Configuration options for this instance
+     * @param {string|Object} [owner] - Your userscript: a name, or { name, version }.
+     *   Shown in getInstanceInfo() and conflict reports
      * @returns {Object} New WebSocket instance with its own API
      * @example
      * // Create instance with custom configuration
@@ -1087,29 +6251,33 @@
      *   batchInterval: 30000, // 30 second batching
      *   debug: true,
      *   eventWhitelist: ['init_character_data', 'items_updated']
-     * });
+     * }, { name: 'Inventory Monitor', version: '1.2.0' });
      *
      * // Use the instance
      * myWebSocket.on('items_updated', (eventType, data) => {
      *   console.log('Items updated:', data);
      * });
      */
-    createInstance(config = {}) {
-      const instance = instanceManager.createInstance(config)
+    createInstance(config = {}, owner) {
+      const instance = instanceManager.createInstance(config, normalizeOwner(owner))
 
       // Return public API for this instance
       return {
         // Instance info
         id: instance.id,
         version: VERSION,
+        owner: instance.owner,
 
         // Event management
-        on: (eventTypes, callback) => instance.emitter.on(eventTypes, callback),
-        once: (eventType, callback) =>
-          instance.emitter.once(eventType, callback),
+        on: (eventTypes, callback, options) =>
+          instance.emitter.on(eventTypes, callback, options),
+        once: (eventType, callback, options) =>
+          instance.emitter.once(eventType, callback, options),
         off: (eventTypes, callback) =>
           instance.emitter.off(eventTypes, callback),
         offAll: (eventType) => instance.emitter.offAll(eventType),
+        use: (eventTypes, stage, options) =>
+          instance.emitter.use(eventTypes, stage, options),
         emit: (eventType, data) => instance.emitter.emit(eventType, data),
 
         // Discovery and history
@@ -1123,13 +6291,46 @@
         getEventHistory: (limit) => instance.getEventHistory(limit),
         getCachedEvent: (eventType) => instance.getCachedEvent(eventType),
 
+        // Persistent history (IndexedDB)
+        history: {
+          query: (options) =>
+            instance._requirePersistence().then((history) => history.query(options)),
+          count: () =>
+            instance._requirePersistence().then((history) => history.count()),
+          prune: () =>
+            instance._requirePersistence().then((history) => history.prune()),
+          clear: () =>
+            instance._requirePersistence().then((history) => history.clear()),
+          isEnabled: () => instance.persistence !== null,
+        },
+
+        // Protocol drift detection
+        getInferredSchema: () => instance.shapes.getSchema(),
+        resetInferredSchema: () => instance.shapes.clear(),
+        detectDrift: (baseline) =>
+          diffShapes(baseline, instance.shapes.getSchema()),
+
+        // Payload validation (instance schemas override global ones)
+        registerSchema: (eventType, schema) =>
+          instance.schemas.register(eventType, schema),
+        validate: (eventType, data) => instance.schemas.validate(eventType, data),
+
+        // Derived character state (read-only)
+        state: {
+          get: (slice) => instance.state.get(slice),
+          getAll: () => instance.state.getAll(),
+          subscribe: (slices, callback) =>
+            instance.state.subscribe(slices, callback),
+          isInitialized: () => instance.state.isInitialized,
+        },
+
         // Configuration
         configure: (options) => instance.configure(options),
         getConfig: () => instance.getConfig(),
 
         // Metrics and status
-        getMetrics: () => instance.monitor.getMetrics(),
-        resetMetrics: () => instance.monitor.reset(),
+        getMetrics: () => instance.getMetrics(),
+        resetMetrics: () => instance.resetMetrics(),
         getEventCount: (eventType) => {
           if (eventType) {
             return instance.monitor.metrics.eventsPerType.get(eventType) || 0
@@ -1141,6 +6342,7 @@
 
         // Status
         isReady: () => instance.isReady(),
+        getConnections: () => globalHook.connections.list(),
         waitForReady: () => {
           return new Promise((resolve) => {
             if (instance.isReady()) {
@@ -1153,6 +6355,7 @@
         },
 
         // Cleanup
+        flush: () => instance.flush(),
         clear: () => instance.clear(),
         destroy: () => {
           instanceManager.destroyInstance(instance)
@@ -1170,8 +6373,11 @@
 
     /**
      * Subscribe to one or more WebSocket events (using default instance)
-     * @param {string|string[]} eventTypes - Event type(s) to listen for. Supports wildcards (e.g., 'action_*')
-     * @param {Function} callback - Function to call when event is received. Receives (eventType, data)
+     * @param {string|string[]} eventTypes - Event type(s) to listen for. Supports wildcards (e.g., 'action_*'; '**' also crosses ':') and '!' exclusions; only exclusions (e.g., ['!chat_spam']) means every other game event, as with '*', without library events such as 'connection:open'
+     * @param {Function} callback - Function to call when event is received. Receives (eventType, data, meta)
+     * @param {Object} [options] - Subscription options
+     * @param {Object|Function} [options.filter] - Payload filter; the listener only runs for payloads that pass
+     * @param {number} [options.priority=0] - Higher priorities run first; equal ones in subscription order
      * @returns {Function} Unsubscribe function - call this to remove the listener
      * @example
      * // Listen to a single event
@@ -1193,23 +6399,32 @@
      * MWIWebSocket.on('action_*', (eventType, data) => {
      *   console.log('Any action event:', eventType);
      * });
+     *
+     * @example
+     * // Only wake up for coin changes
+     * MWIWebSocket.on('items_updated', handler, {
+     *   filter: { endCharacterItems: { some: { itemHrid: '/items/coin' } } },
+     * });
      */
-    on(eventTypes, callback) {
-      return getDefaultInstance().emitter.on(eventTypes, callback)
+    on(eventTypes, callback, options) {
+      return getDefaultInstance().emitter.on(eventTypes, callback, options)
     },
 
     /**
      * Subscribe to an event only once (using default instance)
      * @param {string} eventType - Event type to listen for
-     * @param {Function} callback - Function to call when event is received. Receives (eventType, data)
+     * @param {Function} callback - Function to call when event is received. Receives (eventType, data, meta)
+     * @param {Object} [options] - Subscription options
+     * @param {Object|Function} [options.filter] - Payload filter; the listener only runs for payloads that pass
+     * @param {number} [options.priority=0] - Higher priorities run first; equal ones in subscription order
      * @returns {Function} Unsubscribe function - call this to remove the listener
      * @example
      * MWIWebSocket.once('init_character_data', (eventType, data) => {
      *   console.log('This will only fire once');
      * });
      */
-    once(eventType, callback) {
-      return getDefaultInstance().emitter.once(eventType, callback)
+    once(eventType, callback, options) {
+      return getDefaultInstance().emitter.once(eventType, callback, options)
     },
 
     /**
@@ -1241,6 +6456,31 @@
       return getDefaultInstance().emitter.offAll(eventType)
     },
 
+    /**
+     * Add a pipeline stage (using default instance). Stages run synchronously
+     * in priority order before listeners are scheduled and see a frozen copy
+     * of the payload; what a stage returns is merged into meta.annotations
+     * for later stages and all listeners.
+     * @param {string|string[]} eventTypes - Event type(s) the stage handles. Supports wildcards
+     * @param {Function} stage - (eventType, data, annotations) => Object|undefined
+     * @param {Object} [options] - Stage options
+     * @param {number} [options.priority=0] - Higher priorities run first
+     * @param {Object|Function} [options.filter] - Payload filter
+     * @returns {Function} Function that removes the stage
+     * @example
+     * // Price annotator for display addons
+     * MWIWebSocket.use('items_updated', (type, data) => ({
+     *   value: data.endCharacterItems.reduce((sum, item) => sum + price(item), 0),
+     * }));
+     *
+     * MWIWebSocket.on('items_updated', (type, data, meta) => {
+     *   render(meta.annotations.value);
+     * });
+     */
+    use(eventTypes, stage, options) {
+      return getDefaultInstance().emitter.use(eventTypes, stage, options)
+    },
+
     /**
      * Manually emit an event (for testing/debugging) (using default instance)
      * @param {string} eventType - Event type to emit
@@ -1276,6 +6516,140 @@
       return results
     },
 
+    /**
+     * Persistent event history in IndexedDB (using default instance)
+     * Requires persistHistory: true. All methods return Promises.
+     * @example
+     * // What did I loot in the last 6 hours?
+     * const query = {
+     *   type: 'items_updated',
+     *   since: Date.now() - 6 * 60 * 60 * 1000,
+     *   limit: 200,
+     * };
+     * let page = await MWIWebSocket.history.query(query);
+     * while (page.nextCursor) {
+     *   // Repeat the whole query: the cursor only marks the position
+     *   page = await MWIWebSocket.history.query({ ...query, cursor: page.nextCursor });
+     * }
+     */
+    history: {
+      query: (options) =>
+        getDefaultInstance()
+          ._requirePersistence()
+          .then((history) => history.query(options)),
+      count: () =>
+        getDefaultInstance()
+          ._requirePersistence()
+          .then((history) => history.count()),
+      prune: () =>
+        getDefaultInstance()
+          ._requirePersistence()
+          .then((history) => history.prune()),
+      clear: () =>
+        getDefaultInstance()
+          ._requirePersistence()
+          .then((history) => history.clear()),
+      isEnabled: () => getDefaultInstance().persistence !== null,
+    },
+
+    /**
+     * Parsing worker and worker-side listeners
+     * Worker listeners run off the main thread for CPU-heavy analytics. They
+     * are serialized with toString(), so they must be self-contained function
+     * or arrow expressions that use nothing from the surrounding scope. They
+     * receive (eventType, data, emit); emit(type, result) delivers the result
+     * to every instance as a 'worker:<type>' event.
+     * Where Web Workers are unavailable (CSP, Node) a warning is logged, worker
+     * listeners don't run and frames are parsed on the main thread.
+     * @example
+     * MWIWebSocket.worker.on('init_character_data', (type, data, emit) => {
+     *   const total = data.characterItems.reduce((sum, item) => sum + item.count, 0)
+     *   emit('item_total', { total })
+     * })
+     * MWIWebSocket.on('worker:item_total', (type, data) => console.log(data.total))
+     */
+    worker: {
+      /**
+       * Run a listener in the worker
+       * @param {string|string[]} eventTypes - Event type(s), wildcards allowed
+       * @param {Function} listener - Self-contained (eventType, data, emit) => void
+       * @returns {Function} Function that removes the listener again
+       */
+      on(eventTypes, listener) {
+        if (typeof listener !== 'function') {
+          throw new TypeError('Worker listener must be a function')
+        }
+
+        const types = Array.isArray(eventTypes) ? eventTypes : [eventTypes]
+        const id = globalHook.worker.listen(types, listener)
+        globalHook.syncWorker()
+
+        return () => {
+          globalHook.worker.unlisten(id)
+          globalHook.syncWorker()
+        }
+      },
+
+      /**
+       * Check whether the worker is running
+       * @returns {boolean} True while frames or worker listeners are handled in the worker
+       */
+      isActive: () => globalHook.worker.isActive,
+
+      /**
+       * Check whether frames are parsed in the worker for all instances
+       * @returns {boolean} True when every instance uses preParsing: 'worker'
+       */
+      isOffloading: () => globalHook.offloading,
+
+      /**
+       * Check why the worker is or isn't running. A crashed worker is
+       * restarted with growing delays; after repeated crashes, or when Web
+       * Workers are unavailable, it stays 'failed' for the page's lifetime.
+       * @returns {Object} { state: 'running'|'stopped'|'restarting'|'failed', failures, lastError }
+       */
+      getStatus: () => globalHook.worker.getStatus(),
+    },
+
+    /**
+     * Get the payload shapes inferred so far (using default instance)
+     * Shapes are collected during discover() and, with trackShapes enabled,
+     * for every event. Save the result as a baseline for detectDrift().
+     * @returns {Object} Serializable schema of every observed event type
+     * @example
+     * await MWIWebSocket.discover(60000);
+     * localStorage.setItem('mwi-baseline', JSON.stringify(MWIWebSocket.getInferredSchema()));
+     */
+    getInferredSchema() {
+      return getDefaultInstance().shapes.getSchema()
+    },
+
+    /**
+     * Compare the shapes inferred so far against a saved baseline (using default instance)
+     * @param {string|Object} baseline - Schema from getInferredSchema()
+     * @returns {Object} Drift report with added, removed and retyped fields per type
+     * @example
+     * const report = MWIWebSocket.detectDrift(localStorage.getItem('mwi-baseline'));
+     * if (report.hasDrift) {
+     *   console.warn('Protocol changed:', report.types);
+     * }
+     */
+    detectDrift(baseline) {
+      return diffShapes(baseline, getDefaultInstance().shapes.getSchema())
+    },
+
+    /**
+     * Compare two saved schemas
+     * @param {string|Object} baseline - Older schema
+     * @param {string|Object} current - Newer schema
+     * @returns {Object} Drift report
+     * @example
+     * const report = MWIWebSocket.diffSchemas(beforeUpdate, afterUpdate);
+     */
+    diffSchemas(baseline, current) {
+      return diffShapes(baseline, current)
+    },
+
     /**
      * Get event history (using default instance)
      * @param {number} [limit] - Optional limit on number of events to return
@@ -1292,6 +6666,87 @@
       return getDefaultInstance().getEventHistory(limit)
     },
 
+    /**
+     * Register a payload schema for an event type in the shared registry
+     * Applies to every instance with validatePayloads enabled, unless the
+     * instance registered its own schema for the same type.
+     * @param {string} eventType - Event type
+     * @param {Object|Array|Function} schema - Structural schema or validator function
+     * @returns {Function} Function that removes the schema again
+     * @example
+     * MWIWebSocket.registerSchema('market_listings_updated', {
+     *   endMarketListings: [{ itemHrid: 'string', price: 'number' }],
+     *   'note?': 'string',
+     * });
+     *
+     * @example
+     * // Custom validator: return true, or error message(s)
+     * MWIWebSocket.registerSchema('chat_message_received', (data) =>
+     *   typeof data.message === 'object' || 'message: expected object'
+     * );
+     */
+    registerSchema(eventType, schema) {
+      return globalSchemas.register(eventType, schema)
+    },
+
+    /**
+     * Validate a payload against the shared schema registry
+     * @param {string} eventType - Event type
+     * @param {*} data - Payload to check
+     * @returns {{valid: boolean, errors: string[]}} Validation result
+     * @example
+     * const { valid, errors } = MWIWebSocket.validate('items_updated', data);
+     */
+    validate(eventType, data) {
+      return globalSchemas.validate(eventType, data)
+    },
+
+    /**
+     * Make a mutable deep copy of a payload, e.g. one delivered read-only
+     * with payloadMode 'frozen'
+     * @param {*} data - Payload
+     * @returns {*} Plain copy the caller owns
+     * @example
+     * const items = MWIWebSocket.clonePayload(data).endCharacterItems;
+     * items.sort((a, b) => b.count - a.count);
+     */
+    clonePayload(data) {
+      return utils.deepClone(unwrapPayload(data))
+    },
+
+    /**
+     * Type guard: true when data matches the schema registered for eventType
+     * @param {string} eventType - Event type
+     * @param {*} data - Payload to check
+     * @returns {boolean} True if valid (or no schema is registered)
+     * @example
+     * if (MWIWebSocket.is('items_updated', data)) {
+     *   // Valid payloads carry at least one of the two arrays
+     *   (data.endCharacterItems || data.characterItems).forEach(...);
+     * }
+     */
+    is(eventType, data) {
+      return globalSchemas.validate(eventType, data).valid
+    },
+
+    /**
+     * Read-only derived character state (using default instance)
+     * Seeded from init_character_data and kept current from items_updated
+     * and action_completed. Snapshots are frozen; use subscribe() for changes.
+     * @example
+     * const inventory = MWIWebSocket.state.get('inventory');
+     * MWIWebSocket.state.subscribe('skills', (slice, skills) => {
+     *   console.log('Total level:', skills['/skills/total_level']?.level);
+     * });
+     */
+    state: {
+      get: (slice) => getDefaultInstance().state.get(slice),
+      getAll: () => getDefaultInstance().state.getAll(),
+      subscribe: (slices, callback) =>
+        getDefaultInstance().state.subscribe(slices, callback),
+      isInitialized: () => getDefaultInstance().state.isInitialized,
+    },
+
     /**
      * Get all registered event types (that have listeners) (using default instance)
      * @returns {string[]} Array of event type names
@@ -1348,7 +6803,7 @@
      * console.log(`Events per second: ${metrics.eventsPerSecond}`);
      */
     getMetrics() {
-      return getDefaultInstance().monitor.getMetrics()
+      return getDefaultInstance().getMetrics()
     },
 
     /**
@@ -1358,12 +6813,115 @@
      * MWIWebSocket.resetMetrics();
      */
     resetMetrics() {
-      getDefaultInstance().monitor.reset()
+      getDefaultInstance().resetMetrics()
+    },
+
+    /**
+     * Export metrics of ALL instances and the global hook with stable names
+     * (prefixed 'mwi_moonitoring_') and labels: instance, event_type, outcome,
+     * reason, listener. Unlike getMetrics() the result is plain data.
+     * @example
+     * // Prometheus text exposition format
+     * console.log(MWIWebSocket.metrics.toPrometheus());
+     *
+     * @example
+     * // Chart addon health over a long session
+     * const sink = MWIWebSocket.metrics.createMemorySink();
+     * MWIWebSocket.metrics.startPush(sink, { interval: 60000 });
+     * sink.series('events', { event_type: 'items_updated', outcome: 'received' });
+     *
+     * @example
+     * // Push to an OpenTelemetry collector
+     * MWIWebSocket.metrics.startPush({
+     *   push: (payload) => fetch('http://localhost:4318/v1/metrics', {
+     *     method: 'POST',
+     *     headers: { 'Content-Type': 'application/json' },
+     *     body: JSON.stringify(payload),
+     *   }),
+     * });
+     */
+    metrics: {
+      /**
+       * @returns {string} Prometheus text exposition format
+       */
+      toPrometheus: () => formatPrometheus(collectMetrics()),
+
+      /**
+       * @returns {Object} OTLP/HTTP JSON ExportMetricsServiceRequest
+       */
+      toOTLP: () => formatOtlp(collectMetrics()),
+
+      /**
+       * Push a snapshot now and then every interval
+       * @param {Object} sink - { push(payload, format) }, may return a Promise
+       * @param {Object} [options] - Push options
+       * @param {number} [options.interval=60000] - Milliseconds between pushes
+       * @param {'otlp'|'prometheus'} [options.format='otlp'] - Payload format
+       * @returns {Function} Function that stops pushing
+       */
+      startPush(sink, options) {
+        const pusher = new MetricsPusher(sink, options)
+        metricsPushers.add(pusher)
+        pusher.start()
+
+        return () => {
+          pusher.stop()
+          metricsPushers.delete(pusher)
+        }
+      },
+
+      /**
+       * Create an in-memory sink that keeps recent snapshots
+       * @param {Object} [options] - { limit: snapshots to keep (default: 1440) }
+       * @returns {MemorySink} Sink for startPush()
+       */
+      createMemorySink: (options) => new MemorySink(options),
+    },
+
+    /**
+     * In-page diagnostics overlay: every instance with its config and
+     * listeners, the live event stream (pause, search, JSON tree) and
+     * throughput and latency charts. It ships as mwi-moonitoring-overlay.js,
+     * which your userscript @requires after the library; it is isolated from
+     * the game's styles and makes the hook parse every frame while open.
+     * @example
+     * // Let players toggle it with Ctrl+Shift+M
+     * MWIWebSocket.overlay.enableShortcut();
+     *
+     * @example
+     * // Or open it from your addon's own menu
+     * MWIWebSocket.overlay.open();
+     */
+    overlay: {
+      /**
+       * @returns {boolean} False when there is no DOM (e.g. Node) or
+       *   mwi-moonitoring-overlay.js isn't loaded
+       */
+      open: () => overlayLoader.open(),
+
+      close: () => overlayLoader.close(),
+
+      /**
+       * @returns {boolean} Whether the overlay is open now
+       */
+      toggle: () => overlayLoader.toggle(),
+
+      isOpen: () => overlayLoader.isOpen,
+
+      /**
+       * Toggle the overlay with a keyboard shortcut (replaces the previous one)
+       * @param {string} [shortcut='Ctrl+Shift+M'] - Modifiers (Ctrl, Shift, Alt, Meta) and a key, joined by '+'
+       * @returns {boolean} False when there is no DOM
+       */
+      enableShortcut: (shortcut) => overlayLoader.enableShortcut(shortcut),
+
+      disableShortcut: () => overlayLoader.disableShortcut(),
     },
 
     /**
      * Enable or disable profiling/debug mode (using default instance)
      * @param {boolean} enabled - Whether to enable profiling
+     * @param {string|Object} [owner] - Your userscript, for the audit log (see configure())
      * @example
      * // Enable debug logging
      * MWIWebSocket.enableProfiling(true);
@@ -1371,33 +6929,72 @@
      * // Disable debug logging
      * MWIWebSocket.enableProfiling(false);
      */
-    enableProfiling(enabled) {
-      getDefaultInstance().configure({
-        debug: enabled,
-        logLevel: enabled ? 'debug' : 'warn',
-      })
+    enableProfiling(enabled, owner) {
+      instanceManager.configureDefault(
+        {
+          debug: enabled,
+          logLevel: enabled ? 'debug' : 'warn',
+        },
+        normalizeOwner(owner)
+      )
     },
 
     /**
      * Configure the library (using default instance)
      * ⚠️  WARNING: This affects ALL addons using the shared default instance.
      * For isolated configuration, use MWIWebSocket.createInstance() instead.
+     * Every call is recorded in getConfigAudit() with the caller's owner
+     * (guessed from the stack when not given), and owners setting different
+     * values are reported by getConflicts().
      * @param {ConfigOptions} options - Configuration options to apply
+     * @param {string|Object} [owner] - Your userscript: a name, or { name, version }
      * @example
      * MWIWebSocket.configure({
      *   debug: true,
      *   enableBatching: false,
      *   eventWhitelist: ['init_character_data', 'items_updated'],
      *   logLevel: 'debug'
-     * });
+     * }, 'Action Tracker');
      */
-    configure(options) {
+    configure(options, owner) {
       // Warn about potential conflicts
       console.warn(
         `[${LIBRARY_NAME}] WARNING: configure() affects ALL addons using the shared instance. ` +
           `Consider using MWIWebSocket.createInstance() for isolated configuration.`
       )
-      getDefaultInstance().configure(options)
+      instanceManager.configureDefault(options, normalizeOwner(owner))
+    },
+
+    /**
+     * Get the record of configure() calls on the shared default instance
+     * @returns {Object[]} Oldest first: { timestamp, instanceId, owner, source,
+     *   options, previous } - source is the guessed caller when owner is null
+     * @example
+     * MWIWebSocket.getConfigAudit().forEach((entry) =>
+     *   console.log(entry.owner?.name || entry.source, entry.options)
+     * );
+     */
+    getConfigAudit() {
+      return instanceManager.audit.map((entry) => ({
+        ...entry,
+        options: { ...entry.options },
+        previous: { ...entry.previous },
+      }))
+    },
+
+    /**
+     * Get options that owners set in ways that can't all hold: different
+     * values on the shared default instance, preParsing: 'worker' without
+     * every instance agreeing, or different retention for one persistent
+     * history. Each conflict is also logged once when it appears.
+     * @returns {ConfigConflict[]} Current conflicts
+     * @example
+     * MWIWebSocket.getConflicts().forEach(({ option, values }) =>
+     *   console.table(values.map((entry) => ({ option, ...entry })))
+     * );
+     */
+    getConflicts() {
+      return instanceManager.getConflicts()
     },
 
     /**
@@ -1412,7 +7009,9 @@
     },
 
     /**
-     * Check if the library is ready (hook installed)
+     * Check if the library is ready (hook installed and frames reach it)
+     * Turns false when another script replaced the hook without calling
+     * through to it and it could not be installed again (see 'hook:compromised')
      * @returns {boolean} True if WebSocket hook is installed and ready
      * @example
      * if (MWIWebSocket.isReady()) {
@@ -1420,7 +7019,7 @@
      * }
      */
     isReady() {
-      return globalHook.isHooked
+      return globalHook.isReceivingFrames()
     },
 
     /**
@@ -1432,7 +7031,7 @@
      */
     waitForReady() {
       return new Promise((resolve) => {
-        if (globalHook.isHooked) {
+        if (globalHook.isReceivingFrames()) {
           resolve()
         } else {
           // Trigger default instance creation to install hook
@@ -1479,6 +7078,30 @@
       globalHook.removeHook()
     },
 
+    /**
+     * Deliver queued messages of ALL instances immediately
+     * Useful before page unload or in tests instead of waiting for batchInterval.
+     * Queued messages are delivered synchronously; the returned Promise also
+     * waits for frames still being decoded (Blob, compressed) or parsed in the
+     * worker, and for results of worker listeners, and delivers them.
+     * @returns {Promise<void>} Resolves once pending decodes are delivered too
+     * @example
+     * MWIWebSocket.flush();
+     *
+     * @example
+     * // Include asynchronously decoded frames
+     * await MWIWebSocket.flush();
+     */
+    flush() {
+      const flushAll = () =>
+        instanceManager.instances.forEach((instance) => instance.flush())
+
+      flushAll()
+      return globalHook.decodeChain
+        .then(() => new Promise((resolve) => globalHook.worker.afterFrames(resolve, true)))
+        .then(flushAll)
+    },
+
     /**
      * Clear all cached data and history (using default instance)
      * Does NOT remove listeners
@@ -1499,9 +7122,177 @@
      */
     destroy() {
       instanceManager.destroyAll()
+      metricsPushers.forEach((pusher) => pusher.stop())
+      metricsPushers.clear()
+      overlayLoader.close()
+      overlayLoader.disableShortcut()
+      globalHook.worker.listeners.clear()
+      globalHook.syncWorker()
       globalHook.removeHook()
     },
 
+    /**
+     * Register a decoder for binary or compressed frames
+     * Decoders run before JSON parsing, registered ones before the built-in
+     * Blob, gzip, deflate and UTF-8 decoders. Return undefined to pass the
+     * frame on; return text, bytes, or a Promise of either to decode it.
+     * Bytes are decoded further (e.g. decompressed bytes go through UTF-8).
+     * @param {string} name - Decoder name (re-registering replaces it)
+     * @param {Function} decode - Receives the frame
+     * @returns {Function} Function that removes the decoder again
+     * @example
+     * // Raw deflate has no magic bytes - opt in explicitly (here with pako)
+     * MWIWebSocket.registerFrameDecoder('deflate-raw', (frame) =>
+     *   frame instanceof ArrayBuffer ? pako.inflateRaw(new Uint8Array(frame)) : undefined
+     * );
+     */
+    registerFrameDecoder(name, decode) {
+      return globalHook.registerDecoder(name, decode)
+    },
+
+    /**
+     * Start recording raw WebSocket frames seen by the global hook
+     * Frames are stored in order with timestamps relative to the start
+     * @param {Object} [options] - Recorder options
+     * @param {number} [options.maxFrames=10000] - Frames to keep before dropping new ones
+     * @returns {Object} Recorder controls
+     * @example
+     * const recorder = MWIWebSocket.startRecording();
+     * // ...play for a while...
+     * recorder.stop();
+     * const ndjson = recorder.export('ndjson');
+     */
+    startRecording(options = {}) {
+      const recorder = new SessionRecorder(options).start()
+
+      return {
+        stop: () => {
+          recorder.stop()
+          return recorder.getSession()
+        },
+        isRecording: () => recorder.isRecording,
+        frameCount: () => recorder.frames.length,
+        getSession: () => recorder.getSession(),
+        export: (format) => recorder.export(format),
+      }
+    },
+
+    /**
+     * Replay a recorded session through the global hook to all instances
+     * @param {string|Object} session - Session from recorder.export() or recorder.getSession()
+     * @param {Object} [options] - Replay options
+     * @param {number} [options.speed=1] - Playback speed multiplier (Infinity = no delays)
+     * @param {boolean} [options.stepped=false] - Deliver frames only when step() is called
+     * @returns {Object} Replay controls
+     * @example
+     * // Real time at 10x speed
+     * const replay = MWIWebSocket.replay(savedSession, { speed: 10 });
+     * await replay.done;
+     *
+     * @example
+     * // One frame at a time
+     * const replay = MWIWebSocket.replay(savedSession, { stepped: true });
+     * replay.step();
+     */
+    replay(session, options = {}) {
+      const replayer = new SessionReplayer(session, options)
+
+      return {
+        done: replayer.done,
+        step: () => replayer.step(),
+        pause: () => replayer.pause(),
+        resume: () => replayer.resume(),
+        stop: () => replayer.stop(),
+        progress: () => replayer.progress(),
+      }
+    },
+
+    /**
+     * Get the game sockets the hook has seen: open ones first, then the most
+     * recently closed ones
+     * @returns {Object[]} Connection snapshots
+     * @example
+     * const [current] = MWIWebSocket.getConnections();
+     * console.log(`${current.profile} since ${new Date(current.openedAt)}`);
+     */
+    getConnections() {
+      return globalHook.connections.list()
+    },
+
+    /**
+     * Register a named environment profile, or replace the matchers of an
+     * existing one (built-ins: 'live', 'test'). Sockets whose URL matches are
+     * hooked, and their events report the profile name.
+     * Applies to sockets the hook has not seen yet.
+     * @param {string} name - Profile name
+     * @param {string|RegExp|Array<string|RegExp>} matchers - Substring(s) of the URL or regex(es) tested against it
+     * @example
+     * // Develop against a local mock server
+     * MWIWebSocket.registerProfile('local', 'ws://localhost:8080/ws');
+     *
+     * @example
+     * MWIWebSocket.registerProfile('regional', /^wss:\/\/api-[a-z]+\.milkywayidle\.com\/ws/);
+     */
+    registerProfile(name, matchers) {
+      endpointProfiles.register(name, matchers)
+    },
+
+    /**
+     * Remove an environment profile
+     * @param {string} name - Profile name
+     * @returns {boolean} True if the profile existed
+     */
+    unregisterProfile(name) {
+      return endpointProfiles.unregister(name)
+    },
+
+    /**
+     * List environment profiles in matching order
+     * @returns {Array<{name: string, matchers: Array<string|RegExp>}>} Profiles
+     */
+    getProfiles() {
+      return endpointProfiles.list()
+    },
+
+    /**
+     * Get the newest copy of the library on the page whose version is in a
+     * range. Several userscripts may @require different versions; each one
+     * loads side by side, the newest hooks the page for all of them, and
+     * MWIWebSocket itself only moves to a newer copy that is compatible.
+     * @param {string} range - npm-style range, e.g. '^0.3', '>=0.2.2 <0.4', '0.3.x || ^1.0'
+     * @returns {Object} That copy's MWIWebSocket API
+     * @throws {Error} When no loaded copy is in the range
+     * @example
+     * // Needs features from 0.3 even if an older copy loaded first
+     * const ws = MWIWebSocket.require('^0.3').createInstance();
+     */
+    require(range) {
+      const matches = versionRegistry.copies
+        .filter((copy) => satisfiesRange(copy.version, range))
+        .sort((a, b) => compareVersions(b.version, a.version))
+
+      if (matches.length === 0) {
+        const loaded = versionRegistry.copies.map((copy) => copy.version).join(', ')
+        throw new Error(`No loaded copy of ${LIBRARY_NAME} satisfies '${range}' (loaded: ${loaded})`)
+      }
+      return matches[0].api
+    },
+
+    /**
+     * List the copies of the library loaded on the page
+     * @returns {Object[]} { version, hooksPage, isGlobal, legacy } in load order -
+     *   hooksPage marks the copy whose hook feeds the others, legacy ones
+     *   (without version negotiation) hook the page on their own
+     */
+    getLoadedVersions() {
+      return versionRegistry.copies.map((copy) => ({
+        version: copy.version,
+        hooksPage: copy === versionRegistry.leader,
+        isGlobal: copy.api === global.MWIWebSocket,
+        legacy: Boolean(copy.legacy),
+      }))
+    },
+
     /**
      * Get information about all active instances
      * @returns {Object} Instance information for debugging
@@ -1515,12 +7306,20 @@
         instances: Array.from(instanceManager.instances.values()).map(
           (instance) => ({
             id: instance.id,
+            owner: instance.owner,
+            isDefault: instance === instanceManager.defaultInstance,
             config: instance.getConfig(),
             listenerCount: instance.emitter.listenerCount(),
             eventCount: instance.monitor.metrics.totalEvents,
+            skippedFrames: instance.monitor.metrics.skippedFrames,
           })
         ),
         globalHookInstalled: globalHook.isHooked,
+        hookWorking: globalHook.isReceivingFrames(),
+        workerActive: globalHook.worker.isActive,
+        worker: globalHook.worker.getStatus(),
+        frames: { ...globalHook.frameStats },
+        conflicts: instanceManager.getConflicts(),
       }
     },
   }
@@ -1529,8 +7328,65 @@
   // Export to global scope
   // ============================================================================
 
-  // Make available globally
-  global.MWIWebSocket = MWIWebSocket
+  ownCopy.api = MWIWebSocket
+  const previousGlobal = global.MWIWebSocket
+
+  // Copies from before version negotiation only show up as the global
+  if (
+    previousGlobal &&
+    previousGlobal._initialized &&
+    !versionRegistry.copies.some((copy) => copy.api === previousGlobal)
+  ) {
+    versionRegistry.copies.push({
+      version: previousGlobal.version,
+      api: previousGlobal,
+      legacy: true, // Hooks the page on its own
+    })
+  }
+  versionRegistry.copies.push(ownCopy)
+
+  // The newest copy hooks the page
+  const previousLeader = versionRegistry.leader
+  if (!previousLeader) {
+    versionRegistry.leader = ownCopy
+  } else if (compareVersions(VERSION, previousLeader.version) > 0) {
+    versionRegistry.leader = ownCopy
+    globalHook.takeOver(previousLeader)
+  }
+
+  // Make available globally, unless a copy already there is newer or would
+  // break addons using it (not caret-compatible with this version). A copy
+  // from before version negotiation counts as older than this one even when
+  // it carries the same version.
+  const isNewerThanGlobal = () => {
+    const order = compareVersions(VERSION, previousGlobal.version)
+    const isLegacy = versionRegistry.copies.some(
+      (copy) => copy.legacy && copy.api === previousGlobal
+    )
+    return isLegacy ? order >= 0 : order > 0
+  }
+  if (!previousGlobal || !previousGlobal._initialized) {
+    global.MWIWebSocket = MWIWebSocket
+  } else if (
+    isNewerThanGlobal() &&
+    satisfiesRange(VERSION, `^${previousGlobal.version}`)
+  ) {
+    global.MWIWebSocket = MWIWebSocket
+    console.log(
+      `[MWI-Moonitoring] MWIWebSocket ${previousGlobal.version} replaced by ${VERSION}; ` +
+        `instances created with ${previousGlobal.version} keep working`
+    )
+  } else {
+    console.log(
+      `[MWI-Moonitoring] Version ${VERSION} loaded next to ${previousGlobal.version}; ` +
+        `reach it with MWIWebSocket.require('${VERSION}')`
+    )
+    // Copies from before version negotiation can't reach the others otherwise
+    if (typeof previousGlobal.require !== 'function') {
+      previousGlobal.require = MWIWebSocket.require
+      previousGlobal.getLoadedVersions = MWIWebSocket.getLoadedVersions
+    }
+  }
 
   // Also export for module systems if available
   if (typeof module !== 'undefined' && module.exports) {
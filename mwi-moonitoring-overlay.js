@@ -0,0 +1,717 @@
+/**
+ * MWI Moonitoring - Diagnostics Overlay
+ * @version 0.2.2
+ * @author c3d.gg
+ * @license MIT
+ * @homepage https://github.com/mathewcst/mwi-moonitoring
+ *
+ * The in-page panel behind MWIWebSocket.overlay. It is kept out of the
+ * library so addons that don't use it don't load it: @require it after the
+ * library, from the same release.
+ *
+ * Not usable on its own - it registers itself for the library to pick up.
+ */
+
+;(function (global) {
+  'use strict'
+
+  // ============================================================================
+  // Constants
+  // ============================================================================
+
+  // Revision of the internals the library hands to create(); the library only
+  // uses an overlay built for the same revision
+  const OVERLAY_API = 1
+  const REGISTRY_KEY = '__mwiMoonitoringOverlay__'
+
+  const OVERLAY_TAG = 'mwi-moonitoring-overlay'
+  const OVERLAY_REFRESH_INTERVAL = 1000
+  const OVERLAY_STREAM_DELAY = 250 // Batch stream rows instead of one render per event
+  const OVERLAY_STREAM_LIMIT = 500 // Events kept for the live stream
+  const OVERLAY_PAYLOAD_LIMIT = 32 * 1024 // JSON characters kept per event
+  const OVERLAY_ROW_LIMIT = 200 // Stream rows in the DOM at once
+  const OVERLAY_TREE_LIMIT = 100 // Children listed per JSON tree node
+  const OVERLAY_CHART_POINTS = 60 // One point per refresh
+
+  const OVERLAY_TABS = [
+    ['instances', 'Instances'],
+    ['events', 'Events'],
+    ['charts', 'Charts'],
+  ]
+
+  const OVERLAY_CHARTS = [
+    { key: 'frames', label: 'Frames/s' },
+    { key: 'events', label: 'Events/s' },
+    { key: 'queueWait', label: 'Queue wait (avg ms)' },
+    { key: 'listeners', label: 'Listener time (avg ms)' },
+  ]
+
+  // Lives in the overlay's shadow root: game styles don't reach in, these
+  // don't reach out
+  const OVERLAY_STYLES = `
+    :host { all: initial; }
+    .panel {
+      position: fixed; right: 12px; bottom: 12px; z-index: 2147483000;
+      display: flex; flex-direction: column; box-sizing: border-box;
+      width: 560px; height: 440px; min-width: 320px; min-height: 200px;
+      resize: both; overflow: hidden;
+      background: #12151b; color: #d5d9e0;
+      border: 1px solid #3b4252; border-radius: 6px;
+      box-shadow: 0 6px 24px rgba(0, 0, 0, 0.5);
+      font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+    }
+    header, .toolbar {
+      display: flex; align-items: center; gap: 6px;
+      padding: 6px 8px; border-bottom: 1px solid #2a303c;
+    }
+    header .title { font-weight: bold; color: #8fbcbb; margin-right: auto; }
+    button, input {
+      font: inherit; color: inherit; background: #1e232d;
+      border: 1px solid #3b4252; border-radius: 4px; padding: 2px 8px;
+    }
+    button { cursor: pointer; }
+    button:hover, button.active { background: #2e3440; border-color: #8fbcbb; }
+    input { flex: 1; min-width: 0; }
+    section { flex: 1; overflow: auto; padding: 6px 8px; }
+    section[hidden], .toolbar[hidden] { display: none; }
+    details { margin: 2px 0; }
+    summary { cursor: pointer; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    table { border-collapse: collapse; width: 100%; margin: 4px 0; }
+    th, td { text-align: left; padding: 1px 6px 1px 0; white-space: nowrap; }
+    th { color: #81a1c1; font-weight: normal; }
+    pre { margin: 4px 0; white-space: pre-wrap; color: #a3be8c; }
+    .muted { color: #6b7385; }
+    .card { border-left: 2px solid #5e81ac; padding-left: 6px; margin-bottom: 6px; }
+    .type { color: #ebcb8b; }
+    .conflict { color: #bf616a; margin: 4px 0; }
+    .node, .leaf { margin-left: 14px; }
+    .key { color: #81a1c1; }
+    .string { color: #a3be8c; }
+    .number { color: #b48ead; }
+    .boolean, .null { color: #d08770; }
+    .chart { margin-bottom: 10px; }
+    .chart svg { display: block; width: 100%; height: 48px; background: #1a1e26; }
+    .chart polyline { fill: none; stroke: #88c0d0; stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+  `
+
+  // ============================================================================
+  // DOM Helpers
+  // ============================================================================
+
+  /**
+   * Create an element with a class and text content
+   * @param {string} tag - Tag name
+   * @param {string} [className] - Class name
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement} New element
+   */
+  const createElement = (tag, className, text) => {
+    const element = document.createElement(tag)
+    if (className) element.className = className
+    if (text !== undefined) element.textContent = text
+    return element
+  }
+
+  /**
+   * Create a table row
+   * @param {'th'|'td'} tag - Cell tag
+   * @param {Array} cells - Cell contents
+   * @returns {HTMLElement} New row
+   */
+  const createRow = (tag, cells) => {
+    const row = document.createElement('tr')
+    cells.forEach((cell) => row.appendChild(createElement(tag, null, String(cell))))
+    return row
+  }
+
+  /**
+   * Collapsible view of a JSON value. Children are built when a node is first
+   * expanded, so large payloads cost nothing until looked at.
+   * @param {string|number|null} key - Property name or index (null for the root)
+   * @param {*} value - Value to show
+   * @returns {HTMLElement} Tree node
+   */
+  const createJsonNode = (key, value) => {
+    const label = key === null ? '' : `${key}: `
+
+    if (value === null || typeof value !== 'object') {
+      const kind = value === null ? 'null' : typeof value
+      const leaf = createElement('div', 'leaf')
+      leaf.appendChild(createElement('span', 'key', label))
+      leaf.appendChild(
+        createElement('span', kind, kind === 'string' ? JSON.stringify(value) : String(value))
+      )
+      return leaf
+    }
+
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : Object.keys(value).map((name) => [name, value[name]])
+    const node = createElement('details', 'node')
+    const summary = createElement('summary')
+    summary.appendChild(createElement('span', 'key', label))
+    summary.appendChild(
+      createElement(
+        'span',
+        'muted',
+        Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`
+      )
+    )
+    node.appendChild(summary)
+
+    node.addEventListener('toggle', () => {
+      if (!node.open || node.childElementCount > 1) return
+
+      entries
+        .slice(0, OVERLAY_TREE_LIMIT)
+        .forEach(([name, child]) => node.appendChild(createJsonNode(name, child)))
+      if (entries.length > OVERLAY_TREE_LIMIT) {
+        node.appendChild(
+          createElement('div', 'leaf muted', `… ${entries.length - OVERLAY_TREE_LIMIT} more`)
+        )
+      }
+    })
+    return node
+  }
+
+  // ============================================================================
+  // Diagnostics Overlay
+  // ============================================================================
+
+  /**
+   * In-page diagnostics panel: every instance with its config and listeners,
+   * the live event stream, and throughput and latency charts. Nothing is
+   * added to the page until it is first opened, and the hook is tapped only
+   * while it is open.
+   */
+  class DiagnosticsOverlay {
+    /**
+     * @param {Object} lib - Library internals, see the loader in mwi-moonitoring-library.js
+     */
+    constructor(lib) {
+      this.lib = lib
+      this.hook = lib.globalHook
+      this.manager = lib.instanceManager
+      this.host = null
+      this.elements = null
+      this.isOpen = false
+      this.tab = 'instances'
+      this.timer = null
+
+      // Live stream
+      this.events = []
+      this.sequence = 0
+      this.renderedSequence = 0
+      this.streamTimer = null
+      this.isPaused = false
+      this.query = ''
+
+      // Charts
+      this.samples = []
+      this.previous = null
+    }
+
+    /**
+     * @returns {boolean} False when there is no DOM to show the overlay in
+     */
+    open() {
+      if (this.isOpen) return true
+      if (typeof document === 'undefined') {
+        console.warn('[MWI-Moonitoring] The diagnostics overlay needs a DOM')
+        return false
+      }
+
+      if (!this.host) this._build()
+      const parent = document.body || document.documentElement
+      parent.appendChild(this.host)
+      this.isOpen = true
+
+      // Every frame is parsed while the stream is watched
+      this.hook.taps.add(this)
+      this.hook.invalidateInterest()
+
+      this.samples = []
+      this.previous = null
+      this._refresh()
+      this.timer = setInterval(() => this._refresh(), OVERLAY_REFRESH_INTERVAL)
+      return true
+    }
+
+    close() {
+      if (!this.isOpen) return
+
+      this.isOpen = false
+      this.hook.taps.delete(this)
+      this.hook.invalidateInterest()
+      clearInterval(this.timer)
+      clearTimeout(this.streamTimer)
+      this.timer = null
+      this.streamTimer = null
+      this.host.remove()
+    }
+
+    /**
+     * Hook tap: called for every event delivered to the instances. Payloads
+     * are kept as JSON text cut at OVERLAY_PAYLOAD_LIMIT, not as the objects
+     * the listeners received.
+     */
+    observe(type, data, timestamp, connection) {
+      let json
+      try {
+        json = JSON.stringify(data)
+      } catch (error) {
+        json = undefined
+      }
+      if (json === undefined) json = String(data)
+
+      this.events.push({
+        sequence: ++this.sequence,
+        type,
+        json: json.slice(0, OVERLAY_PAYLOAD_LIMIT),
+        size: json.length,
+        timestamp,
+        connection: connection ? connection.id : null,
+        text: null, // Lowercase JSON, built on the first payload search
+      })
+      if (this.events.length > OVERLAY_STREAM_LIMIT) {
+        this.events.shift()
+      }
+
+      if (!this.streamTimer && this.tab === 'events') {
+        this.streamTimer = setTimeout(() => {
+          this.streamTimer = null
+          this._renderStream(false)
+        }, OVERLAY_STREAM_DELAY)
+      }
+    }
+
+    _build() {
+      this.host = document.createElement(OVERLAY_TAG)
+      const root = this.host.attachShadow({ mode: 'open' })
+      root.appendChild(createElement('style', null, OVERLAY_STYLES))
+
+      const panel = createElement('div', 'panel')
+      // Typing in the overlay must not reach the game's hotkeys
+      for (const name of ['keydown', 'keyup', 'keypress']) {
+        panel.addEventListener(name, (event) => event.stopPropagation())
+      }
+      root.appendChild(panel)
+
+      const header = createElement('header')
+      header.appendChild(createElement('span', 'title', `${this.lib.LIBRARY_NAME} ${this.lib.VERSION}`))
+      const tabs = {}
+      for (const [name, label] of OVERLAY_TABS) {
+        tabs[name] = createElement('button', null, label)
+        tabs[name].addEventListener('click', () => this._showTab(name))
+        header.appendChild(tabs[name])
+      }
+      const closeButton = createElement('button', null, '×')
+      closeButton.title = 'Close'
+      closeButton.addEventListener('click', () => this.close())
+      header.appendChild(closeButton)
+      panel.appendChild(header)
+
+      const toolbar = createElement('div', 'toolbar')
+      const pauseButton = createElement('button', null, 'Pause')
+      pauseButton.addEventListener('click', () => {
+        this.isPaused = !this.isPaused
+        this._renderStream(false)
+      })
+      const clearButton = createElement('button', null, 'Clear')
+      clearButton.addEventListener('click', () => {
+        this.events = []
+        this._renderStream(true)
+      })
+      const search = createElement('input')
+      search.type = 'search'
+      search.placeholder = 'Search type or payload'
+      search.addEventListener('input', () => {
+        this.query = search.value.trim().toLowerCase()
+        this._renderStream(true)
+      })
+      const streamStatus = createElement('span', 'muted')
+      toolbar.append(pauseButton, clearButton, search, streamStatus)
+      panel.appendChild(toolbar)
+
+      const sections = {
+        instances: createElement('section'),
+        events: createElement('section'),
+        charts: createElement('section'),
+      }
+      Object.keys(sections).forEach((name) => panel.appendChild(sections[name]))
+
+      const charts = OVERLAY_CHARTS.map((chart) => {
+        const container = createElement('div', 'chart')
+        const label = createElement('div', 'muted', chart.label)
+        const value = createElement('span')
+        label.appendChild(value)
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+        svg.setAttribute('viewBox', `0 0 ${OVERLAY_CHART_POINTS - 1} 100`)
+        svg.setAttribute('preserveAspectRatio', 'none')
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline')
+        svg.appendChild(line)
+        container.appendChild(label)
+        container.appendChild(svg)
+        sections.charts.appendChild(container)
+        return { key: chart.key, value, line }
+      })
+      const latencyTable = createElement('div')
+      sections.charts.appendChild(latencyTable)
+
+      this.elements = {
+        tabs,
+        toolbar,
+        pauseButton,
+        streamStatus,
+        sections,
+        charts,
+        latencyTable,
+      }
+      this._showTab(this.tab)
+    }
+
+    _showTab(name) {
+      this.tab = name
+      const { tabs, sections, toolbar } = this.elements
+      Object.keys(sections).forEach((key) => {
+        sections[key].hidden = key !== name
+        tabs[key].classList.toggle('active', key === name)
+      })
+      toolbar.hidden = name !== 'events'
+
+      if (name === 'events') {
+        this._renderStream(true)
+      } else if (this.isOpen) {
+        this._refresh()
+      }
+    }
+
+    _refresh() {
+      this._sample()
+      if (this.tab === 'instances') this._renderInstances()
+      if (this.tab === 'charts') this._renderCharts()
+    }
+
+    // ------------------------------------------------------------------------
+    // Instances
+    // ------------------------------------------------------------------------
+
+    _renderInstances() {
+      const section = this.elements.sections.instances
+
+      // Keep expanded cards expanded across refreshes
+      const expanded = new Set(
+        Array.from(section.querySelectorAll('details[data-key]'))
+          .filter((details) => details.open)
+          .map((details) => details.dataset.key)
+      )
+      const scrollTop = section.scrollTop
+      section.textContent = ''
+
+      const stats = this.hook.frameStats
+      const openConnections = this.hook.connections
+        .list()
+        .filter((connection) => connection.closedAt === null).length
+      const worker = this.hook.worker.getStatus()
+      section.appendChild(
+        createElement(
+          'div',
+          'muted',
+          `Hook ${
+            !this.hook.isHooked
+              ? 'not installed'
+              : this.hook.isReceivingFrames()
+                ? 'working'
+                : 'compromised'
+          } · ` +
+            `${openConnections} open socket(s) · worker ` +
+            `${
+              this.hook.offloading
+                ? 'parsing'
+                : worker.state === 'running'
+                  ? 'listeners only'
+                  : worker.state === 'stopped'
+                    ? 'off'
+                    : worker.state
+            } · ` +
+            `frames ${stats.received} received, ${stats.skipped} skipped, ${stats.undecodable} undecodable`
+        )
+      )
+
+      this.manager.getConflicts().forEach((conflict) => {
+        const conflictLine = createElement('div', 'conflict', `⚠ ${conflict.option}: ${conflict.reason}`)
+        conflictLine.title = conflict.values
+          .map((entry) => `${entry.owner}: ${this.lib.formatOptionValue(entry.value)}`)
+          .join('\n')
+        section.appendChild(conflictLine)
+      })
+
+      this.manager.instances.forEach((instance) => {
+        const metrics = instance.monitor.metrics
+        const card = createElement('details', 'card')
+        card.dataset.key = instance.id
+        card.open = expanded.has(instance.id)
+
+        const summary = createElement('summary')
+        summary.appendChild(createElement('span', 'type', this.manager.instanceLabel(instance)))
+        summary.appendChild(
+          createElement(
+            'span',
+            'muted',
+            ` ${instance.id} · ${instance.emitter.listenerCount()} listener(s)` +
+              ` · ${metrics.totalEvents} event(s) · ${metrics.errors} error(s)`
+          )
+        )
+        card.appendChild(summary)
+
+        const config = createElement('details')
+        config.dataset.key = `${instance.id}:config`
+        config.open = expanded.has(config.dataset.key)
+        config.appendChild(createElement('summary', 'key', 'Config'))
+        config.appendChild(
+          createElement(
+            'pre',
+            null,
+            JSON.stringify(
+              instance.getConfig(),
+              (key, value) =>
+                typeof value === 'function' ? `[Function ${value.name || 'anonymous'}]` : value,
+              2
+            )
+          )
+        )
+        card.appendChild(config)
+
+        const profiles = instance.emitter.getProfiles()
+        if (profiles.length === 0) {
+          card.appendChild(createElement('div', 'muted', 'No listeners'))
+        } else {
+          const table = createElement('table')
+          table.appendChild(
+            createRow('th', ['Listener', 'Kind', 'Event', 'Calls', 'Errors', 'p95 ms', 'Total ms'])
+          )
+          profiles.forEach((profile) =>
+            table.appendChild(
+              createRow('td', [
+                profile.name,
+                profile.kind,
+                profile.eventType,
+                profile.calls,
+                profile.errors,
+                profile.blocking.p95.toFixed(2),
+                profile.blocking.sum.toFixed(1),
+              ])
+            )
+          )
+          card.appendChild(table)
+        }
+
+        section.appendChild(card)
+      })
+
+      section.scrollTop = scrollTop
+    }
+
+    // ------------------------------------------------------------------------
+    // Live stream
+    // ------------------------------------------------------------------------
+
+    _matches(entry) {
+      if (!this.query) return true
+      if (entry.type.toLowerCase().includes(this.query)) return true
+
+      if (entry.text === null) {
+        entry.text = entry.json.toLowerCase()
+      }
+      return entry.text.includes(this.query)
+    }
+
+    /**
+     * Show new events at the top of the stream
+     * @param {boolean} full - Rebuild the list (search changed, cleared, tab shown)
+     */
+    _renderStream(full) {
+      if (!this.elements) return
+
+      const { sections, pauseButton, streamStatus } = this.elements
+      const list = sections.events
+      const pending = this.events.filter(
+        (entry) => entry.sequence > this.renderedSequence
+      ).length
+
+      pauseButton.textContent = this.isPaused
+        ? `Resume${pending > 0 ? ` (${pending} new)` : ''}`
+        : 'Pause'
+      if (this.isPaused && !full) return
+
+      if (full) {
+        list.textContent = ''
+        this.renderedSequence = 0
+      }
+
+      this.events
+        .filter((entry) => entry.sequence > this.renderedSequence && this._matches(entry))
+        .slice(-OVERLAY_ROW_LIMIT)
+        .forEach((entry) => list.insertBefore(this._createEventRow(entry), list.firstChild))
+      this.renderedSequence = this.sequence
+
+      while (list.childElementCount > OVERLAY_ROW_LIMIT) {
+        list.lastElementChild.remove()
+      }
+      streamStatus.textContent = `${list.childElementCount} shown`
+    }
+
+    _createEventRow(entry) {
+      const row = createElement('details')
+      const summary = createElement('summary')
+      summary.appendChild(
+        createElement('span', 'muted', `${new Date(entry.timestamp).toISOString().slice(11, 23)} `)
+      )
+      summary.appendChild(createElement('span', 'type', entry.type))
+      if (entry.connection !== null) {
+        summary.appendChild(createElement('span', 'muted', ` #${entry.connection}`))
+      }
+      row.appendChild(summary)
+
+      row.addEventListener('toggle', () => {
+        if (!row.open || row.childElementCount > 1) return
+
+        // A cut payload is no longer valid JSON: show the text that was kept
+        if (entry.size > entry.json.length) {
+          row.appendChild(createElement('pre', null, `${entry.json}…`))
+          row.appendChild(
+            createElement('div', 'muted', `First ${entry.json.length} of ${entry.size} characters`)
+          )
+          return
+        }
+
+        let value
+        try {
+          value = JSON.parse(entry.json)
+        } catch (error) {
+          row.appendChild(createElement('pre', null, entry.json))
+          return
+        }
+        const tree = createJsonNode(null, value)
+        row.appendChild(tree)
+        if (tree.tagName === 'DETAILS') tree.open = true
+      })
+      return row
+    }
+
+    // ------------------------------------------------------------------------
+    // Charts
+    // ------------------------------------------------------------------------
+
+    /**
+     * Record one chart point: rates and average latencies since the
+     * previous sample, summed over all instances
+     */
+    _sample() {
+      const snapshot = {
+        time: this.lib.utils.now(),
+        frames: this.hook.frameStats.received,
+        instances: new Map(),
+      }
+      this.manager.instances.forEach((instance) => {
+        const monitor = instance.monitor
+        snapshot.instances.set(instance.id, {
+          events: monitor.metrics.totalEvents,
+          queueWait: [monitor.queueWait.count, monitor.queueWait.sum],
+          listeners: [monitor.listenerLatency.count, monitor.listenerLatency.sum],
+        })
+      })
+
+      const previous = this.previous
+      this.previous = snapshot
+      if (!previous) return
+
+      // Counters only grow until a metrics reset; after one, count from zero
+      const delta = (now, before) => (now >= before ? now - before : now)
+      const empty = { events: 0, queueWait: [0, 0], listeners: [0, 0] }
+      const totals = { events: 0, queueWait: [0, 0], listeners: [0, 0] }
+
+      snapshot.instances.forEach((current, id) => {
+        const before = previous.instances.get(id) || empty
+        totals.events += delta(current.events, before.events)
+        for (const name of ['queueWait', 'listeners']) {
+          const reset = current[name][0] < before[name][0]
+          totals[name][0] += reset ? current[name][0] : current[name][0] - before[name][0]
+          totals[name][1] += reset ? current[name][1] : current[name][1] - before[name][1]
+        }
+      })
+
+      const seconds = Math.max(0.001, (snapshot.time - previous.time) / 1000)
+      const average = ([count, sum]) => (count > 0 ? sum / count : 0)
+      this.samples.push({
+        frames: delta(snapshot.frames, previous.frames) / seconds,
+        events: totals.events / seconds,
+        queueWait: average(totals.queueWait),
+        listeners: average(totals.listeners),
+      })
+      if (this.samples.length > OVERLAY_CHART_POINTS) {
+        this.samples.shift()
+      }
+    }
+
+    _renderCharts() {
+      const { charts, latencyTable } = this.elements
+      const offset = OVERLAY_CHART_POINTS - this.samples.length
+
+      charts.forEach((chart) => {
+        const values = this.samples.map((sample) => sample[chart.key])
+        const max = Math.max(0, ...values)
+        const latest = values.length > 0 ? values[values.length - 1] : 0
+        chart.value.textContent = ` now ${latest.toFixed(2)} · max ${max.toFixed(2)}`
+        chart.line.setAttribute(
+          'points',
+          values
+            .map((value, index) => `${offset + index},${max > 0 ? 100 - (value / max) * 95 : 100}`)
+            .join(' ')
+        )
+      })
+
+      // Percentiles since the last metrics reset, from each PerformanceMonitor
+      latencyTable.textContent = ''
+      const table = createElement('table')
+      table.appendChild(
+        createRow('th', ['Instance', 'Queue p50/p95/p99 ms', 'Listener p50/p95/p99 ms'])
+      )
+      const percentiles = (summary) =>
+        [summary.p50, summary.p95, summary.p99].map((value) => value.toFixed(2)).join(' / ')
+
+      this.manager.instances.forEach((instance) =>
+        table.appendChild(
+          createRow('td', [
+            instance.id,
+            percentiles(instance.monitor.queueWait.summary()),
+            percentiles(instance.monitor.listenerLatency.summary()),
+          ])
+        )
+      )
+      latencyTable.appendChild(table)
+    }
+  }
+
+  // ============================================================================
+  // Registration
+  // ============================================================================
+
+  const overlayModule = {
+    api: OVERLAY_API,
+
+    /**
+     * @param {Object} lib - Library internals
+     * @returns {DiagnosticsOverlay} New, unopened overlay
+     */
+    create: (lib) => new DiagnosticsOverlay(lib),
+  }
+
+  // Keyed by revision, so copies for different library versions coexist
+  global[REGISTRY_KEY] = global[REGISTRY_KEY] || {}
+  global[REGISTRY_KEY][OVERLAY_API] = overlayModule
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = overlayModule
+  }
+})(typeof window !== 'undefined' ? window : this)
@@ -0,0 +1,192 @@
+/**
+ * MWI Moonitoring - Headless Test Harness for Node.js
+ * @author c3d.gg
+ * @license MIT
+ * @homepage https://github.com/mathewcst/mwi-moonitoring
+ *
+ * Provides in-memory WebSocket and MessageEvent shims so the real library
+ * hook, queue and emitter run outside the browser. Frames pushed into a fake
+ * socket with an MWI endpoint URL travel the same path as live game traffic.
+ *
+ * Not for use in userscripts - this file is a Node.js test entry point.
+ */
+
+'use strict'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const ENDPOINTS = {
+  live: 'wss://api.milkywayidle.com/ws',
+  test: 'wss://api-test.milkywayidle.com/ws',
+}
+
+const READY_STATES = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 }
+
+// ============================================================================
+// Browser Shims
+// ============================================================================
+
+/**
+ * Minimal MessageEvent with `data` exposed through a prototype getter, the
+ * same shape the library hooks in browsers
+ */
+class FakeMessageEvent extends Event {
+  constructor(type, init = {}) {
+    super(type)
+    this._data = init.data
+  }
+}
+
+Object.defineProperty(FakeMessageEvent.prototype, 'data', {
+  get() {
+    return this._data
+  },
+  enumerable: true,
+  configurable: true,
+})
+
+/**
+ * In-memory WebSocket. Incoming frames are read by an internal listener,
+ * just like the game client reads `event.data` in its onmessage handler
+ */
+class FakeWebSocket extends EventTarget {
+  constructor(url) {
+    super()
+    this.url = url
+    this.readyState = READY_STATES.OPEN
+    this.sent = []
+    this.received = []
+    this.onmessage = null
+
+    this.addEventListener('message', (event) => {
+      this.received.push(event.data)
+      if (typeof this.onmessage === 'function') {
+        this.onmessage(event)
+      }
+    })
+  }
+
+  /**
+   * Push a frame from the "server" to this socket
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob|Object} frame - Raw frame, or object to JSON-encode
+   */
+  receive(frame) {
+    const isRaw =
+      typeof frame === 'string' ||
+      frame instanceof ArrayBuffer ||
+      ArrayBuffer.isView(frame) ||
+      frame instanceof Blob
+    const data = isRaw ? frame : JSON.stringify(frame)
+    this.dispatchEvent(new FakeMessageEvent('message', { data }))
+  }
+
+  send(data) {
+    this.sent.push(data)
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === READY_STATES.CLOSED) return
+    this.readyState = READY_STATES.CLOSED
+    const event = new Event('close')
+    event.code = code
+    event.reason = reason
+    event.wasClean = code === 1000
+    this.dispatchEvent(event)
+  }
+}
+
+Object.assign(FakeWebSocket, READY_STATES)
+
+// ============================================================================
+// Harness
+// ============================================================================
+
+/**
+ * Wait for already scheduled macrotasks (setTimeout 0) to run
+ * @returns {Promise<void>}
+ */
+const nextMacrotask = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+/**
+ * Install the shims and load the library
+ * @returns {Object} Harness API
+ * @example
+ * const { createHarness } = require('./mwi-moonitoring-testing.js')
+ * const harness = createHarness()
+ * const ws = harness.MWIWebSocket.createInstance({ batchInterval: 30000 })
+ * const socket = harness.connect()
+ *
+ * ws.on('items_updated', handler)
+ * socket.receive({ type: 'items_updated', characterItems: [] })
+ * await harness.flush() // handler has now run
+ */
+function createHarness() {
+  const originals = {
+    MessageEvent: globalThis.MessageEvent,
+    WebSocket: globalThis.WebSocket,
+  }
+
+  globalThis.MessageEvent = FakeMessageEvent
+  globalThis.WebSocket = FakeWebSocket
+
+  const MWIWebSocket = require('./mwi-moonitoring-library.js')
+  const sockets = new Set()
+
+  return {
+    MWIWebSocket,
+    FakeWebSocket,
+    FakeMessageEvent,
+
+    /**
+     * Open a fake socket
+     * @param {'live'|'test'|string} [endpoint='live'] - Endpoint name or full URL
+     * @returns {FakeWebSocket} Socket to push frames into
+     */
+    connect(endpoint = 'live') {
+      const socket = new FakeWebSocket(ENDPOINTS[endpoint] || endpoint)
+      sockets.add(socket)
+      return socket
+    },
+
+    /**
+     * Deliver everything pushed so far to listeners, regardless of
+     * batchInterval. Resolves after isolated listeners have run.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      // Hooked getter defers distribution with setTimeout(0)
+      await nextMacrotask()
+      // Also waits for frames still being decoded (Blob, compressed)
+      await MWIWebSocket.flush()
+      // Isolated listeners run in their own setTimeout(0)
+      await nextMacrotask()
+    },
+
+    /**
+     * Destroy all instances and close all fake sockets
+     */
+    reset() {
+      MWIWebSocket.destroy()
+      sockets.forEach((socket) => socket.close())
+      sockets.clear()
+    },
+
+    /**
+     * Reset and restore the original globals
+     */
+    uninstall() {
+      this.reset()
+      globalThis.MessageEvent = originals.MessageEvent
+      globalThis.WebSocket = originals.WebSocket
+    },
+  }
+}
+
+module.exports = {
+  createHarness,
+  FakeWebSocket,
+  FakeMessageEvent,
+  ENDPOINTS,
+}
@@ -26,11 +26,40 @@ declare namespace MWIWebSocket {
     batchInterval?: number;
     /** Maximum events per batch (default: 50) */
     maxBatchSize?: number;
-    /** Pre-parse JSON for performance (default: true) */
-    preParsing?: boolean;
-    /** Only process these event types. Empty array = all events (default: []) */
+    /**
+     * Per-type policy (wildcards allowed) merging queued events of that type
+     * into one per batch: keep the newest, keep the first, or a reducer (default: {})
+     */
+    coalesce?: { [eventType: string]: 'keep-last' | 'keep-first' | CoalesceReducer };
+    /**
+     * 'idle' processes batches in slices during idle time (requestIdleCallback,
+     * falling back to timers) and yields when the slice budget is spent (default: 'timer')
+     */
+    scheduling?: 'timer' | 'idle';
+    /** Milliseconds a slice may take when no idle deadline is available (default: 8) */
+    frameBudget?: number;
+    /** Queued events (or calls waiting for one listener) above which the backpressure policy applies (default: 1000) */
+    queueHighWaterMark?: number;
+    /**
+     * Past the high-water mark, drop the oldest queued events or keep only the
+     * newest of each type; or hold batches while async listeners are busy (default: 'none')
+     */
+    backpressure?: 'none' | 'drop-oldest' | 'coalesce' | 'block';
+    /**
+     * Parse each frame once for all instances. 'worker' parses frames in a Web
+     * Worker and posts back only subscribed event types, once every instance
+     * asks for it (default: true)
+     */
+    preParsing?: boolean | 'worker';
+    /**
+     * Only need frames of the types this instance listens to (default: false).
+     * History and cache then keep only those types. Without it, history and
+     * cache (both on by default) need every frame, so nothing is skipped.
+     */
+    lazyParsing?: boolean;
+    /** Only process these event types, wildcards and '!' exclusions allowed. Empty array = all events (default: []) */
     eventWhitelist?: string[];
-    /** Never process these event types (default: []) */
+    /** Never process these event types, wildcards and '!' exclusions allowed (default: []) */
     eventBlacklist?: string[];
     /** Enable event discovery mode (default: false) */
     enableDiscovery?: boolean;
@@ -46,17 +75,74 @@ declare namespace MWIWebSocket {
     enableCache?: boolean;
     /** Maximum number of cached events (default: 100) */
     cacheSize?: number;
+    /** Also store processed events in IndexedDB (default: false) */
+    persistHistory?: boolean;
+    /** Namespace of the persistent history, one database each (default: 'default') */
+    persistName?: string;
+    /** Drop persisted events older than this many ms (default: 86400000) */
+    persistMaxAge?: number;
+    /** Maximum persisted events (default: 50000) */
+    persistMaxEntries?: number;
+    /** IndexedDB implementation to use instead of the globals, e.g. fake-indexeddb in tests */
+    persistBackend?: { indexedDB: IDBFactory; IDBKeyRange: typeof IDBKeyRange } | null;
     /** Error handling strategy (default: 'isolate') */
     errorHandling?: 'isolate' | 'propagate' | 'suppress';
     /** Maximum listeners per event to prevent memory leaks (default: 100) */
     maxListenersPerEvent?: number;
+    /**
+     * 'frozen' delivers a private read-only copy of every payload; writes throw (default: 'shared').
+     * Frozen payloads can't be passed to structuredClone()/postMessage(); use clonePayload() first
+     */
+    payloadMode?: 'shared' | 'frozen';
+    /** Maintain derived character state from known events (default: true) */
+    enableState?: boolean;
+    /** Validate payloads against registered schemas; invalid ones go to 'validation_error' (default: false) */
+    validatePayloads?: boolean;
+    /** Infer payload shapes for every event, not only during discovery (default: false) */
+    trackShapes?: boolean;
+    /** Passively observe frames the game sends, delivered as 'outgoing:<type>' events (default: false) */
+    observeOutgoing?: boolean;
   }
 
+  /**
+   * Merges a queued payload with a newer one of the same type
+   */
+  type CoalesceReducer<T = any> = (previous: T, next: T, eventType: string) => T;
+
   /**
    * Performance metrics
    */
+  /**
+   * Latency statistics in milliseconds since the last reset. Percentiles come
+   * from a histogram and are accurate to about 19%.
+   */
+  interface LatencySummary {
+    count: number;
+    sum: number;
+    avg: number;
+    p50: number;
+    p95: number;
+    p99: number;
+    max: number;
+  }
+
+  interface ListenerProfile {
+    /** Subscription name option, or the callback's function name */
+    name: string;
+    kind: 'listener' | 'stage';
+    /** Event type or pattern it is registered for */
+    eventType: string;
+    calls: number;
+    /** Calls that threw or rejected */
+    errors: number;
+    /** Main-thread time per call */
+    blocking: LatencySummary;
+    /** Time per call until its returned Promise settled */
+    duration: LatencySummary;
+  }
+
   interface PerformanceMetrics {
-    /** Total number of events processed */
+    /** Total number of events processed (synthetic connection: and hook: events are not counted) */
     totalEvents: number;
     /** Map of event types to their counts */
     eventsPerType: Map<string, number>;
@@ -66,10 +152,44 @@ declare namespace MWIWebSocket {
     avgProcessingTime: number;
     /** Peak processing time in milliseconds */
     peakProcessingTime: number;
-    /** Number of dropped events */
+    /** Time to filter and enqueue an event */
+    processingLatency: LatencySummary;
+    /** Time from receipt to dispatch */
+    queueWait: LatencySummary;
+    /** Main-thread time of each listener and pipeline stage call */
+    listenerLatency: LatencySummary;
+    /** Queue wait and listener time per event type */
+    latencyPerType: Map<string, { queueWait: LatencySummary; listeners: LatencySummary }>;
+    /** Timing of every current listener and stage, most main-thread time first */
+    listeners: ListenerProfile[];
+    /** Events rejected by the event blacklist/whitelist (including frames skipped unparsed) */
     droppedEvents: number;
     /** Number of errors encountered */
     errors: number;
+    /** Number of payloads rejected by schema validation */
+    validationErrors: number;
+    /** Rejected payloads per event type */
+    validationErrorsPerType: Map<string, number>;
+    /** Frames that could not be decoded into a typed JSON message */
+    undecodableFrames: number;
+    /** Frames left unparsed because no instance needed their type */
+    skippedFrames: number;
+    /** Payloads copied into read-only views (payloadMode 'frozen') */
+    frozenPayloads: number;
+    /** Total milliseconds spent copying payloads for read-only delivery */
+    freezeTime: number;
+    /** Queued events dropped or coalesced past the high-water mark */
+    backpressureDrops: number;
+    /** Events merged into a queued event of the same type (coalesce config) */
+    coalescedEvents: number;
+    /** Merged events per event type */
+    coalescedPerType: Map<string, number>;
+    /** Slices run with scheduling 'idle' */
+    idleSlices: number;
+    /** Slices that took longer than their idle deadline or frameBudget */
+    budgetOverruns: number;
+    /** Total milliseconds slices ran past their budget */
+    budgetOverrunTime: number;
     /** Library start timestamp */
     startTime: number;
     /** Last metrics reset timestamp */
@@ -99,6 +219,8 @@ declare namespace MWIWebSocket {
       timestamp: number;
       data: any;
     }>;
+    /** Field-level schema inferred from every payload seen */
+    schema: InferredTypeSchema | null;
   }
 
   /**
@@ -111,12 +233,131 @@ declare namespace MWIWebSocket {
     data: any;
     /** Timestamp when event was received */
     timestamp: number;
+    /** Connection the event arrived on */
+    connection: ConnectionDescriptor | null;
+    /** Number of events merged into this one, if it was coalesced */
+    coalesced?: number;
+  }
+
+  /**
+   * Game socket a message arrived on
+   */
+  interface ConnectionDescriptor {
+    /** Sequential id, unique per page load */
+    id: number;
+    url: string;
+    /** Environment profile the URL matched ('live', 'test' or a registered one) */
+    profile: string;
+    /** When the hook first saw the socket (its first frame) */
+    openedAt: number;
+  }
+
+  /**
+   * Connection as listed by getConnections()
+   */
+  interface ConnectionInfo extends ConnectionDescriptor {
+    isOpen: boolean;
+    closedAt: number | null;
+    closeCode: number | null;
+    closeReason: string | null;
+    wasClean: boolean | null;
+    /** Frames received on this socket */
+    messages: number;
+  }
+
+  interface ConnectionOpenEvent {
+    connection: ConnectionDescriptor;
+  }
+
+  interface ConnectionCloseEvent {
+    connection: ConnectionDescriptor;
+    code: number | null;
+    reason: string;
+    wasClean: boolean | null;
+    /** Milliseconds the connection was tracked */
+    duration: number;
+  }
+
+  interface ConnectionReconnectEvent {
+    connection: ConnectionDescriptor;
+    /** Connection this one replaced */
+    previous: ConnectionDescriptor;
+    previousCloseCode: number | null;
+    /** Milliseconds between the previous close and the new connection (0 if it never closed) */
+    downtime: number;
+  }
+
+  /**
+   * Delivery details passed to listeners as the third argument
+   */
+  interface EventMeta {
+    timestamp: number;
+    /** Source connection, or null for replayed and manually emitted events */
+    connection: ConnectionDescriptor | null;
+    /** Environment profile of the source connection */
+    profile: string | null;
+    /** Values contributed by pipeline stages (see use()) */
+    annotations: Readonly<Record<string, any>>;
+    /** Number of events merged into this one by the coalesce config (1 = none) */
+    coalesced: number;
   }
 
   /**
    * Event callback function
    */
-  type EventCallback<T = any> = (eventType: string, data: T) => void;
+  type EventCallback<T = any> = (eventType: string, data: T, meta: EventMeta) => void | Promise<void>;
+
+  /**
+   * Condition on one payload field: a literal (equality), a RegExp, a
+   * predicate, or an object of operators that must all hold
+   */
+  type FilterCondition =
+    | string | number | boolean | null
+    | RegExp
+    | ((value: any) => boolean)
+    | {
+        eq?: any;
+        ne?: any;
+        in?: any[];
+        prefix?: string;
+        matches?: RegExp;
+        gt?: number;
+        gte?: number;
+        lt?: number;
+        lte?: number;
+        exists?: boolean;
+        /** At least one array element must pass this nested filter */
+        some?: PayloadFilter;
+      };
+
+  /**
+   * Declarative payload filter mapping dotted paths ('action.hrid') to
+   * conditions, or a predicate over the payload
+   */
+  type PayloadFilter =
+    | { [path: string]: FilterCondition }
+    | ((data: any, eventType: string) => boolean);
+
+  interface SubscribeOptions {
+    /** Only schedule the listener for payloads that pass */
+    filter?: PayloadFilter;
+    /** Higher priorities run first; equal ones in subscription order (default: 0) */
+    priority?: number;
+    /** Async calls of this listener in flight at once, 1 = serialize; later calls wait (default: Infinity) */
+    concurrency?: number;
+    /** Name shown in listener profiles (default: the function name) */
+    name?: string;
+  }
+
+  /**
+   * Pipeline stage: receives a frozen copy of the payload and the
+   * annotations of earlier stages; the returned object is merged into them
+   */
+  type PipelineStage<T = any> = (
+    eventType: string,
+    data: Readonly<T>,
+    annotations: Readonly<Record<string, any>>
+  ) => Record<string, any> | void;
 
   /**
    * Unsubscribe function returned by on() and once()
@@ -162,6 +403,7 @@ declare namespace MWIWebSocket {
    * Item in inventory
    */
   interface Item {
+    id?: number;
     itemHrid: string;
     itemLocationHrid?: string;
     count: number;
@@ -208,7 +450,10 @@ declare namespace MWIWebSocket {
    */
   interface ItemsUpdatedEvent {
     type: 'items_updated';
-    characterItems: Item[];
+    /** Name used by older game versions; either this or endCharacterItems is present */
+    characterItems?: Item[];
+    /** Name used by current game versions for the updated items */
+    endCharacterItems?: Item[];
     itemsAdded?: Item[];
     itemsRemoved?: Item[];
   }
@@ -221,8 +466,10 @@ declare namespace MWIWebSocket {
     actionId: number;
     items?: Item[];
     characterItems?: Item[];
+    endCharacterItems?: Item[];
     skills?: Skill[];
     characterSkills?: Skill[];
+    endCharacterSkills?: Skill[];
     experience?: Array<{
       skillHrid: string;
       amount: number;
@@ -237,13 +484,399 @@ declare namespace MWIWebSocket {
     actionTypeDrinkSlotsMap: any;
   }
 
+  /**
+   * Payload types of the events the library knows a schema for
+   */
+  interface KnownEvents {
+    init_character_data: InitCharacterDataEvent;
+    items_updated: ItemsUpdatedEvent;
+    action_completed: ActionCompletedEvent;
+  }
+
+  // ============================================================================
+  // Schema Validation
+  // ============================================================================
+
+  /**
+   * Structural schema: a type name, an object of field schemas (suffix a
+   * field name with `?` to make it optional), a one-element array describing
+   * array elements, or a custom validator returning true or error message(s)
+   */
+  type Schema =
+    | 'string' | 'number' | 'boolean' | 'object' | 'array' | 'null' | 'any'
+    | { [field: string]: Schema }
+    | [Schema]
+    | ((value: any, validate: (value: any, schema: Schema) => string[]) => boolean | string | string[] | void);
+
+  interface ValidationResult {
+    valid: boolean;
+    /** Messages such as 'characterItems[0].count: expected number, got string' */
+    errors: string[];
+  }
+
+  /**
+   * Payload delivered on the 'validation_error' channel
+   */
+  interface ValidationErrorEvent {
+    eventType: string;
+    errors: string[];
+    data: any;
+  }
+
+  // ============================================================================
+  // Persistent History
+  // ============================================================================
+
+  interface PersistedEvent extends EventHistoryEntry {
+    /** Auto-increment key */
+    id: number;
+  }
+
+  /** Opaque paging position returned as nextCursor */
+  interface HistoryCursor {
+    timestamp: number;
+    id: number;
+  }
+
+  interface HistoryQuery {
+    /** Only this event type */
+    type?: string;
+    /** Earliest timestamp (inclusive) */
+    since?: number;
+    /** Latest timestamp (inclusive) */
+    until?: number;
+    /** Predicate applied to each entry */
+    filter?: (entry: PersistedEvent) => boolean;
+    /** Page size (default: 100) */
+    limit?: number;
+    /** Newest first (default) or oldest first */
+    order?: 'asc' | 'desc';
+    /** nextCursor of the previous page */
+    cursor?: HistoryCursor | null;
+  }
+
+  interface HistoryPage {
+    entries: PersistedEvent[];
+    /** Pass as `cursor`, along with the same query options, to get the next page; null on the last page */
+    nextCursor: HistoryCursor | null;
+  }
+
+  /**
+   * Persistent history API. Methods reject when persistHistory is off.
+   */
+  interface PersistentHistory {
+    query(options?: HistoryQuery): Promise<HistoryPage>;
+    count(): Promise<number>;
+    /** Apply retention limits now; resolves to the number of deleted events */
+    prune(): Promise<number>;
+    clear(): Promise<void>;
+    isEnabled(): boolean;
+  }
+
+  // ============================================================================
+  // Shape Inference & Drift Detection
+  // ============================================================================
+
+  /**
+   * Inferred field. Paths use dots for object keys, `[]` for array elements
+   * and `*` for dynamic keys such as HRIDs: 'characterItems[].count'
+   */
+  interface InferredField {
+    types: Array<'string' | 'number' | 'boolean' | 'object' | 'array' | 'null' | 'undefined'>;
+    /** Present in every parent object observed */
+    required: boolean;
+  }
+
+  interface InferredTypeSchema {
+    samples: number;
+    fields: Record<string, InferredField>;
+  }
+
+  /**
+   * Serializable inferred schema, usable as a drift baseline
+   */
+  interface InferredSchema {
+    format: 'mwi-moonitoring-shapes';
+    formatVersion: number;
+    libraryVersion: string;
+    generatedAt: number;
+    types: Record<string, InferredTypeSchema>;
+  }
+
+  interface TypeDrift {
+    added: Array<{ path: string } & InferredField>;
+    removed: Array<{ path: string } & InferredField>;
+    retyped: Array<{ path: string; from: string[]; to: string[] }>;
+    requiredChanged: Array<{ path: string; from: boolean; to: boolean }>;
+  }
+
+  interface DriftReport {
+    /** True when fields changed, or event types appeared or were not seen */
+    hasDrift: boolean;
+    /** Event types seen now but absent from the baseline */
+    newTypes: string[];
+    /** Baseline event types not observed yet */
+    unseenTypes: string[];
+    /** Changes per event type (only types with changes) */
+    types: Record<string, TypeDrift>;
+  }
+
+  // ============================================================================
+  // Derived Character State
+  // ============================================================================
+
+  /**
+   * Names of the slices kept by the character state store
+   */
+  type StateSlice = 'character' | 'skills' | 'inventory' | 'equipment';
+
+  /**
+   * Item as stored in the state store (location and enhancement always set)
+   */
+  interface StateItem {
+    /** Game item id (when the server sent one); stable across moves */
+    id?: number;
+    itemHrid: string;
+    itemLocationHrid: string;
+    count: number;
+    enhancementLevel: number;
+  }
+
+  /**
+   * Snapshot types per slice. Snapshots are deeply frozen.
+   */
+  interface StateSnapshots {
+    character: Readonly<Character> | null;
+    skills: Readonly<Record<string, Readonly<Skill>>>;
+    inventory: ReadonlyArray<Readonly<StateItem>>;
+    /** Equipped items keyed by item location HRID */
+    equipment: Readonly<Record<string, Readonly<StateItem>>>;
+  }
+
+  /**
+   * Read-only store seeded from init_character_data and patched from
+   * items_updated, action_completed and skills_updated
+   */
+  interface StateStore {
+    /** Get a frozen snapshot of a slice */
+    get<K extends StateSlice>(slice: K): StateSnapshots[K];
+    /** Get frozen snapshots of every slice */
+    getAll(): StateSnapshots & { isInitialized: boolean; lastUpdated: number | null };
+    /** Subscribe to changes of one or more slices */
+    subscribe<K extends StateSlice>(
+      slices: K | K[],
+      callback: (slice: K, snapshot: StateSnapshots[K]) => void
+    ): UnsubscribeFunction;
+    /** True once init_character_data has been processed */
+    isInitialized(): boolean;
+  }
+
+  // ============================================================================
+  // Isolated Instances
+  // ============================================================================
+
+  /**
+   * Userscript behind an instance or a configure() call
+   */
+  interface InstanceOwner {
+    readonly name: string;
+    readonly version: string | null;
+  }
+
+  /**
+   * Isolated instance returned by createInstance()
+   */
+  interface Instance {
+    readonly id: string;
+    readonly version: string;
+    /** Owner passed to createInstance(), if any */
+    readonly owner: InstanceOwner | null;
+    on(eventTypes: string | string[], callback: EventCallback, options?: SubscribeOptions): UnsubscribeFunction;
+    once(eventType: string, callback: EventCallback, options?: SubscribeOptions): UnsubscribeFunction;
+    use(eventTypes: string | string[], stage: PipelineStage, options?: SubscribeOptions): UnsubscribeFunction;
+    off(eventTypes: string | string[], callback: EventCallback): void;
+    offAll(eventType?: string): void;
+    emit(eventType: string, data: any): number;
+    discover(duration?: number): Promise<DiscoveryResult[]>;
+    getEventHistory(limit?: number): EventHistoryEntry[];
+    getCachedEvent(eventType: string): EventHistoryEntry | undefined;
+    /** Persistent event history (requires persistHistory: true) */
+    readonly history: PersistentHistory;
+    getInferredSchema(): InferredSchema;
+    resetInferredSchema(): void;
+    detectDrift(baseline: string | InferredSchema): DriftReport;
+    /** Register a schema for this instance only (overrides the shared registry) */
+    registerSchema(eventType: string, schema: Schema): UnsubscribeFunction;
+    validate(eventType: string, data: any): ValidationResult;
+    /** Derived character state for this instance */
+    readonly state: StateStore;
+    configure(options: ConfigOptions): void;
+    getConfig(): ConfigOptions;
+    getMetrics(): PerformanceMetrics;
+    resetMetrics(): void;
+    getEventCount(eventType?: string): number;
+    listenerCount(eventType?: string): number;
+    getEventTypes(): string[];
+    isReady(): boolean;
+    getConnections(): ConnectionInfo[];
+    waitForReady(): Promise<void>;
+    /** Deliver queued messages now instead of waiting for batchInterval */
+    flush(): void;
+    clear(): void;
+    destroy(): void;
+    enableProfiling(enabled: boolean): void;
+  }
+
   // ============================================================================
   // Public API
   // ============================================================================
 
+  /**
+   * Create a new isolated instance with its own configuration, listeners,
+   * queue and state
+   * @param config - Configuration options for this instance
+   * @param owner - Your userscript: a name, or { name, version }
+   * @example
+   * const ws = MWIWebSocket.createInstance(
+   *   { eventWhitelist: ['items_updated'] },
+   *   { name: 'Inventory Monitor', version: '1.2.0' }
+   * );
+   */
+  function createInstance(
+    config?: ConfigOptions,
+    owner?: string | { name: string; version?: string }
+  ): Instance;
+
+  /**
+   * Register a payload schema in the shared registry
+   * @returns Function that removes the schema again
+   * @example
+   * MWIWebSocket.registerSchema('market_listings_updated', {
+   *   endMarketListings: [{ itemHrid: 'string', price: 'number' }],
+   * });
+   */
+  function registerSchema(eventType: string, schema: Schema): UnsubscribeFunction;
+
+  /**
+   * Validate a payload against the shared schema registry
+   */
+  function validate(eventType: string, data: any): ValidationResult;
+
+  /**
+   * Make a mutable deep copy of a payload, e.g. one delivered read-only
+   * with payloadMode 'frozen'
+   * @example
+   * const items = MWIWebSocket.clonePayload(data).endCharacterItems;
+   * items.sort((a, b) => b.count - a.count);
+   */
+  function clonePayload<T>(data: T): T;
+
+  /**
+   * Type guard: true when data matches the schema registered for eventType
+   * @example
+   * if (MWIWebSocket.is('items_updated', data)) {
+   *   // Valid payloads carry at least one of the two arrays
+   *   (data.endCharacterItems || data.characterItems || []).forEach(item => console.log(item.itemHrid));
+   * }
+   */
+  function is<K extends keyof KnownEvents>(eventType: K, data: unknown): data is KnownEvents[K];
+  function is(eventType: string, data: unknown): boolean;
+
+  /**
+   * Derived character state of the shared default instance
+   * @example
+   * const inventory = MWIWebSocket.state.get('inventory');
+   * MWIWebSocket.state.subscribe('skills', (slice, skills) => console.log(skills));
+   */
+  const state: StateStore;
+
+  // ============================================================================
+  // Session Recording & Replay
+  // ============================================================================
+
+  /**
+   * Recorded raw frame; `t` is milliseconds since the recording started
+   */
+  interface SessionFrame {
+    t: number;
+    data: any;
+  }
+
+  /**
+   * Portable recorded session
+   */
+  interface Session {
+    format: 'mwi-moonitoring-session';
+    formatVersion: number;
+    libraryVersion: string;
+    startedAt: number;
+    frameCount: number;
+    droppedFrames: number;
+    frames: SessionFrame[];
+  }
+
+  interface RecorderOptions {
+    /** Frames to keep before dropping new ones (default: 10000) */
+    maxFrames?: number;
+  }
+
+  interface Recorder {
+    /** Stop recording and return the session */
+    stop(): Session;
+    isRecording(): boolean;
+    frameCount(): number;
+    getSession(): Session;
+    /** Serialize as a JSON document or as NDJSON (header line + one frame per line) */
+    export(format?: 'json' | 'ndjson'): string;
+  }
+
+  interface ReplayOptions {
+    /** Playback speed multiplier, Infinity for no delays (default: 1) */
+    speed?: number;
+    /** Deliver frames only when step() is called (default: false) */
+    stepped?: boolean;
+  }
+
+  interface ReplayProgress {
+    position: number;
+    total: number;
+    isFinished: boolean;
+  }
+
+  interface Replay {
+    /** Resolves when every frame was delivered or the replay was stopped */
+    readonly done: Promise<ReplayProgress>;
+    /** Deliver the next frame immediately; null when finished */
+    step(): SessionFrame | null;
+    pause(): void;
+    resume(): void;
+    stop(): void;
+    progress(): ReplayProgress;
+  }
+
+  /**
+   * Start recording raw WebSocket frames seen by the global hook
+   * @example
+   * const recorder = MWIWebSocket.startRecording();
+   * recorder.stop();
+   * const ndjson = recorder.export('ndjson');
+   */
+  function startRecording(options?: RecorderOptions): Recorder;
+
+  /**
+   * Replay a recorded session through the global hook to all instances
+   * @param session - Output of recorder.export() or recorder.getSession()
+   * @example
+   * await MWIWebSocket.replay(savedSession, { speed: 10 }).done;
+   */
+  function replay(session: string | Session, options?: ReplayOptions): Replay;
+
   /**
    * Subscribe to one or more WebSocket events
-   * @param eventTypes - Event type(s) to listen for. Supports wildcards (e.g., 'action_*')
+   * @param eventTypes - Event type(s) to listen for. Supports wildcards ('action_*',
+   *   'outgoing:**', 'item?') and exclusions ('!chat_spam'). Only exclusions
+   *   means every other game event, as with '*', without library events
+   *   such as 'connection:open'
    * @param callback - Function to call when event is received
    * @returns Unsubscribe function
    * @example
@@ -261,9 +894,14 @@ declare namespace MWIWebSocket {
    * MWIWebSocket.on('action_*', (eventType, data) => {
    *   console.log('Action event:', eventType);
    * });
+   *
+   * // Only wake up for coin changes
+   * MWIWebSocket.on('items_updated', handler, {
+   *   filter: { endCharacterItems: { some: { itemHrid: '/items/coin' } } }
+   * });
    */
-  function on(eventTypes: string | string[], callback: EventCallback): UnsubscribeFunction;
-  function on<T>(eventTypes: string | string[], callback: EventCallback<T>): UnsubscribeFunction;
+  function on(eventTypes: string | string[], callback: EventCallback, options?: SubscribeOptions): UnsubscribeFunction;
+  function on<T>(eventTypes: string | string[], callback: EventCallback<T>, options?: SubscribeOptions): UnsubscribeFunction;
 
   /**
    * Subscribe to an event only once
@@ -275,8 +913,20 @@ declare namespace MWIWebSocket {
    *   console.log('First character initialization');
    * });
    */
-  function once(eventType: string, callback: EventCallback): UnsubscribeFunction;
-  function once<T>(eventType: string, callback: EventCallback<T>): UnsubscribeFunction;
+  function once(eventType: string, callback: EventCallback, options?: SubscribeOptions): UnsubscribeFunction;
+  function once<T>(eventType: string, callback: EventCallback<T>, options?: SubscribeOptions): UnsubscribeFunction;
+
+  /**
+   * Add a pipeline stage. Stages run synchronously in priority order before
+   * listeners are scheduled; what a stage returns is merged into
+   * meta.annotations for later stages and all listeners.
+   * @returns Function that removes the stage
+   * @example
+   * MWIWebSocket.use('items_updated', (type, data) => ({ value: appraise(data) }), { priority: 10 });
+   * MWIWebSocket.on('items_updated', (type, data, meta) => render(meta.annotations.value));
+   */
+  function use(eventTypes: string | string[], stage: PipelineStage, options?: SubscribeOptions): UnsubscribeFunction;
+  function use<T>(eventTypes: string | string[], stage: PipelineStage<T>, options?: SubscribeOptions): UnsubscribeFunction;
 
   /**
    * Unsubscribe from one or more events
@@ -321,6 +971,35 @@ declare namespace MWIWebSocket {
    */
   function discover(duration?: number): Promise<DiscoveryResult[]>;
 
+  /**
+   * Persistent event history of the shared default instance
+   * @example
+   * const page = await MWIWebSocket.history.query({
+   *   type: 'items_updated',
+   *   since: Date.now() - 6 * 60 * 60 * 1000,
+   * });
+   */
+  const history: PersistentHistory;
+
+  /**
+   * Get the payload shapes inferred so far (during discover() or with trackShapes)
+   * @example
+   * localStorage.setItem('mwi-baseline', JSON.stringify(MWIWebSocket.getInferredSchema()));
+   */
+  function getInferredSchema(): InferredSchema;
+
+  /**
+   * Compare the shapes inferred so far against a saved baseline
+   * @example
+   * const report = MWIWebSocket.detectDrift(localStorage.getItem('mwi-baseline'));
+   */
+  function detectDrift(baseline: string | InferredSchema): DriftReport;
+
+  /**
+   * Compare two saved schemas
+   */
+  function diffSchemas(baseline: string | InferredSchema, current: string | InferredSchema): DriftReport;
+
   /**
    * Get event history
    * @param limit - Optional limit on number of events to return
@@ -382,25 +1061,178 @@ declare namespace MWIWebSocket {
    */
   function resetMetrics(): void;
 
+  /**
+   * Receives metric snapshots from startPush(); may return a Promise.
+   * Pushes are skipped while a previous one is pending.
+   */
+  interface MetricsSink {
+    push(payload: OtlpMetricsPayload | string, format: 'otlp' | 'prometheus'): void | Promise<unknown>;
+  }
+
+  interface MetricsPushOptions {
+    /** Milliseconds between pushes (default: 60000) */
+    interval?: number;
+    /** 'otlp' pushes OtlpMetricsPayload objects, 'prometheus' exposition text (default: 'otlp') */
+    format?: 'otlp' | 'prometheus';
+  }
+
+  /**
+   * OTLP/HTTP JSON ExportMetricsServiceRequest
+   */
+  interface OtlpMetricsPayload {
+    resourceMetrics: Array<{
+      resource: { attributes: Array<{ key: string; value: { stringValue: string } }> };
+      scopeMetrics: Array<{
+        scope: { name: string; version: string };
+        metrics: Array<{
+          name: string;
+          description: string;
+          unit: string;
+          sum?: { dataPoints: any[]; aggregationTemporality: number; isMonotonic: boolean };
+          gauge?: { dataPoints: any[] };
+          summary?: { dataPoints: any[] };
+        }>;
+      }>;
+    }>;
+  }
+
+  interface MetricsSeriesPoint {
+    timestamp: number;
+    /** Sum of matching points for counters and gauges; first match for summaries */
+    value: number | { count: number; sum: number; quantiles: Array<{ quantile: number; value: number }> };
+  }
+
+  /**
+   * In-memory stand-in for a metrics backend
+   */
+  interface MemorySink extends MetricsSink {
+    entries(): Array<{ timestamp: number; format: 'otlp' | 'prometheus'; payload: OtlpMetricsPayload | string }>;
+    /**
+     * Read one metric over time from stored OTLP snapshots
+     * @param name - Metric name, with or without the 'mwi_moonitoring_' prefix
+     * @param labels - Only points with these label values
+     */
+    series(name: string, labels?: Record<string, string>): MetricsSeriesPoint[];
+    clear(): void;
+  }
+
+  /**
+   * Metrics of all instances and the global hook, with stable names
+   * (prefixed 'mwi_moonitoring_') and labels: instance, event_type, outcome,
+   * reason, listener
+   * @example
+   * const sink = MWIWebSocket.metrics.createMemorySink();
+   * MWIWebSocket.metrics.startPush(sink, { interval: 60000 });
+   * sink.series('events', { event_type: 'items_updated', outcome: 'received' });
+   */
+  namespace metrics {
+    /** Prometheus text exposition format */
+    function toPrometheus(): string;
+    /** OTLP/HTTP JSON payload */
+    function toOTLP(): OtlpMetricsPayload;
+    /**
+     * Push a snapshot now and then every interval
+     * @returns Function that stops pushing
+     */
+    function startPush(sink: MetricsSink, options?: MetricsPushOptions): UnsubscribeFunction;
+    /**
+     * Create an in-memory sink keeping the most recent snapshots
+     * @param options.limit - Snapshots to keep (default: 1440)
+     */
+    function createMemorySink(options?: { limit?: number }): MemorySink;
+  }
+
+  /**
+   * In-page diagnostics overlay: instances, live event stream and charts.
+   * Ships as mwi-moonitoring-overlay.js, which must be @require'd after the
+   * library; the hook parses every frame while it is open.
+   * @example
+   * MWIWebSocket.overlay.enableShortcut(); // Ctrl+Shift+M
+   */
+  namespace overlay {
+    /** @returns False when there is no DOM or mwi-moonitoring-overlay.js isn't loaded */
+    function open(): boolean;
+    function close(): void;
+    /** @returns Whether the overlay is open now */
+    function toggle(): boolean;
+    function isOpen(): boolean;
+    /**
+     * Toggle the overlay with a keyboard shortcut (replaces the previous one)
+     * @param shortcut - Modifiers (Ctrl, Shift, Alt, Meta) and a key joined by '+' (default: 'Ctrl+Shift+M')
+     * @returns False when there is no DOM
+     */
+    function enableShortcut(shortcut?: string): boolean;
+    function disableShortcut(): void;
+  }
+
   /**
    * Enable or disable profiling/debug mode
    * @param enabled - Whether to enable profiling
+   * @param owner - Your userscript, for the audit log
    * @example
    * MWIWebSocket.enableProfiling(true); // Enable debug logging
    */
-  function enableProfiling(enabled: boolean): void;
+  function enableProfiling(
+    enabled: boolean,
+    owner?: string | { name: string; version?: string }
+  ): void;
 
   /**
-   * Configure the library
+   * Configure the library (shared default instance). Recorded in
+   * getConfigAudit() with the caller's owner.
    * @param options - Configuration options to apply
+   * @param owner - Your userscript: a name, or { name, version }
    * @example
    * MWIWebSocket.configure({
    *   debug: true,
    *   enableBatching: false,
    *   eventWhitelist: ['init_character_data', 'items_updated']
-   * });
+   * }, 'Action Tracker');
+   */
+  function configure(
+    options: ConfigOptions,
+    owner?: string | { name: string; version?: string }
+  ): void;
+
+  /**
+   * A configure() call on the shared default instance
+   */
+  interface ConfigAuditEntry {
+    timestamp: number;
+    instanceId: string;
+    owner: InstanceOwner | null;
+    /** Calling script guessed from the stack when no owner was given */
+    source: string | null;
+    options: ConfigOptions;
+    /** Values of the same options before the call */
+    previous: ConfigOptions;
+  }
+
+  /**
+   * Options that owners set in ways that can't all hold
+   */
+  interface ConfigConflict {
+    option: string;
+    reason: string;
+    values: Array<{
+      /** 'name@version', the guessed script, 'shared default' or 'unknown' */
+      owner: string;
+      instanceId: string;
+      value: any;
+    }>;
+  }
+
+  /**
+   * Get the record of configure() calls on the shared default instance, oldest first
+   */
+  function getConfigAudit(): ConfigAuditEntry[];
+
+  /**
+   * Get current configuration conflicts between owners
+   * @example
+   * MWIWebSocket.getConflicts().forEach((conflict) => console.warn(conflict.option, conflict.values));
    */
-  function configure(options: ConfigOptions): void;
+  function getConflicts(): ConfigConflict[];
 
   /**
    * Get current configuration
@@ -412,8 +1244,9 @@ declare namespace MWIWebSocket {
   function getConfig(): ConfigOptions;
 
   /**
-   * Check if the library is ready (hook installed)
-   * @returns True if WebSocket hook is installed
+   * Check if the library is ready (hook installed and frames reach it)
+   * @returns False while another script's hook keeps frames from reaching
+   *   the library's hook (see 'hook:compromised')
    * @example
    * if (MWIWebSocket.isReady()) {
    *   console.log('Library is ready');
@@ -457,6 +1290,184 @@ declare namespace MWIWebSocket {
    */
   function removeHook(): void;
 
+  /**
+   * Deliver queued messages of all instances now instead of waiting for batchInterval.
+   * The Promise also covers frames still being decoded (Blob, compressed) or
+   * parsed in the worker, and results of worker listeners.
+   * @example
+   * await MWIWebSocket.flush();
+   */
+  function flush(): Promise<void>;
+
+  /**
+   * Frame decoder: return undefined to pass, or text / bytes / a Promise of
+   * either. Bytes are decoded further by the remaining decoders.
+   */
+  type FrameDecoder = (
+    frame: any
+  ) => string | ArrayBuffer | ArrayBufferView | Blob | Promise<string | ArrayBuffer | ArrayBufferView | Blob | null> | null | undefined;
+
+  /**
+   * Register a decoder for binary or compressed frames, tried before the
+   * built-in Blob, gzip, deflate and UTF-8 decoders
+   * @returns Function that removes the decoder again
+   */
+  function registerFrameDecoder(name: string, decode: FrameDecoder): UnsubscribeFunction;
+
+  /**
+   * Listener run in the parsing worker. It is serialized with toString(), so
+   * it must be a self-contained function or arrow expression.
+   * emit(type, result) delivers result to every instance as 'worker:<type>'.
+   */
+  type WorkerListener = (
+    eventType: string,
+    data: any,
+    emit: (type: string, result: any) => void
+  ) => void | Promise<void>;
+
+  /**
+   * Parsing worker and worker-side listeners
+   * @example
+   * MWIWebSocket.worker.on('init_character_data', (type, data, emit) => {
+   *   emit('item_total', { total: data.characterItems.length });
+   * });
+   * MWIWebSocket.on('worker:item_total', (type, data) => console.log(data.total));
+   */
+  namespace worker {
+    /**
+     * Run a listener in the worker for CPU-heavy analytics
+     * @returns Function that removes the listener again
+     */
+    function on(eventTypes: string | string[], listener: WorkerListener): UnsubscribeFunction;
+    /** Whether the worker is running */
+    function isActive(): boolean;
+    /** Whether frames are parsed in the worker for all instances */
+    function isOffloading(): boolean;
+    /**
+     * Why the worker is or isn't running. A crashed worker is restarted with
+     * growing delays; after repeated crashes, or without Web Worker support,
+     * it stays 'failed' for the page's lifetime
+     */
+    function getStatus(): WorkerStatus;
+  }
+
+  interface WorkerStatus {
+    state: 'running' | 'stopped' | 'restarting' | 'failed';
+    /** Crashes in a row */
+    failures: number;
+    /** Last error, if the worker failed or crashed */
+    lastError: string | null;
+  }
+
+  /**
+   * Get the game sockets the hook has seen: open ones first, then the most
+   * recently closed ones
+   * @example
+   * const [current] = MWIWebSocket.getConnections();
+   * console.log(`${current.profile} since ${new Date(current.openedAt)}`);
+   */
+  function getConnections(): ConnectionInfo[];
+
+  /**
+   * Endpoint matcher: a substring of the socket URL, or a regex tested against it
+   */
+  type EndpointMatcher = string | RegExp;
+
+  interface EndpointProfile {
+    name: string;
+    matchers: EndpointMatcher[];
+  }
+
+  /**
+   * Register a named environment profile, or replace the matchers of an
+   * existing one (built-ins: 'live', 'test'). Applies to sockets the hook
+   * has not seen yet.
+   * @example
+   * MWIWebSocket.registerProfile('local', 'ws://localhost:8080/ws');
+   */
+  function registerProfile(name: string, matchers: EndpointMatcher | EndpointMatcher[]): void;
+
+  /**
+   * Remove an environment profile
+   * @returns True if the profile existed
+   */
+  function unregisterProfile(name: string): boolean;
+
+  /**
+   * List environment profiles in matching order
+   */
+  function getProfiles(): EndpointProfile[];
+
+  /**
+   * A copy of the library loaded on the page
+   */
+  interface LoadedVersion {
+    version: string;
+    /** This copy's hook feeds every other copy */
+    hooksPage: boolean;
+    /** This copy is window.MWIWebSocket */
+    isGlobal: boolean;
+    /** Copy from before version negotiation, hooking the page on its own */
+    legacy: boolean;
+  }
+
+  /**
+   * Get the newest loaded copy of the library whose version is in a range.
+   * Copies of different versions load side by side; the newest one hooks the
+   * page for all of them, and MWIWebSocket only moves to a newer copy that is
+   * caret-compatible with it.
+   * @param range - npm-style range, e.g. '^0.3', '>=0.2.2 <0.4', '0.3.x || ^1.0'
+   * @throws When no loaded copy is in the range
+   * @example
+   * const ws = MWIWebSocket.require('^0.3').createInstance();
+   */
+  function require(range: string): typeof MWIWebSocket;
+
+  /**
+   * List the copies of the library loaded on the page, in load order
+   */
+  function getLoadedVersions(): LoadedVersion[];
+
+  /**
+   * Information about all active instances
+   */
+  interface InstanceInfo {
+    count: number;
+    instances: Array<{
+      id: string;
+      owner: InstanceOwner | null;
+      /** The shared instance behind the global API */
+      isDefault: boolean;
+      config: ConfigOptions;
+      listenerCount: number;
+      eventCount: number;
+      /** Frames left unparsed because no instance needed their type */
+      skippedFrames: number;
+    }>;
+    globalHookInstalled: boolean;
+    /** Whether frames reach the hook (false while another script's hook keeps them away) */
+    hookWorking: boolean;
+    /** Whether the parsing worker is running */
+    workerActive: boolean;
+    worker: WorkerStatus;
+    /** Frames seen by the global hook */
+    frames: {
+      received: number;
+      binary: number;
+      undecodable: number;
+      /** Frames no instance needed, skipped without parsing them for delivery */
+      skipped: number;
+    };
+    conflicts: ConfigConflict[];
+  }
+
+  /**
+   * Get information about all active instances
+   * @example
+   * console.log(`Active instances: ${MWIWebSocket.getInstanceInfo().count}`);
+   */
+  function getInstanceInfo(): InstanceInfo;
+
   /**
    * Clear all cached data and history
    * @example
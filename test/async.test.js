@@ -0,0 +1,129 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+after(() => harness.uninstall())
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('concurrency: 1 runs an async listener one call at a time', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 5, eventBlacklist: ['connection:*'] })
+  const order = []
+  let active = 0
+  let peak = 0
+  ws.on(
+    'tick',
+    async (type, data) => {
+      active++
+      peak = Math.max(peak, active)
+      await sleep(5)
+      order.push(data.n)
+      active--
+    },
+    { concurrency: 1 }
+  )
+  const socket = harness.connect()
+
+  for (let n = 0; n < 4; n++) socket.receive({ type: 'tick', n })
+  await harness.flush()
+  await sleep(60)
+
+  assert.deepEqual(order, [0, 1, 2, 3])
+  assert.equal(peak, 1)
+})
+
+test('rejected promises count as listener errors', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 5, eventBlacklist: ['connection:*'] })
+  ws.on('tick', async (type, data) => {
+    if (data.n === 2) throw new Error('rejected')
+  })
+  ws.once('tick', async () => {
+    throw new Error('rejected once')
+  })
+  const socket = harness.connect()
+
+  for (let n = 0; n < 4; n++) socket.receive({ type: 'tick', n })
+  await harness.flush()
+  await sleep(10)
+
+  assert.equal(ws.getMetrics().errors, 2)
+})
+
+const flood = async (backpressure) => {
+  const ws = MWIWebSocket.createInstance({
+    batchInterval: 30000,
+    maxBatchSize: 1000,
+    queueHighWaterMark: 3,
+    backpressure,
+    eventBlacklist: ['connection:*'],
+  })
+  const seen = []
+  ws.on('*', (type, data) => seen.push(type + data.n))
+  const socket = harness.connect()
+  for (let n = 0; n < 6; n++) socket.receive({ type: n % 2 ? 'a' : 'b', n })
+  await harness.flush()
+  return { seen, drops: ws.getMetrics().backpressureDrops }
+}
+
+test("backpressure 'drop-oldest' keeps the newest events", async () => {
+  assert.deepEqual(await flood('drop-oldest'), { seen: ['a3', 'b4', 'a5'], drops: 3 })
+})
+
+test("backpressure 'coalesce' keeps the newest event of each type", async () => {
+  assert.deepEqual(await flood('coalesce'), { seen: ['b4', 'a5'], drops: 4 })
+})
+
+test("backpressure 'block' waits for slow listeners before dispatching more", async () => {
+  const ws = MWIWebSocket.createInstance({
+    batchInterval: 1,
+    maxBatchSize: 1,
+    queueHighWaterMark: 2,
+    backpressure: 'block',
+    eventBlacklist: ['connection:*'],
+  })
+  const log = []
+  ws.on('slow', async (type, data) => {
+    log.push('start' + data.n)
+    await sleep(10)
+    log.push('end' + data.n)
+  })
+  const socket = harness.connect()
+
+  for (let n = 0; n < 3; n++) socket.receive({ type: 'slow', n })
+  await sleep(5)
+  assert.deepEqual(log, ['start0'])
+
+  await sleep(150)
+  assert.deepEqual(log, ['start0', 'end0', 'start1', 'end1', 'start2', 'end2'])
+})
+
+for (const [label, remove] of [
+  ['off()', (ws, listener) => ws.off('tick', listener)],
+  ['offAll(eventType)', (ws) => ws.offAll('tick')],
+  ['offAll()', (ws) => ws.offAll()],
+]) {
+  test(`${label} abandons calls waiting for a concurrency slot`, async () => {
+    const ws = MWIWebSocket.createInstance({ batchInterval: 5, eventBlacklist: ['connection:*'] })
+    const started = []
+    const listener = async (type, data) => {
+      started.push(data.n)
+      await sleep(10)
+    }
+    ws.on('tick', listener, { concurrency: 1 })
+    const socket = harness.connect()
+
+    for (let n = 0; n < 3; n++) socket.receive({ type: 'tick', n })
+    await harness.flush()
+    assert.deepEqual(started, [0])
+
+    remove(ws, listener)
+    await sleep(40)
+    assert.deepEqual(started, [0])
+  })
+}
@@ -0,0 +1,200 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+after(() => harness.uninstall())
+
+const createInstance = (config = {}) =>
+  MWIWebSocket.createInstance({ batchInterval: 30000, eventBlacklist: ['connection:*'], ...config })
+
+// ==================== FILTERS ====================
+
+test('declarative filters match nested payload fields', async () => {
+  const ws = createInstance()
+  const seen = []
+  ws.on('items_updated', () => seen.push('coin'), {
+    filter: {
+      endCharacterItems: { some: { itemHrid: { prefix: '/items/coin' }, count: { gte: 1000 } } },
+    },
+  })
+  const socket = harness.connect()
+
+  socket.receive({ type: 'items_updated', endCharacterItems: [{ itemHrid: '/items/coin', count: 5 }] })
+  socket.receive({
+    type: 'items_updated',
+    endCharacterItems: [
+      { itemHrid: '/items/egg', count: 5000 },
+      { itemHrid: '/items/coin', count: 5000 },
+    ],
+  })
+  await harness.flush()
+
+  assert.deepEqual(seen, ['coin'])
+})
+
+test('once() is only consumed by a matching event', async () => {
+  const ws = createInstance()
+  const seen = []
+  ws.once('action_completed', (type, data) => seen.push(data.n), {
+    filter: { endCharacterSkills: { some: { skillHrid: '/skills/milking' } } },
+  })
+  const socket = harness.connect()
+
+  socket.receive({ type: 'action_completed', n: 1, endCharacterSkills: [{ skillHrid: '/skills/foraging' }] })
+  socket.receive({ type: 'action_completed', n: 2, endCharacterSkills: [{ skillHrid: '/skills/milking' }] })
+  socket.receive({ type: 'action_completed', n: 3, endCharacterSkills: [{ skillHrid: '/skills/milking' }] })
+  await harness.flush()
+
+  assert.deepEqual(seen, [2])
+})
+
+test('unknown filter operators throw at subscription time', () => {
+  const ws = createInstance()
+  assert.throws(() => ws.on('x', () => {}, { filter: { a: { foo: 1 } } }), /Unknown filter operator "foo" for a/)
+})
+
+test('a throwing filter function skips only its listener', async () => {
+  const ws = createInstance()
+  const seen = []
+  ws.on('x', () => seen.push('filtered'), {
+    filter: () => {
+      throw new Error('boom')
+    },
+  })
+  ws.on('x', () => seen.push('plain'))
+
+  harness.connect().receive({ type: 'x' })
+  await harness.flush()
+
+  assert.deepEqual(seen, ['plain'])
+})
+
+// ==================== PRIORITIES AND PIPELINE ====================
+
+test('listeners run by priority and see pipeline annotations', async () => {
+  const ws = createInstance()
+  const seen = []
+  ws.on('items_updated', (type, data, meta) => seen.push(['low', meta.annotations]), { priority: -5 })
+  ws.on('items_updated', () => {
+    seen.push(['default'])
+    throw new Error('listener failure')
+  })
+  ws.on('items_*', (type, data, meta) => seen.push(['high', meta.annotations]), { priority: 10 })
+  ws.use('items_updated', (type, data) => ({ value: data.endCharacterItems.length * 10 }), { priority: 5 })
+  ws.use('items_*', (type, data, annotations) => ({ display: 'v=' + annotations.value }))
+
+  harness.connect().receive({ type: 'items_updated', endCharacterItems: [{ a: 1 }, { a: 2 }] })
+  await harness.flush()
+
+  const annotations = { value: 20, display: 'v=20' }
+  assert.deepEqual(seen, [['high', annotations], ['default'], ['low', annotations]])
+})
+
+test('pipeline stages cannot mutate the payload', async () => {
+  const ws = createInstance()
+  ws.use('items_updated', (type, data) => {
+    data.injected = true
+  })
+  harness.connect().receive({ type: 'items_updated', endCharacterItems: [] })
+  await harness.flush()
+
+  const [entry] = ws.getEventHistory()
+  assert.equal(entry.data.injected, undefined)
+})
+
+// ==================== PATTERNS ====================
+
+test('wildcard, glob and negated patterns', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, eventBlacklist: ['!**'] })
+  const seen = {}
+  const collect = (key) => (type) => (seen[key] = seen[key] || []).push(type)
+  ws.on('*', collect('star'))
+  ws.on('a.b', collect('dot'))
+  ws.on('item?', collect('question'))
+  ws.on(['chat_*', '!chat_spam'], collect('negated'))
+  const socket = harness.connect()
+
+  ;['a.b', 'axb', 'items', 'item', 'chat_x', 'chat_spam', 'x:y'].forEach((type) => socket.receive({ type }))
+  await harness.flush()
+
+  assert.deepEqual(seen.star, ['a.b', 'axb', 'items', 'item', 'chat_x', 'chat_spam'])
+  assert.deepEqual(seen.dot, ['a.b'])
+  assert.deepEqual(seen.question, ['items'])
+  assert.deepEqual(seen.negated, ['chat_x'])
+})
+
+test('a subscription of only exclusions receives every other game event', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, observeOutgoing: true })
+  const seen = []
+  ws.on(['!chat_spam'], (type) => seen.push(type))
+  const socket = harness.connect()
+
+  ;['chat_x', 'chat_spam', 'items_updated'].forEach((type) => socket.receive({ type }))
+  socket.send(JSON.stringify({ type: 'ping' }))
+  await harness.flush()
+
+  assert.deepEqual(seen, ['chat_x', 'items_updated'])
+})
+
+test('whitelists accept negated patterns', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, eventWhitelist: ['chat_*', '!chat_spam'] })
+  const seen = []
+  ws.on('**', (type) => seen.push(type))
+  const socket = harness.connect()
+
+  ;['chat_x', 'chat_spam', 'other'].forEach((type) => socket.receive({ type }))
+  await harness.flush()
+
+  assert.deepEqual(seen, ['chat_x'])
+})
+
+// ==================== COALESCING ====================
+
+test('coalesces queued events per type', async () => {
+  const ws = createInstance({
+    coalesce: {
+      items_updated: 'keep-last',
+      'action_*': 'keep-first',
+      counter: (previous, next) => ({ type: 'counter', n: previous.n + next.n }),
+    },
+  })
+  const seen = []
+  ws.on('*', (type, data, meta) => seen.push([type, data.n, meta.coalesced]))
+  const socket = harness.connect()
+
+  socket.receive({ type: 'items_updated', n: 1 })
+  socket.receive({ type: 'action_started', n: 1 })
+  socket.receive({ type: 'items_updated', n: 2 })
+  socket.receive({ type: 'action_started', n: 2 })
+  for (let i = 0; i < 3; i++) socket.receive({ type: 'counter', n: 1 })
+  await harness.flush()
+
+  assert.deepEqual(seen, [
+    ['items_updated', 2, 2],
+    ['action_started', 1, 2],
+    ['counter', 3, 3],
+  ])
+  assert.equal(ws.getMetrics().coalescedEvents, 4)
+})
+
+test('the state store still sees every coalesced items_updated', async () => {
+  const ws = createInstance({ coalesce: { items_updated: 'keep-last' } })
+  const socket = harness.connect()
+  const item = (id, itemHrid) => ({ id, itemHrid, itemLocationHrid: '/item_locations/inventory', count: 1 })
+
+  socket.receive({ type: 'init_character_data', character: { id: 1 }, characterItems: [], characterSkills: [] })
+  socket.receive({ type: 'items_updated', endCharacterItems: [item(1, '/items/coin')] })
+  socket.receive({ type: 'items_updated', endCharacterItems: [item(2, '/items/egg')] })
+  await harness.flush()
+
+  assert.deepEqual(
+    ws.state.get('inventory').map((entry) => entry.itemHrid),
+    ['/items/coin', '/items/egg']
+  )
+})
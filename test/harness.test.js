@@ -0,0 +1,60 @@
+'use strict'
+
+const { test, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness, FakeMessageEvent, FakeWebSocket } = require('../mwi-moonitoring-testing.js')
+
+const originalMessageEvent = globalThis.MessageEvent
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+
+test('installs the shims while loaded', () => {
+  assert.equal(globalThis.MessageEvent, FakeMessageEvent)
+  assert.equal(globalThis.WebSocket, FakeWebSocket)
+  assert.equal(typeof MWIWebSocket.createInstance, 'function')
+})
+
+test('flush() delivers frames regardless of batchInterval', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const types = []
+  ws.on('items_updated', (type) => types.push(type))
+
+  const socket = harness.connect()
+  socket.receive({ type: 'items_updated', characterItems: [] })
+  assert.deepEqual(types, [])
+
+  await harness.flush()
+  assert.deepEqual(types, ['items_updated'])
+})
+
+test('frames from sockets that are not the game are ignored', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const types = []
+  ws.on('*', (type) => types.push(type))
+
+  harness.connect('wss://example.com/ws').receive({ type: 'ignored' })
+  harness.connect('test').receive({ type: 'from_test_server' })
+  await harness.flush()
+
+  assert.ok(!types.includes('ignored'))
+  assert.ok(types.includes('from_test_server'))
+})
+
+test('reset() destroys instances and closes sockets', async () => {
+  MWIWebSocket.createInstance()
+  const socket = harness.connect()
+  assert.equal(MWIWebSocket.getInstanceInfo().count, 1)
+
+  harness.reset()
+  assert.equal(MWIWebSocket.getInstanceInfo().count, 0)
+  assert.equal(socket.readyState, FakeWebSocket.CLOSED)
+})
+
+// Last: the shims are gone afterwards
+test('uninstall() restores the original globals', () => {
+  harness.uninstall()
+  assert.equal(globalThis.MessageEvent, originalMessageEvent)
+  assert.notEqual(globalThis.WebSocket, FakeWebSocket)
+})
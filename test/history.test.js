@@ -0,0 +1,74 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { indexedDB, IDBKeyRange } = require('fake-indexeddb')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+after(() => harness.uninstall())
+
+let databases = 0
+const createInstance = (config = {}) =>
+  MWIWebSocket.createInstance({
+    eventBlacklist: ['connection:*'],
+    persistHistory: true,
+    persistBackend: { indexedDB, IDBKeyRange },
+    // A fresh database per test
+    persistName: `history-test-${++databases}`,
+    ...config,
+  })
+
+const receive = async (count) => {
+  const socket = harness.connect()
+  for (let n = 0; n < count; n++) socket.receive({ type: n % 2 ? 'a' : 'b', n })
+  await harness.flush()
+}
+
+const collect = async (ws, query) => {
+  let page = await ws.history.query(query)
+  const entries = [...page.entries]
+  while (page.nextCursor) {
+    page = await ws.history.query({ ...query, cursor: page.nextCursor })
+    entries.push(...page.entries)
+  }
+  return entries.map((entry) => entry.data.n)
+}
+
+test('keeps at most persistMaxEntries events', async () => {
+  const ws = createInstance({ persistMaxEntries: 8 })
+  await receive(12)
+
+  assert.equal(await ws.history.count(), 8)
+  assert.deepEqual(await collect(ws, { limit: 3 }), [11, 10, 9, 8, 7, 6, 5, 4])
+})
+
+test('queries by type in ascending order with a filter', async () => {
+  const ws = createInstance()
+  await receive(12)
+
+  const page = await ws.history.query({ type: 'a', order: 'asc', filter: (entry) => entry.data.n > 5 })
+  assert.deepEqual(
+    page.entries.map((entry) => entry.data.n),
+    [7, 9, 11]
+  )
+  assert.equal(page.nextCursor, null)
+})
+
+test('prune() drops entries older than persistMaxAge', async () => {
+  const ws = createInstance()
+  await receive(4)
+  assert.equal(await ws.history.count(), 4)
+
+  ws.configure({ persistMaxAge: -1 })
+  assert.equal(await ws.history.prune(), 4)
+  assert.equal(await ws.history.count(), 0)
+})
+
+test('history rejects when persistence is off', async () => {
+  const ws = MWIWebSocket.createInstance()
+  await assert.rejects(ws.history.count(), /Persistent history is not enabled/)
+})
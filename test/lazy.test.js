@@ -0,0 +1,74 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+// The global hook's counters outlive its instances
+let skippedBefore = 0
+const skipped = () => MWIWebSocket.getInstanceInfo().frames.skipped - skippedBefore
+
+afterEach(() => {
+  skippedBefore += skipped()
+  harness.reset()
+})
+after(() => harness.uninstall())
+
+test('default instances parse every frame for history and cache', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, eventBlacklist: ['connection:*'], enableState: false })
+  ws.on('action_completed', () => {})
+
+  harness.connect().receive({ type: 'chat_message' })
+  await harness.flush()
+
+  assert.equal(skipped(), 0)
+  assert.deepEqual(
+    ws.getEventHistory().map((entry) => entry.type),
+    ['chat_message']
+  )
+})
+
+test('lazyParsing skips frames nobody listens to, history and cache included', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, eventBlacklist: ['connection:*'], enableState: false, lazyParsing: true })
+  ws.on('action_*', () => {})
+  const socket = harness.connect()
+
+  socket.receive({ type: 'chat_message' })
+  socket.receive({ type: 'action_completed' })
+  await harness.flush()
+
+  assert.equal(skipped(), 1)
+  assert.equal(ws.getMetrics().skippedFrames, 1)
+  assert.deepEqual(
+    ws.getEventHistory().map((entry) => entry.type),
+    ['action_completed']
+  )
+  assert.equal(ws.getCachedEvent('chat_message'), undefined)
+})
+
+test('lazyParsing keeps only listened types even when another instance parses more', async () => {
+  const lazy = MWIWebSocket.createInstance({ batchInterval: 30000, eventBlacklist: ['connection:*'], enableState: false, lazyParsing: true })
+  lazy.on('action_completed', () => {})
+  MWIWebSocket.createInstance({ batchInterval: 30000, eventBlacklist: ['connection:*'], enableState: false })
+
+  harness.connect().receive({ type: 'chat_message' })
+  await harness.flush()
+
+  assert.equal(skipped(), 0)
+  assert.deepEqual(lazy.getEventHistory(), [])
+})
+
+test('lazyParsing still needs the events feeding character state', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, eventBlacklist: ['connection:*'], lazyParsing: true })
+  const socket = harness.connect()
+
+  socket.receive({ type: 'init_character_data', character: { id: 1 }, characterItems: [], characterSkills: [] })
+  socket.receive({ type: 'chat_message' })
+  await harness.flush()
+
+  assert.equal(skipped(), 1)
+  assert.equal(ws.state.isInitialized(), true)
+})
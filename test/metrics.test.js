@@ -0,0 +1,74 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+after(() => harness.uninstall())
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('counts events by type and outcome', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 5, eventBlacklist: ['ping'], validatePayloads: true }, 'Addon')
+  ws.on('items_updated', () => {})
+  const socket = harness.connect()
+
+  socket.receive({ type: 'items_updated', characterItems: [] })
+  socket.receive({ type: 'items_updated', characterItems: 5 })
+  socket.receive({ type: 'ping' })
+  await harness.flush()
+
+  const text = MWIWebSocket.metrics.toPrometheus()
+  assert.match(text, /events_total\{instance="Addon",event_type="items_updated",outcome="received"\} 1/)
+  assert.match(text, /events_total\{instance="Addon",event_type="items_updated",outcome="invalid"\} 1/)
+  assert.match(text, /events_dropped_total\{instance="Addon",reason="filtered"\} 1/)
+})
+
+test('series stay unique when owners share a name', async () => {
+  const first = MWIWebSocket.createInstance({}, { name: 'Addon', version: '1.0' })
+  const second = MWIWebSocket.createInstance({}, 'Addon')
+  first.on('y', () => {})
+  first.on('y', () => {})
+  second.on('y', () => {})
+  MWIWebSocket.on('y', () => {})
+
+  harness.connect().receive({ type: 'y' })
+  await harness.flush()
+
+  const text = MWIWebSocket.metrics.toPrometheus()
+  const series = text
+    .split('\n')
+    .filter((line) => line && line[0] !== '#')
+    .map((line) => line.replace(/ [^ ]+$/, ''))
+  assert.deepEqual(
+    series.filter((line, index) => series.indexOf(line) !== index),
+    []
+  )
+  assert.ok(text.includes('instance="Addon#2"'))
+  assert.ok(text.includes('instance="default"'))
+  assert.match(text, /listener_calls_total\{instance="Addon",event_type="y",listener="\(anonymous\)",outcome="ok"\} 2/)
+})
+
+test('startPush() delivers snapshots to a sink until stopped', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 5 })
+  ws.on('items_updated', () => {})
+  const socket = harness.connect()
+  const sink = MWIWebSocket.metrics.createMemorySink({ limit: 3 })
+  const stop = MWIWebSocket.metrics.startPush(sink, { interval: 10 })
+
+  for (let i = 0; i < 4; i++) {
+    socket.receive({ type: 'items_updated', characterItems: [] })
+    await sleep(15)
+  }
+  stop()
+
+  assert.equal(sink.entries().length, 3)
+  const counts = sink.series('events', { event_type: 'items_updated', outcome: 'received' })
+  assert.ok(counts.length > 0)
+  assert.ok(counts.every((point, index) => index === 0 || point.value >= counts[index - 1].value))
+  assert.throws(() => MWIWebSocket.metrics.startPush({}, {}))
+})
@@ -0,0 +1,78 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { JSDOM } = require('jsdom')
+
+// The overlay renders into the page, so a DOM has to exist before the library loads
+const dom = new JSDOM('<!doctype html><body></body>', { pretendToBeVisual: true })
+global.window = dom.window
+global.document = dom.window.document
+
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => {
+  MWIWebSocket.overlay.close()
+  harness.reset()
+})
+after(() => harness.uninstall())
+
+const overlayRoot = () => document.querySelector('mwi-moonitoring-overlay').shadowRoot
+const tabs = () => overlayRoot().querySelectorAll('header button')
+
+test('opens from the overlay file loaded next to the library', () => {
+  MWIWebSocket.createInstance({ batchInterval: 30000 })
+
+  assert.equal(MWIWebSocket.overlay.open(), true)
+  assert.equal(MWIWebSocket.overlay.isOpen(), true)
+  assert.match(overlayRoot().querySelector('section').textContent, /Hook working/)
+
+  assert.equal(MWIWebSocket.overlay.toggle(), false)
+  assert.equal(document.querySelector('mwi-moonitoring-overlay'), null)
+})
+
+test('lists received events while open', async () => {
+  MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const socket = harness.connect()
+  MWIWebSocket.overlay.open()
+
+  socket.receive({ type: 'items_updated', characterItems: [{ id: 1, hrid: '/items/x' }] })
+  await harness.flush()
+  tabs()[1].click()
+
+  const summaries = Array.from(overlayRoot().querySelectorAll('section')[1].querySelectorAll('summary'))
+  assert.ok(summaries.some((summary) => summary.textContent.includes('items_updated')))
+})
+
+test('keeps every frame parsed only while open', async () => {
+  const ws = MWIWebSocket.createInstance({ historySize: 0, enableCache: false, enableState: false })
+  ws.on('items_updated', () => {})
+  const socket = harness.connect()
+
+  socket.receive({ type: 'ping' })
+  await harness.flush()
+  assert.equal(MWIWebSocket.getInstanceInfo().frames.skipped, 1)
+
+  MWIWebSocket.overlay.open()
+  socket.receive({ type: 'ping' })
+  await harness.flush()
+  assert.equal(MWIWebSocket.getInstanceInfo().frames.skipped, 1)
+
+  MWIWebSocket.overlay.close()
+  socket.receive({ type: 'ping' })
+  await harness.flush()
+  assert.equal(MWIWebSocket.getInstanceInfo().frames.skipped, 2)
+})
+
+test('Ctrl+Shift+M toggles the overlay once the shortcut is enabled', async () => {
+  MWIWebSocket.createInstance({ batchInterval: 30000 })
+  MWIWebSocket.overlay.enableShortcut()
+
+  document.dispatchEvent(
+    new dom.window.KeyboardEvent('keydown', { key: 'M', code: 'KeyM', ctrlKey: true, shiftKey: true })
+  )
+  assert.equal(MWIWebSocket.overlay.isOpen(), true)
+})
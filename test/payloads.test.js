@@ -0,0 +1,80 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { indexedDB, IDBKeyRange } = require('fake-indexeddb')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+after(() => harness.uninstall())
+
+test("payloadMode 'frozen' hands out read-only views", async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, payloadMode: 'frozen' })
+  const errors = []
+  let received = null
+  ws.on('items_updated', (type, data) => {
+    received = data
+    try {
+      data.endCharacterItems[0].count = 0
+    } catch (error) {
+      errors.push(error.message)
+    }
+  })
+
+  harness.connect().receive({ type: 'items_updated', endCharacterItems: [{ count: 1 }] })
+  await harness.flush()
+
+  assert.match(errors[0], /Cannot set "endCharacterItems\[0\]\.count"/)
+  assert.equal(received.endCharacterItems[0].count, 1)
+  assert.throws(() => structuredClone(received), { name: 'DataCloneError' })
+
+  const copy = MWIWebSocket.clonePayload(received)
+  copy.endCharacterItems[0].count = 2
+  assert.deepEqual(structuredClone(copy), { type: 'items_updated', endCharacterItems: [{ count: 2 }] })
+})
+
+test('other instances keep the shared payload', async () => {
+  const frozen = MWIWebSocket.createInstance({ batchInterval: 30000, payloadMode: 'frozen' })
+  const shared = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const seen = []
+  frozen.on('ping', (type, data) => seen.push(data))
+  shared.on('ping', (type, data) => seen.push(data))
+
+  harness.connect().receive({ type: 'ping' })
+  await harness.flush()
+
+  assert.notEqual(seen[0], seen[1])
+  assert.doesNotThrow(() => structuredClone(seen[1]))
+})
+
+test('frozen validation errors are read-only and persist to history', async () => {
+  const ws = MWIWebSocket.createInstance({
+    batchInterval: 30000,
+    payloadMode: 'frozen',
+    validatePayloads: true,
+    persistHistory: true,
+    persistBackend: { indexedDB, IDBKeyRange },
+    persistName: 'frozen-validation',
+  })
+  let failure = null
+  ws.on('validation_error', (type, data) => (failure = data))
+
+  harness.connect().receive({ type: 'items_updated', characterItems: {} })
+  await harness.flush()
+
+  assert.throws(() => {
+    failure.data.characterItems = []
+  }, TypeError)
+  assert.throws(() => structuredClone(failure), { name: 'DataCloneError' })
+
+  const { entries } = await ws.history.query({ type: 'validation_error' })
+  assert.equal(entries.length, 1)
+  assert.deepEqual(entries[0].data, {
+    eventType: 'items_updated',
+    errors: ['characterItems: expected array'],
+    data: { type: 'items_updated', characterItems: {} },
+  })
+})
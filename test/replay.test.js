@@ -0,0 +1,68 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+after(() => harness.uninstall())
+
+// Frames only reach the recorder while an instance keeps the hook installed
+const record = async (frames) => {
+  const recorder = MWIWebSocket.createInstance({ enableBatching: false })
+  const recording = MWIWebSocket.startRecording()
+  const socket = harness.connect()
+  frames.forEach((frame) => socket.receive(frame))
+  await harness.flush()
+  recording.stop()
+  recorder.destroy()
+  return recording
+}
+
+test('records raw frames with a session header', async () => {
+  const recording = await record([{ type: 'a' }, { type: 'b' }])
+  const lines = recording.export('ndjson').trim().split('\n').map((line) => JSON.parse(line))
+
+  assert.equal(lines[0].format, 'mwi-moonitoring-session')
+  assert.equal(lines[0].frameCount, 2)
+  assert.deepEqual(
+    lines.slice(1).map((line) => JSON.parse(line.data).type),
+    ['a', 'b']
+  )
+})
+
+test('replays a session through every instance', async () => {
+  const recording = await record([{ type: 'a' }, { type: 'b' }])
+  const ws = MWIWebSocket.createInstance({ enableBatching: false })
+  const seen = []
+  ws.on(['a', 'b'], (type) => seen.push(type))
+
+  const playback = MWIWebSocket.replay(recording.export('ndjson'), { speed: 100 })
+  const progress = await playback.done
+  await harness.flush()
+
+  assert.deepEqual(seen, ['a', 'b'])
+  assert.equal(progress.isFinished, true)
+  assert.equal(progress.position, 2)
+})
+
+test('stepped playback only advances on step()', async () => {
+  const recording = await record([{ type: 'a' }, { type: 'b' }])
+  const ws = MWIWebSocket.createInstance({ enableBatching: false })
+  const seen = []
+  ws.on(['a', 'b'], (type) => seen.push(type))
+
+  const playback = MWIWebSocket.replay(recording.export(), { stepped: true })
+  playback.step()
+  await harness.flush()
+  assert.deepEqual(seen, ['a'])
+  assert.deepEqual(playback.progress(), { position: 1, total: 2, isFinished: false })
+
+  playback.stop()
+  await playback.done
+  await harness.flush()
+  assert.deepEqual(seen, ['a'])
+})
@@ -0,0 +1,56 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+after(() => harness.uninstall())
+
+test('invalid payloads become validation_error events', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, validatePayloads: true })
+  const delivered = []
+  const failures = []
+  ws.on('items_updated', (type) => delivered.push(type))
+  ws.on('validation_error', (type, data) => failures.push([data.eventType, data.errors]))
+  const socket = harness.connect()
+
+  socket.receive({ type: 'items_updated', characterItems: [{ itemHrid: '/items/a', count: '2' }] })
+  socket.receive({ type: 'items_updated', characterItems: {} })
+  socket.receive({ type: 'items_updated', endCharacterItems: [{ itemHrid: '/items/a', count: 2 }] })
+  await harness.flush()
+
+  assert.deepEqual(delivered, ['items_updated'])
+  assert.deepEqual(failures, [
+    ['items_updated', ['characterItems[0].count: expected number, got string']],
+    ['items_updated', ['characterItems: expected array']],
+  ])
+  assert.equal(ws.getMetrics().validationErrorsPerType.get('items_updated'), 2)
+})
+
+test('registerSchema accepts custom validators', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000, validatePayloads: true })
+  const failures = []
+  ws.on('validation_error', (type, data) => failures.push(data.errors))
+  ws.registerSchema('custom', { a: [{ b: (value) => value > 0 || 'must be positive' }] })
+
+  harness.connect().receive({ type: 'custom', a: [{ b: 1 }, { b: -1 }] })
+  await harness.flush()
+
+  assert.deepEqual(failures, [['a[1].b: must be positive']])
+})
+
+test('is() and validate() check payloads without an instance', () => {
+  assert.equal(MWIWebSocket.is('init_character_data', {}), false)
+  assert.deepEqual(
+    MWIWebSocket.validate('init_character_data', {
+      character: { name: 1 },
+      characterSkills: [],
+      characterItems: [],
+    }),
+    { valid: false, errors: ['character.name: expected string, got number'] }
+  )
+})
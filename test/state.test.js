@@ -0,0 +1,204 @@
+'use strict'
+
+const { test, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+afterEach(() => harness.reset())
+after(() => harness.uninstall())
+
+const INVENTORY = '/item_locations/inventory'
+
+const initFrame = () => ({
+  type: 'init_character_data',
+  character: { id: 7, name: 'Moo' },
+  characterSkills: [{ skillHrid: '/skills/milking', level: 3, experience: 100 }],
+  characterItems: [
+    { id: 1, itemHrid: '/items/coin', itemLocationHrid: INVENTORY, count: 5, enhancementLevel: 0 },
+    { id: 2, itemHrid: '/items/sword', itemLocationHrid: '/item_locations/main_hand', count: 1 },
+  ],
+})
+
+test('seeds every slice from init_character_data', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const socket = harness.connect()
+  assert.equal(ws.state.isInitialized(), false)
+
+  socket.receive(initFrame())
+  await harness.flush()
+
+  assert.equal(ws.state.isInitialized(), true)
+  assert.equal(ws.state.get('character').name, 'Moo')
+  assert.equal(ws.state.get('skills')['/skills/milking'].level, 3)
+  assert.deepEqual(
+    ws.state.get('inventory').map((item) => [item.id, item.itemHrid, item.count]),
+    [[1, '/items/coin', 5]]
+  )
+  assert.equal(ws.state.get('equipment')['/item_locations/main_hand'].itemHrid, '/items/sword')
+})
+
+test('snapshots are frozen and reused until their slice changes', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const socket = harness.connect()
+  socket.receive(initFrame())
+  await harness.flush()
+
+  const inventory = ws.state.get('inventory')
+  assert.ok(Object.isFrozen(inventory))
+  assert.ok(Object.isFrozen(inventory[0]))
+  assert.equal(ws.state.get('inventory'), inventory)
+
+  socket.receive({
+    type: 'items_updated',
+    endCharacterItems: [{ id: 1, itemHrid: '/items/coin', itemLocationHrid: INVENTORY, count: 9 }],
+  })
+  await harness.flush()
+  assert.notEqual(ws.state.get('inventory'), inventory)
+  assert.equal(ws.state.get('inventory')[0].count, 9)
+})
+
+test('tracks an item by id when it moves between locations', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const socket = harness.connect()
+  socket.receive(initFrame())
+  await harness.flush()
+
+  // Unequip the sword: same id, now in the inventory
+  socket.receive({
+    type: 'items_updated',
+    endCharacterItems: [{ id: 2, itemHrid: '/items/sword', itemLocationHrid: INVENTORY, count: 1 }],
+  })
+  await harness.flush()
+
+  assert.deepEqual(ws.state.get('equipment'), {})
+  assert.deepEqual(
+    ws.state.get('inventory').map((item) => item.id),
+    [1, 2]
+  )
+})
+
+test('an equipped item replaces whatever was in its slot', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const socket = harness.connect()
+  socket.receive(initFrame())
+  socket.receive({
+    type: 'items_updated',
+    endCharacterItems: [
+      { id: 3, itemHrid: '/items/axe', itemLocationHrid: '/item_locations/main_hand', count: 1 },
+    ],
+  })
+  await harness.flush()
+
+  const equipment = ws.state.get('equipment')
+  assert.deepEqual(Object.keys(equipment), ['/item_locations/main_hand'])
+  assert.equal(equipment['/item_locations/main_hand'].id, 3)
+})
+
+test('a count of zero removes the item', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const socket = harness.connect()
+  socket.receive(initFrame())
+  socket.receive({
+    type: 'items_updated',
+    endCharacterItems: [{ id: 1, itemHrid: '/items/coin', itemLocationHrid: INVENTORY, count: 0 }],
+  })
+  await harness.flush()
+
+  assert.deepEqual(ws.state.get('inventory'), [])
+})
+
+test('action_completed updates items and skills', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const socket = harness.connect()
+  socket.receive(initFrame())
+  socket.receive({
+    type: 'action_completed',
+    endCharacterItems: [{ id: 4, itemHrid: '/items/milk', itemLocationHrid: INVENTORY, count: 1 }],
+    endCharacterSkills: [{ skillHrid: '/skills/milking', level: 4, experience: 180 }],
+  })
+  await harness.flush()
+
+  assert.equal(ws.state.get('skills')['/skills/milking'].level, 4)
+  assert.ok(ws.state.get('inventory').some((item) => item.itemHrid === '/items/milk'))
+})
+
+test('subscribers hear about the slices that changed', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const changes = []
+  const unsubscribe = ws.state.subscribe(['inventory', 'skills'], (slice) => changes.push(slice))
+  const socket = harness.connect()
+
+  socket.receive(initFrame())
+  await harness.flush()
+  assert.deepEqual(changes.sort(), ['inventory', 'skills'])
+
+  changes.length = 0
+  socket.receive({
+    type: 'items_updated',
+    endCharacterItems: [{ id: 1, itemHrid: '/items/coin', itemLocationHrid: INVENTORY, count: 6 }],
+  })
+  await harness.flush()
+  assert.deepEqual(changes, ['inventory'])
+
+  unsubscribe()
+  socket.receive({
+    type: 'items_updated',
+    endCharacterItems: [{ id: 1, itemHrid: '/items/coin', itemLocationHrid: INVENTORY, count: 7 }],
+  })
+  await harness.flush()
+  assert.deepEqual(changes, ['inventory'])
+})
+
+test('disabling enableState clears the store', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  harness.connect().receive(initFrame())
+  await harness.flush()
+  assert.equal(ws.state.isInitialized(), true)
+
+  ws.configure({ enableState: false })
+  assert.equal(ws.state.isInitialized(), false)
+  assert.deepEqual(ws.state.get('inventory'), [])
+})
+
+test('skills_updated patches the skills slice only', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const changes = []
+  ws.state.subscribe(['skills', 'inventory'], (slice) => changes.push(slice))
+  const socket = harness.connect()
+  socket.receive(initFrame())
+  await harness.flush()
+  const inventory = ws.state.get('inventory')
+
+  changes.length = 0
+  socket.receive({
+    type: 'skills_updated',
+    endCharacterSkills: [
+      { skillHrid: '/skills/milking', level: 5, experience: 400 },
+      { skillHrid: '/skills/foraging', level: 1, experience: 10 },
+    ],
+  })
+  await harness.flush()
+
+  assert.deepEqual(changes, ['skills'])
+  assert.deepEqual(ws.state.get('skills'), {
+    '/skills/milking': { skillHrid: '/skills/milking', level: 5, experience: 400 },
+    '/skills/foraging': { skillHrid: '/skills/foraging', level: 1, experience: 10 },
+  })
+  assert.equal(ws.state.get('inventory'), inventory)
+})
+
+test('skills_updated without skills changes nothing', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const changes = []
+  ws.state.subscribe(['skills'], (slice) => changes.push(slice))
+  const socket = harness.connect()
+
+  socket.receive({ type: 'skills_updated' })
+  await harness.flush()
+
+  assert.deepEqual(changes, [])
+  assert.deepEqual(ws.state.get('skills'), {})
+})
@@ -0,0 +1,91 @@
+'use strict'
+
+// Loads several copies of the library into one page, the way userscripts
+// @require different releases. Tests share that page and run in order.
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const vm = require('node:vm')
+const { FakeWebSocket, FakeMessageEvent } = require('../mwi-moonitoring-testing.js')
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'mwi-moonitoring-library.js'), 'utf8')
+
+globalThis.window = globalThis
+globalThis.WebSocket = FakeWebSocket
+globalThis.MessageEvent = FakeMessageEvent
+
+const VERSION_LINE = /const VERSION = '[^']+'/
+const load = (version, protocol = 1) =>
+  vm.runInThisContext(
+    source
+      .replace(VERSION_LINE, `const VERSION = '${version}'`)
+      .replace('const PROTOCOL = 1', `const PROTOCOL = ${protocol}`)
+  )
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+const nativeGet = Object.getOwnPropertyDescriptor(FakeMessageEvent.prototype, 'data').get
+const socket = new FakeWebSocket('wss://api.milkywayidle.com/ws')
+const seen = []
+
+test('a newer patch release takes over the global', () => {
+  load('0.2.2')
+  const older = window.MWIWebSocket
+  older.createInstance({ batchInterval: 10 }, 'Old addon').on('ping', (type, data) => seen.push('old' + data.n))
+
+  load('0.2.3')
+  assert.equal(window.MWIWebSocket.version, '0.2.3')
+  assert.notEqual(window.MWIWebSocket, older)
+})
+
+test('loading the same version twice is ignored', () => {
+  const current = window.MWIWebSocket
+  load('0.2.3')
+  assert.equal(window.MWIWebSocket, current)
+  assert.equal(current.getLoadedVersions().length, 2)
+})
+
+test('a new major loads side by side and is reached through require()', () => {
+  window.MWIWebSocket.createInstance({ batchInterval: 10 }, 'New addon').on('ping', (type, data) =>
+    seen.push('new' + data.n)
+  )
+  load('1.0.0')
+
+  assert.equal(window.MWIWebSocket.version, '0.2.3')
+  assert.equal(window.MWIWebSocket.require('^1').version, '1.0.0')
+  assert.equal(window.MWIWebSocket.require('^0.2.2').version, '0.2.3')
+  assert.throws(() => window.MWIWebSocket.require('^2'), /No loaded copy of MWI-Moonitoring satisfies '\^2'/)
+  assert.deepEqual(
+    window.MWIWebSocket.getLoadedVersions().map((copy) => [copy.version, copy.isGlobal]),
+    [
+      ['0.2.2', false],
+      ['0.2.3', true],
+      ['1.0.0', false],
+    ]
+  )
+})
+
+test('a different protocol is registered next to the same version', () => {
+  load('0.2.3', 2)
+  assert.equal(window.MWIWebSocket.getLoadedVersions().length, 4)
+  assert.equal(window.MWIWebSocket.version, '0.2.3')
+})
+
+test('every copy receives frames through a single page hook', async () => {
+  const future = window.MWIWebSocket.require('^1')
+  future.createInstance({ batchInterval: 10 }, 'Future addon').on('ping', (type, data) =>
+    seen.push('future' + data.n)
+  )
+
+  socket.receive({ type: 'ping', n: 1 })
+  await sleep(60)
+  assert.deepEqual(seen.sort(), ['future1', 'new1', 'old1'])
+})
+
+test('the native getter comes back once every copy is destroyed', () => {
+  window.MWIWebSocket.getLoadedVersions().forEach((copy) => {
+    window.MWIWebSocket.require(copy.version).destroy()
+  })
+  assert.equal(Object.getOwnPropertyDescriptor(FakeMessageEvent.prototype, 'data').get, nativeGet)
+})
@@ -0,0 +1,95 @@
+'use strict'
+
+const { test, beforeEach, afterEach, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const { createHarness, FakeMessageEvent } = require('../mwi-moonitoring-testing.js')
+
+const harness = createHarness()
+const { MWIWebSocket } = harness
+
+const proto = FakeMessageEvent.prototype
+const nativeGet = Object.getOwnPropertyDescriptor(proto, 'data').get
+
+// The watchdog checks the page hook every 5 seconds
+const HOOK_CHECK_INTERVAL = 5000
+
+const replaceGetter = (get) => {
+  Object.defineProperty(proto, 'data', { get, configurable: true, enumerable: true })
+}
+const currentGetter = () => Object.getOwnPropertyDescriptor(proto, 'data').get
+
+beforeEach(() => mock.timers.enable({ apis: ['setInterval'] }))
+afterEach(() => {
+  harness.reset()
+  mock.timers.reset()
+  replaceGetter(nativeGet)
+})
+after(() => harness.uninstall())
+
+test('a foreign hook that chains ours keeps frames flowing', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const seen = []
+  ws.on('ping', (type, data) => seen.push(data.n))
+  const socket = harness.connect()
+
+  const ours = currentGetter()
+  let foreignCalls = 0
+  replaceGetter(function foreignChained() {
+    foreignCalls++
+    return ours.call(this)
+  })
+  socket.receive({ type: 'ping', n: 1 })
+  await harness.flush()
+
+  assert.deepEqual(seen, [1])
+  assert.ok(foreignCalls > 0)
+  assert.equal(ws.isReady(), true)
+})
+
+test('the watchdog restores a clobbered hook and reports it', async () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const seen = []
+  ws.on(['ping', 'hook:*'], (type, data) => seen.push(data.n || type))
+  const socket = harness.connect()
+
+  replaceGetter(function clobber() {
+    return nativeGet.call(this)
+  })
+  socket.receive({ type: 'ping', n: 1 })
+  await harness.flush()
+  // Queries read the cached status and leave the getter alone
+  assert.equal(ws.isReady(), true)
+  assert.equal(currentGetter().name, 'clobber')
+
+  mock.timers.tick(HOOK_CHECK_INTERVAL)
+  assert.notEqual(currentGetter().name, 'clobber')
+  assert.equal(ws.isReady(), true)
+
+  socket.receive({ type: 'ping', n: 2 })
+  await harness.flush()
+  assert.deepEqual(seen, ['hook:compromised', 'hook:restored', 2])
+})
+
+test('isReady() turns false while the data getter is missing', () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  harness.connect()
+
+  Object.defineProperty(proto, 'data', { value: 'x', configurable: true })
+  mock.timers.tick(HOOK_CHECK_INTERVAL)
+  assert.equal(ws.isReady(), false)
+
+  replaceGetter(nativeGet)
+  mock.timers.tick(HOOK_CHECK_INTERVAL)
+  assert.equal(ws.isReady(), true)
+})
+
+test('destroying the last instance leaves a later foreign hook in place', () => {
+  const ws = MWIWebSocket.createInstance({ batchInterval: 30000 })
+  const ours = currentGetter()
+  replaceGetter(function lateForeign() {
+    return ours.call(this)
+  })
+
+  ws.destroy()
+  assert.equal(currentGetter().name, 'lateForeign')
+})